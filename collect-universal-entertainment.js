@@ -3,621 +3,1224 @@
 // Railway Node.js Script
 // 
 // Fetches show calendar data from Universal's Tridion CMS
-// endpoints, detects changes, and upserts to Supabase.
+// endpoints, detects changes, and upserts to Supabase (or the
+// local JSON storage backend).
 // ============================================================
 
-const SUPABASE_URL = process.env.SUPABASE_URL || 'https://wkvezozqmbnvlxgdmbys.supabase.co';
-const SUPABASE_KEY = process.env.SUPABASE_KEY; // Set in Railway env vars
-
-// --- Show Configuration ---
-const TRACKED_SHOWS = [
-  {
-    show_id: 'universal-studios-cinesational',
-    show_name: 'CineSational: A Symphonic Spectacular',
-    park_name: 'Universal Studios Florida',
-    show_type: 'NIGHTTIME_SHOW',
-    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/shows/cinesational-symphonic-spectacular/index.html'
-  },
-  {
-    show_id: 'universal-studios-mega-movie-parade',
-    show_name: 'Universal Mega Movie Parade',
-    park_name: 'Universal Studios Florida',
-    show_type: 'PARADE',
-    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/shows/universal-mega-movie-parade/index.html'
-  },
-  {
-    show_id: 'islands-of-adventure-hogwarts-lights',
-    show_name: 'The Nighttime Lights at Hogwarts Castle',
-    park_name: "Universal's Islands of Adventure",
-    show_type: 'PROJECTION_SHOW',
-    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/entertainment/the-nighttime-lights-at-hogwarts-castle/index.html'
-  },
-  {
-    show_id: 'usf-mardi-gras-parade',
-    show_name: 'Universal Mardi Gras Parade',
-    park_name: 'Universal Studios Florida',
-    show_type: 'PARADE',
-    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/events/mardi-gras/parade/index.html'
-  }
-];
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadTrackedShows, isInSeason } = require('./lib/shows');
+const {
+  fetchCMSPage,
+  locateCalendarConfig,
+  checkTemporarilyClosed,
+  parseCalendarConfig,
+  performanceKey
+} = require('./lib/cms');
+const { uploadStorageObject } = require('./lib/supabase');
+const { createStorage } = require('./lib/storage');
+const { detectChanges, findRemovedPerformances, withIdempotencyKeys } = require('./lib/changes');
+const { checkParseSanity, buildParseFailureChange } = require('./lib/parse-guard');
+const { loadSnapshot, fetchSnapshotSchedules, writeDryRunReport } = require('./lib/dry-run');
+const { discoverShows, writeDiscoveryReport } = require('./lib/discovery');
+const { loadValidatorCache, saveValidatorCache, mapWithConcurrency } = require('./lib/http');
+const { PARK_TIMEZONE, todayInZone, normalizeShowTime } = require('./lib/time');
+const { resolveShowLocale } = require('./lib/destinations');
+const { pageFingerprint, parseWarnings, buildDriftChanges, buildFingerprintRecord } = require('./lib/schema-drift');
+const { analyzeSchedule, buildForecastChanges, forecastStatusFields, historyWindowStart } = require('./lib/forecast');
+const { ingestDisruptions, createDisruptionFeed } = require('./lib/disruptions');
+const { loadNotifierConfig, createNotifiers, dispatchNotifications, deliveredChanges } = require('./lib/notifiers');
+const { buildFeeds, writeFeeds } = require('./lib/ical');
+const { setLogFormat, withLogContext, log } = require('./lib/log');
+const { buildRunRecord } = require('./lib/run-history');
+const {
+  createArchiveStore,
+  listSnapshots,
+  archiveSnapshot,
+  pruneSnapshots,
+  parseSnapshotPath,
+  decodeSnapshot,
+  readSnapshot
+} = require('./lib/archive');
+const { replaySnapshots, backfillHistory, writeReplayReport } = require('./lib/replay');
+const { extractShowDetails, buildShowDetailsRecord } = require('./lib/show-details');
+const { collectParkHours, hoursConflict } = require('./lib/park-hours');
+const { planHistory, withChangeTimes, scheduleAsOf, rescheduleCount, tentativeOutcomes } = require('./lib/history');
+const { createApiServer } = require('./lib/server');
+const { USAGE, COMMANDS, parseCommand, positiveInteger, selectShows, formatTable } = require('./lib/cli');
+
+// --- Command ---
+// `node collect-universal-entertainment.js <command>`; see lib/cli.js.
+// `collect` (the default) and `diff` take `--show <id>`, repeatable.
+const CLI = parseCommand(process.argv.slice(2));
+const COMMAND = CLI.command;
+
+// --- Storage Backend ---
+// `--storage=supabase` (default, needs SUPABASE_URL and SUPABASE_KEY) or
+// `--storage=json` to keep every table as a JSON file in STORAGE_DIR.
+const STORAGE_BACKEND = getArgValue('--storage') || process.env.STORAGE_BACKEND || 'supabase';
+const STORAGE_DIR = getArgValue('--storage-dir') || process.env.STORAGE_DIR || './data';
+
+// --- Dry-run Configuration ---
+// `--dry-run` runs the full pipeline but diffs against a local snapshot file
+// and writes what it would have upserted to a JSON report instead of storage.
+const DRY_RUN = process.argv.includes('--dry-run') || COMMAND === 'dry-run';
+const DRY_RUN_SNAPSHOT = getArgValue('--snapshot') || process.env.DRY_RUN_SNAPSHOT || './dry-run-snapshot.json';
+const DRY_RUN_REPORT = getArgValue('--report') || process.env.DRY_RUN_REPORT || './dry-run-report.json';
+
+// --- Tracked Shows Source ---
+// `--shows=<file.json>` or `--shows=table` (universal_tracked_shows in the
+// storage backend; `supabase` still works); falls back to the built-in list.
+const SHOWS_SOURCE = getArgValue('--shows') || process.env.SHOWS_SOURCE || '';
+
+// --- Discovery Configuration ---
+// `--discover` scans the things-to-do listings for calendar pages we don't
+// track yet. Candidates go to a review file, or `--output=table` (alias
+// `supabase`) for the universal_show_candidates table.
+const DISCOVER = process.argv.includes('--discover') || COMMAND === 'discover';
+const DISCOVERY_OUTPUT = getArgValue('--output') || process.env.DISCOVERY_OUTPUT || './discovered-shows.json';
+
+// --- Fetch Configuration ---
+// ETag / Last-Modified validators are kept in CMS_CACHE_FILE so unchanged
+// pages are skipped on the next run; `--force` ignores them. Shows are
+// processed SHOW_CONCURRENCY at a time (their log lines interleave above 1).
+const CMS_CACHE_FILE = process.env.CMS_CACHE_FILE || './.cms-cache.json';
+const FORCE_FETCH = process.argv.includes('--force');
+// Checked in main() before anything runs
+const CONCURRENCY_OPTION = getArgValue('--concurrency') || process.env.SHOW_CONCURRENCY || '1';
+const SHOW_CONCURRENCY = parseInt(CONCURRENCY_OPTION, 10);
+
+// --- Notification Configuration ---
+// `--notifiers=<file.json>`, NOTIFIERS_FILE, or inline JSON in NOTIFIERS.
+// See lib/notifiers/index.js for the format. Dry runs never notify.
+const NOTIFIERS_SOURCE = getArgValue('--notifiers') || process.env.NOTIFIERS_FILE || process.env.NOTIFIERS || '';
+
+// --- iCalendar Export ---
+// `--ics=<dir>` writes .ics feeds to a directory; `--ics=supabase` uploads
+// them to the ICS_BUCKET Storage bucket. Unset means no export.
+const ICS_OUTPUT = getArgValue('--ics') || process.env.ICS_OUTPUT || '';
+const ICS_BUCKET = process.env.ICS_BUCKET || 'calendars';
+
+// --- Logging ---
+// `--log-format=json` prints one structured event per line instead of the
+// text diagnostics. Each run is recorded in universal_collector_runs.
+const LOG_FORMAT = getArgValue('--log-format') || process.env.LOG_FORMAT || 'text';
+
+// --- Snapshot Archive ---
+// Each fetched page is archived to ARCHIVE_TARGET: a local directory,
+// `--archive=supabase` for the ARCHIVE_BUCKET Storage bucket, or `off`.
+// `--replay --show=<id> [--from=YYYY-MM-DD] [--to=YYYY-MM-DD]` re-parses the
+// archived snapshots (or a single `--file=<snapshot>`) and writes the
+// changes each would have raised to `--output`. `--backfill` also writes
+// each snapshot's schedule into universal_schedule_history as of its
+// archive time; nothing else is written. `--snapshot=<rows.json>` seeds
+// the comparison for the first one.
+const ARCHIVE_TARGET = getArgValue('--archive') || process.env.ARCHIVE_TARGET || './cms-archive';
+const ARCHIVE_BUCKET = process.env.ARCHIVE_BUCKET || 'cms-snapshots';
+const REPLAY = process.argv.includes('--replay') || COMMAND === 'replay';
+const REPLAY_BACKFILL = REPLAY && process.argv.includes('--backfill');
+const REPLAY_OUTPUT = getArgValue('--output') || './replay-report.json';
+
+// --- Park Hours ---
+// Park operating hours are collected before the shows so performances after
+// close or on closed days can be flagged. `--skip-park-hours` turns this off.
+const SKIP_PARK_HOURS = process.argv.includes('--skip-park-hours') || process.env.PARK_HOURS === 'off';
+
+// --- Schedule History ---
+// Every observed version of a performance is kept in universal_schedule_history.
+// `--history --show=<id> [--date=YYYY-MM-DD] [--as-of=<ISO time>]` reports
+// reschedules, tentative outcomes and the schedule as it stood at a moment.
+const HISTORY = process.argv.includes('--history') || COMMAND === 'history';
+
+// --- Read-only API ---
+// `--serve` answers GET /shows, /shows/:show_id/schedule, /parks/:park/tonight
+// and /changes on PORT (see lib/server.js), and collects every
+// COLLECT_INTERVAL_MINUTES in the same process (0 serves only).
+const SERVE = process.argv.includes('--serve') || COMMAND === 'serve';
+const SERVE_PORT = parseInt(getArgValue('--port') || process.env.PORT || '3000', 10);
+const SERVE_MAX_AGE = parseInt(process.env.SERVE_MAX_AGE || '60', 10);
+const COLLECT_INTERVAL_MINUTES = parseFloat(getArgValue('--interval') || process.env.COLLECT_INTERVAL_MINUTES || '60');
+
+// --- Disruption Notices ---
+// Same-day weather and operational cancellations or delays, which the CMS
+// calendar doesn't show. `--disruption-feed=<file.json|url>` is read after
+// each collection; `disrupt` records one by hand (see lib/disruptions.js).
+const DISRUPTION_FEED = getArgValue('--disruption-feed') || process.env.DISRUPTION_FEED || '';
+
+/**
+ * Read a `--name=value` (or `--name value`) command-line argument
+ */
+function getArgValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`${name}=`)) return args[i].slice(name.length + 1);
+    if (args[i] === name && args[i + 1] && !args[i + 1].startsWith('--')) return args[i + 1];
+  }
+  return null;
+}
 
 // ============================================================
-// CMS Parsing
+// Main Collection Loop
 // ============================================================
 
 /**
- * Fetch the CMS page model JSON for a show
+ * Run the pipeline for one show. When `context.snapshot` is set (dry-run),
+ * existing rows come from the snapshot and nothing is written to storage;
+ * the would-be writes are returned on `result.report` instead.
+ * When `context.validators` (a Map of url → ETag/Last-Modified) is set, the
+ * CMS fetch is conditional and an unchanged page skips parsing entirely.
  */
-async function fetchCMSData(url) {
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; MouseCounselors/1.0)',
-      'Accept': 'text/html,application/json'
+async function processShow(showConfig, context = {}) {
+  // Dry runs diff against a snapshot file; `diff` (context.readOnly) against storage
+  const dryRun = Array.isArray(context.snapshot) || Boolean(context.readOnly);
+  log.info('show.start', `\n--- Processing: ${showConfig.show_name} ---`, { show_name: showConfig.show_name });
+  // Dates and "today" are local to the show's destination
+  const { destination, locale, timeZone } = resolveShowLocale(showConfig);
+  const today = todayInZone(timeZone);
+
+  // 1. Fetch CMS data
+  let page;
+  try {
+    page = await fetchCMSPage(showConfig.cms_url, {
+      validators: context.validators?.get(showConfig.cms_url),
+      locale
+    });
+    const retried = page.attempts > 1 ? ` after ${page.attempts} attempts` : '';
+    log.info('cms.fetched', `  ✓ CMS data fetched (${page.status})${retried}`, { http_status: page.status, attempts: page.attempts });
+  } catch (error) {
+    log.error('cms.fetch_failed', `  ✗ CMS fetch failed: ${error.message}`, { http_status: error.status || null, error: error.message });
+    return { show: showConfig.show_id, error: error.message, http_status: error.status || null, schedules: 0, changes: 0 };
+  }
+
+  if (page.notModified) {
+    log.info('cms.not_modified', `  ✓ CMS page unchanged since last run — skipping parse`, { http_status: 304 });
+    if (dryRun) {
+      return { show: showConfig.show_id, status: 'NOT_MODIFIED', http_status: 304, unchanged: true, schedules: 0, changes: 0 };
     }
-  });
+    return recheckUnchangedShow(showConfig, context, { today, timeZone });
+  }
+  const cmsData = page.data;
 
-  if (!response.ok) {
-    throw new Error(`CMS fetch failed: ${response.status} ${response.statusText}`);
+  // Keep the raw page so this run can be replayed later
+  if (context.archive && page.text) {
+    await archivePage(context.archive, showConfig.show_id, page.text);
   }
 
-  const text = await response.text();
-  return JSON.parse(text);
-}
+  // 2. Check for Temporarily Closed (no calendar data)
+  const isClosed = checkTemporarilyClosed(cmsData);
 
-/**
- * Recursively search the CMS JSON for calendarConfig data.
- * The calendar is embedded in a ComponentPresentation whose
- * Component.Fields contains a calendarConfig field.
- */
-function findCalendarConfig(obj, depth = 0) {
-  if (depth > 25 || !obj || typeof obj !== 'object') return null;
+  // 3. Find and parse calendar config
+  const located = locateCalendarConfig(cmsData);
+  const calendarConfig = located?.config || null;
+  let newSchedules = [];
+
+  if (calendarConfig) {
+    newSchedules = parseCalendarConfig(calendarConfig, timeZone, { locale });
+    const dateCount = new Set(newSchedules.map(s => s.schedule_date)).size;
+    log.info('calendar.parsed', `  ✓ Parsed ${newSchedules.length} performances across ${dateCount} dates`, {
+      performances: newSchedules.length,
+      dates: dateCount
+    });
+    if (newSchedules.length > 0) {
+      const first = newSchedules[0];
+      const last = newSchedules[newSchedules.length - 1];
+      log.debug('calendar.range', `    First: ${first.schedule_date} (${first.show_time})`, { first_date: first.schedule_date, first_time: first.show_time });
+      log.debug('calendar.range', `    Last:  ${last.schedule_date} (${last.show_time})`, { last_date: last.schedule_date, last_time: last.show_time });
+    }
+  } else if (isClosed) {
+    log.warn('show.temporarily_closed', `  ⚠ Show is Temporarily Closed — no calendar data`);
+  } else {
+    // Debug: list all top-level Field keys to help diagnose
+    const cpCount = cmsData.ComponentPresentations?.length || 0;
+    log.warn('calendar.not_found', `  ⚠ No calendarConfig found (${cpCount} ComponentPresentations)`, { component_presentations: cpCount });
+    for (const cp of (cmsData.ComponentPresentations || [])) {
+      const fieldKeys = Object.keys(cp.Component?.Fields || {});
+      if (fieldKeys.length > 0) {
+        log.debug('calendar.component_fields', `    CP "${cp.Component?.Id}": ${fieldKeys.join(', ')}`, { component_id: cp.Component?.Id, keys: fieldKeys });
+      }
+    }
+  }
+
+  // Descriptive details (duration, location, image, closure reason, ...)
+  const details = extractShowDetails(cmsData, { baseUrl: showConfig.cms_url });
+
+  // 4. Determine current status
+  let currentStatus;
+  if (isClosed) {
+    currentStatus = 'TEMPORARILY_CLOSED';
+  } else if (newSchedules.length > 0) {
+    currentStatus = 'ACTIVE';
+  } else {
+    currentStatus = 'UNKNOWN';
+  }
 
-  // Direct hit — the calendarConfig field itself
-  if (obj.calendarConfig) {
-    return obj.calendarConfig;
+  // 5. Fetch existing records for change detection
+  let existingSchedules = [];
+  try {
+    if (Array.isArray(context.snapshot)) {
+      existingSchedules = fetchSnapshotSchedules(context.snapshot, showConfig.show_id, today);
+      log.info('existing.loaded', `  ✓ Found ${existingSchedules.length} existing records in snapshot`, { existing: existingSchedules.length, source: 'snapshot' });
+    } else {
+      existingSchedules = await context.store.fetchExistingSchedules(showConfig.show_id, today);
+      log.info('existing.loaded', `  ✓ Found ${existingSchedules.length} existing records in ${context.store.backend} storage`, { existing: existingSchedules.length, source: context.store.backend });
+    }
+  } catch (error) {
+    log.error('existing.fetch_failed', `  ⚠ Could not fetch existing records: ${error.message}`, { error: error.message });
   }
 
-  // Check Fields → calendarConfig pattern
-  if (obj.Fields && obj.Fields.calendarConfig) {
-    return obj.Fields.calendarConfig;
+  // 6. Sanity-check the parse — a vanished calendar or a large drop looks
+  //    exactly like a mass cancellation, so skip removals and flag it instead
+  const sanity = checkParseSanity({
+    calendarFound: Boolean(calendarConfig),
+    isClosed,
+    newSchedules,
+    existingSchedules
+  }, { today });
+  if (sanity.suspect) {
+    currentStatus = 'PARSE_FAILED';
+    log.error('parse.suspect', `  ✗ Parse looks suspect — skipping removals: ${sanity.reason}`, { reason: sanity.reason });
   }
 
-  // Recurse into arrays
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      const result = findCalendarConfig(item, depth + 1);
-      if (result) return result;
+  // 7. Compare the page's structure with the last one seen, and flag times
+  //    and styles the parser couldn't read. A closed show is expected to
+  //    lose its calendar; any other page without one is fingerprinted as
+  //    missing it.
+  const fingerprint = located || !isClosed ? pageFingerprint(located) : null;
+  const warnings = fingerprint ? parseWarnings(newSchedules, fingerprint) : [];
+  let previousFingerprint = null;
+  if (fingerprint && !Array.isArray(context.snapshot)) {
+    try {
+      previousFingerprint = await context.store.fetchPageFingerprint(showConfig.show_id);
+    } catch (error) {
+      log.error('fingerprint.fetch_failed', `  ⚠ Could not fetch the last page fingerprint: ${error.message}`, { error: error.message });
     }
-    return null;
   }
+  const driftChanges = fingerprint ? buildDriftChanges(showConfig, previousFingerprint, fingerprint, warnings, today) : [];
+  driftChanges.forEach(c => log.warn(c.change_kind === 'SCHEMA_DRIFT' ? 'schema.drift' : 'parse.warning', `  ⚠ ${c.change_description}`, {
+    change_kind: c.change_kind
+  }));
 
-  // Recurse into object values
-  for (const key of Object.keys(obj)) {
-    // Skip large irrelevant branches to stay fast
-    if (['MetadataFields', 'Categories', 'Multimedia'].includes(key)) continue;
-    const result = findCalendarConfig(obj[key], depth + 1);
-    if (result) return result;
+  // 8. Forecast from the show's history: a horizon gone short, usual
+  //    weekdays missing, a seasonal show overdue. Not on a suspect parse,
+  //    nor against a snapshot (no history to learn from).
+  const { forecast, changes: forecastChanges } = !sanity.suspect && !Array.isArray(context.snapshot)
+    ? await forecastShow(showConfig, context, newSchedules, { today, timeZone })
+    : { forecast: null, changes: [] };
+
+  // 9. Detect changes
+  const parkHours = context.parkHours?.get(showConfig.park_name);
+  const detected = detectChanges(showConfig, newSchedules, existingSchedules, {
+    skipRemovals: sanity.suspect,
+    parkHours,
+    today
+  });
+  detected.unshift(...driftChanges, ...forecastChanges);
+  if (sanity.suspect) {
+    detected.unshift({ ...buildParseFailureChange(showConfig, sanity.reason), change_date: today });
+  }
+  const changes = withIdempotencyKeys(detected, existingSchedules);
+  if (changes.length > 0) {
+    log.info('changes.detected', `  ⚡ ${changes.length} changes detected`, { changes: changes.length });
+    changes.forEach(c => log.info('change', `     - ${c.change_description}`, {
+      change_type: c.change_type,
+      change_date: c.change_date,
+      severity: c.severity
+    }));
+  } else {
+    log.info('changes.none', `  ✓ No changes detected`, { changes: 0 });
   }
 
-  return null;
+  // 10. Build upsert records. Without hours for a date, keep the clash
+  //     already recorded so it isn't reported again once hours return.
+  const now = new Date().toISOString();
+  const existingByKey = new Map(existingSchedules.map(e => [performanceKey(e.schedule_date, e.show_time), e]));
+  const conflictFor = s => (parkHours?.has(s.schedule_date)
+    ? hoursConflict(s, parkHours.get(s.schedule_date))
+    : existingByKey.get(performanceKey(s.schedule_date, s.show_time))?.hours_conflict ?? null);
+  const records = newSchedules.map(s => ({
+    show_id: showConfig.show_id,
+    show_name: showConfig.show_name,
+    park_name: showConfig.park_name,
+    destination,
+    locale,
+    schedule_date: s.schedule_date,
+    show_time: s.show_time,
+    show_time_local: s.show_time_local,
+    show_starts_at: s.show_starts_at,
+    show_type: showConfig.show_type,
+    status: s.status,
+    is_available: s.is_available,
+    hours_conflict: conflictFor(s),
+    source_url: showConfig.cms_url,
+    collected_at: now,
+    last_modified: now
+  }));
+
+  // Performances that disappeared from the CMS are kept, but marked cancelled
+  const removedPerformances = sanity.suspect ? [] : findRemovedPerformances(newSchedules, existingSchedules);
+  for (const removed of removedPerformances) {
+    records.push({
+      show_id: showConfig.show_id,
+      show_name: showConfig.show_name,
+      park_name: showConfig.park_name,
+      destination,
+      locale,
+      schedule_date: removed.schedule_date,
+      show_time: removed.show_time,
+      ...normalizeShowTime(removed.schedule_date, removed.show_time, timeZone),
+      show_type: showConfig.show_type,
+      status: 'CANCELLED',
+      is_available: false,
+      hours_conflict: null,
+      source_url: showConfig.cms_url,
+      collected_at: now,
+      last_modified: now
+    });
+  }
+
+  // Status summary row
+  const scheduledDates = [...new Set(newSchedules.map(s => s.schedule_date))];
+  const futureDates = scheduledDates
+    .filter(d => d >= today)
+    .sort();
+  const statusRecord = {
+    show_id: showConfig.show_id,
+    show_name: showConfig.show_name,
+    park_name: showConfig.park_name,
+    destination,
+    locale,
+    show_type: showConfig.show_type,
+    current_status: currentStatus,
+    next_scheduled_date: futureDates[0] || null,
+    last_scheduled_date: futureDates[futureDates.length - 1] || null,
+    total_scheduled_dates: scheduledDates.length,
+    cms_url: showConfig.cms_url,
+    last_checked_at: now,
+    last_updated_at: changes.length > 0 ? now : undefined
+  };
+  if (sanity.suspect) {
+    // Keep the last good date summary rather than overwriting it with a bad parse
+    delete statusRecord.next_scheduled_date;
+    delete statusRecord.last_scheduled_date;
+    delete statusRecord.total_scheduled_dates;
+  }
+  if (forecast) {
+    // Without a forecast the stored one is kept
+    Object.assign(statusRecord, forecastStatusFields(forecast));
+  }
+  const detailsRecord = { ...buildShowDetailsRecord(showConfig, details, now), destination, locale };
+  const fingerprintRecord = fingerprint ? buildFingerprintRecord(showConfig, fingerprint, warnings, now) : null;
+
+  if (dryRun) {
+    log.info('dry_run.show_reported', `  ✓ Dry run — ${records.length} schedule records and ${changes.length} changes reported, not written`, {
+      records: records.length,
+      changes: changes.length
+    });
+    return {
+      show: showConfig.show_id,
+      status: currentStatus,
+      http_status: page.status,
+      schedules: newSchedules.length,
+      changes: changes.length,
+      report: { schedules: records, changes, show_status: statusRecord, show_details: detailsRecord, page_fingerprint: fingerprintRecord }
+    };
+  }
+
+  // 11. Apply schedules, history, change log, status, details and the page
+  //     fingerprint as one write, so a failure part-way can't leave them out
+  //     of step. Changes carry idempotency keys, so retrying the same diff
+  //     logs nothing twice.
+  const writeErrors = [];
+  try {
+    const plan = planHistory(records, await context.store.fetchOpenHistory(showConfig.show_id, today), now);
+    // Refresh show details only when they changed (not from a suspect page)
+    const storedHash = sanity.suspect ? null : await context.store.fetchShowDetailsHash(showConfig.show_id);
+    const writeDetails = !sanity.suspect && storedHash !== detailsRecord.details_hash;
+
+    await context.store.applyShowWrite({
+      schedules: records,
+      changes,
+      status: statusRecord,
+      history_close: plan.close,
+      history_append: plan.append,
+      history_closed_at: now,
+      details: writeDetails ? detailsRecord : null,
+      fingerprint: fingerprintRecord
+    });
+    log.info('show.written', `  ✓ Wrote ${records.length} schedule records, ${changes.length} changes and ${plan.append.length} history versions`, {
+      records: records.length,
+      changes: changes.length,
+      versions: plan.append.length,
+      closed: plan.close.length,
+      details_updated: writeDetails
+    });
+    log.info('status.updated', `  ✓ Show status updated: ${currentStatus}`, { status: currentStatus });
+  } catch (error) {
+    log.error('show.write_failed', `  ✗ Write failed, nothing applied: ${error.message}`, { error: error.message });
+    writeErrors.push(`Write failed: ${error.message}`);
+  }
+
+  // Only remember the page version once it has been fully applied, so a
+  // failed write is retried against the same content next run
+  if (context.validators && writeErrors.length === 0 && !sanity.suspect) {
+    context.validators.set(showConfig.cms_url, page.validators);
+  }
+
+  return {
+    show: showConfig.show_id,
+    status: currentStatus,
+    http_status: page.status,
+    error: writeErrors.length > 0 ? writeErrors.join('; ') : undefined,
+    schedules: newSchedules.length,
+    changes: changes.length,
+    // Nothing was logged if the write was rolled back; the same changes
+    // are detected again next run
+    changeRows: writeErrors.length > 0 ? [] : changes
+  };
 }
 
 /**
- * Check if a show is marked "Temporarily Closed" in its utility section.
- * This handles shows like Hogwarts Lights that have no calendar.
+ * Forecast a show from its stored history and the schedule now known for
+ * it. Returns { forecast, changes }; on failure there is no forecast and
+ * the stored one stays.
  */
-function checkTemporarilyClosed(cmsData) {
+async function forecastShow(showConfig, context, schedules, { today, timeZone }) {
   try {
-    const presentations = cmsData.ComponentPresentations || [];
-    for (const cp of presentations) {
-      const features = cp.Component?.Fields?.featureList?.LinkedComponentValues || [];
-      for (const feature of features) {
-        const desc = feature.Fields?.description?.Values?.[0] || '';
-        if (desc.toLowerCase().includes('temporarily closed')) {
-          return true;
-        }
-      }
-    }
-  } catch (e) {
-    // Ignore parse errors
+    const [history, previousStatus] = await Promise.all([
+      context.store.fetchScheduleHistory(showConfig.show_id, { from: historyWindowStart(today) }),
+      context.store.fetchShowStatus(showConfig.show_id)
+    ]);
+    const forecast = analyzeSchedule(showConfig, history, schedules, { today, timeZone });
+    const changes = buildForecastChanges(showConfig, previousStatus?.forecast_flags, forecast, today);
+    changes.forEach(c => log.warn('forecast.flagged', `  ⚠ ${c.change_description}`, { change_kind: c.change_kind }));
+    return { forecast, changes };
+  } catch (error) {
+    log.error('forecast.failed', `  ⚠ Could not forecast from history: ${error.message}`, { error: error.message });
+    return { forecast: null, changes: [] };
   }
-  return false;
 }
 
 /**
- * Parse calendarConfig into an array of { date, show_time, status } objects.
- * 
- * calendarConfig structure (from CMS):
- *   EmbeddedValues: [
- *     {
- *       eventDates: { DateTimeValues: ["2026-01-05T00:00:00", ...] },
- *       blockData: {
- *         EmbeddedValues: [{
- *           eyebrow: { Values: ["8:30 PM"] },
- *           style: { Values: ["Active Style"] }  // or "Disabled Style" for tentative
- *         }]
- *       }
- *     },
- *     ...
- *   ]
- */
-/**
- * Recursively search an object for a key and return its value.
- * Used as a fallback when the exact path isn't known.
+ * The rest of a run for a show whose page came back 304. A stalled
+ * calendar is exactly an unchanged page, so the stored schedule is still
+ * forecast, and checked against fresh park hours; clashes and flags are
+ * written in one applyShowWrite, as the full path does. With nothing new
+ * only last_checked_at and the forecast move.
  */
-function findValueByKey(obj, targetKey, depth = 0) {
-  if (depth > 10 || !obj || typeof obj !== 'object') return null;
-  
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      const result = findValueByKey(item, targetKey, depth + 1);
-      if (result !== null) return result;
+async function recheckUnchangedShow(showConfig, context, { today, timeZone }) {
+  const unchanged = { show: showConfig.show_id, status: 'NOT_MODIFIED', http_status: 304, unchanged: true, schedules: 0, changes: 0 };
+  const now = new Date().toISOString();
+  try {
+    const [existing, previousStatus] = await Promise.all([
+      context.store.fetchExistingSchedules(showConfig.show_id, today),
+      context.store.fetchShowStatus(showConfig.show_id)
+    ]);
+    const live = existing.filter(e => e.status !== 'CANCELLED');
+
+    // Stored rows against themselves: only park-hours clashes can show up
+    const parkHours = context.parkHours?.get(showConfig.park_name);
+    const detected = parkHours ? detectChanges(showConfig, live, existing, { parkHours, today }) : [];
+    const conflictFor = e => hoursConflict(e, parkHours.get(e.schedule_date));
+    const records = parkHours
+      ? live
+        .filter(e => parkHours.has(e.schedule_date) && conflictFor(e) !== (e.hours_conflict ?? null))
+        .map(e => ({ ...e, hours_conflict: conflictFor(e), last_modified: now }))
+      : [];
+    const { forecast, changes: forecastChanges } = await forecastShow(showConfig, context, live, { today, timeZone });
+    const changes = withIdempotencyKeys([...forecastChanges, ...detected], existing);
+    const statusFields = { last_checked_at: now, ...(forecast ? forecastStatusFields(forecast) : {}) };
+
+    if (!previousStatus || (records.length === 0 && changes.length === 0)) {
+      await context.store.touchShowStatus(showConfig.show_id, statusFields);
+      return { ...unchanged, schedules: live.length };
     }
-    return null;
-  }
-  
-  for (const key of Object.keys(obj)) {
-    if (key === targetKey) return obj[key];
-    const result = findValueByKey(obj[key], targetKey, depth + 1);
-    if (result !== null) return result;
+
+    changes.forEach(c => log.info('change', `     - ${c.change_description}`, {
+      change_type: c.change_type,
+      change_date: c.change_date,
+      severity: c.severity
+    }));
+    const plan = planHistory(records, await context.store.fetchOpenHistory(showConfig.show_id, today), now);
+    await context.store.applyShowWrite({
+      schedules: records,
+      changes,
+      status: { ...previousStatus, ...statusFields, last_updated_at: changes.length > 0 ? now : previousStatus.last_updated_at },
+      history_close: plan.close,
+      history_append: plan.append,
+      history_closed_at: now,
+      details: null,
+      fingerprint: null
+    });
+    log.info('show.written', `  ✓ Rechecked stored schedule: ${records.length} records updated, ${changes.length} changes`, {
+      records: records.length,
+      changes: changes.length,
+      versions: plan.append.length
+    });
+    return { ...unchanged, unchanged: changes.length === 0, schedules: live.length, changes: changes.length, changeRows: changes };
+  } catch (error) {
+    log.error('status.update_failed', `  ✗ Recheck of the stored schedule failed: ${error.message}`, { error: error.message });
+    return { ...unchanged, error: `Recheck failed: ${error.message}` };
   }
-  return null;
 }
 
 /**
- * Extract the eyebrow (show time) and style from a blockData object.
- * Tries multiple Tridion CMS patterns since the nesting varies.
+ * Second collector: park operating hours, keyed by the shows' park_name.
+ * Sets context.parkHours for change detection; a failed park just means
+ * its shows aren't checked against hours this run.
  */
-function extractBlockInfo(blockData) {
-  let showTime = 'Unknown';
-  let isTentative = false;
-
-  if (!blockData) return { showTime, isTentative };
-
-  // Try multiple Tridion CMS patterns for the nested block
-  const blockEntries = 
-    blockData.EmbeddedValues ||
-    blockData.LinkedComponentValues ||
-    blockData.Values ||
-    [];
-
-  if (Array.isArray(blockEntries) && blockEntries.length > 0) {
-    const block = blockEntries[0];
-
-    // The eyebrow might be directly on the block, or nested under Fields
-    const eyebrowObj = block.eyebrow || block.Fields?.eyebrow;
-    if (eyebrowObj) {
-      showTime = eyebrowObj.Values?.[0] || eyebrowObj.Value || 'Unknown';
-    }
+async function processParkHours(context) {
+  log.info('park_hours.start', '\n--- Collecting park hours ---');
+  const { rows, hoursByPark, errors } = await collectParkHours();
+  errors.forEach(e => log.error('park_hours.fetch_failed', `  ✗ ${e.park_name}: ${e.error}`, { park_name: e.park_name, error: e.error }));
+  log.info('park_hours.parsed', `  ✓ Parsed ${rows.length} park days across ${hoursByPark.size} parks`, {
+    park_days: rows.length,
+    parks: hoursByPark.size
+  });
+  context.parkHours = hoursByPark;
 
-    // Same for style
-    const styleObj = block.style || block.Fields?.style;
-    if (styleObj) {
-      const styleVal = styleObj.Values?.[0] || styleObj.Value || '';
-      isTentative = styleVal.toLowerCase().includes('disabled');
-    }
+  if (DRY_RUN || context.readOnly) return rows;
+  try {
+    await context.store.upsertParkHours(rows);
+    log.info('park_hours.upserted', `  ✓ Upserted ${rows.length} park hours records`, { records: rows.length });
+  } catch (error) {
+    log.error('park_hours.upsert_failed', `  ✗ Park hours upsert failed: ${error.message}`, { error: error.message });
   }
+  return rows;
+}
 
-  // Fallback: recursively search blockData for eyebrow
-  if (showTime === 'Unknown') {
-    const eyebrowFound = findValueByKey(blockData, 'eyebrow');
-    if (eyebrowFound) {
-      showTime = eyebrowFound.Values?.[0] || eyebrowFound.Value || 
-                 (typeof eyebrowFound === 'string' ? eyebrowFound : 'Unknown');
+/**
+ * Archive a fetched page and prune the show's expired snapshots.
+ * Archive failures are logged but don't fail the show.
+ */
+async function archivePage(store, showId, text) {
+  try {
+    const archived = await archiveSnapshot(store, showId, text);
+    if (archived.skipped) {
+      log.debug('archive.unchanged', `  ✓ Page identical to snapshot ${archived.path}`, { path: archived.path });
+    } else {
+      log.info('archive.stored', `  ✓ Snapshot archived: ${archived.path}`, { path: archived.path, hash: archived.hash });
     }
-  }
-
-  // Fallback: recursively search for style
-  if (!isTentative) {
-    const styleFound = findValueByKey(blockData, 'style');
-    if (styleFound) {
-      const styleVal = styleFound.Values?.[0] || styleFound.Value || 
-                       (typeof styleFound === 'string' ? styleFound : '');
-      isTentative = styleVal.toLowerCase().includes('disabled');
+    const pruned = await pruneSnapshots(store, showId);
+    if (pruned.length > 0) {
+      log.info('archive.pruned', `  ✓ Pruned ${pruned.length} expired snapshots`, { pruned: pruned.length });
     }
+  } catch (error) {
+    log.warn('archive.failed', `  ⚠ Snapshot archive failed: ${error.message}`, { error: error.message });
   }
-
-  return { showTime, isTentative };
 }
 
-function parseCalendarConfig(calendarConfig) {
-  const schedules = [];
-  let debugged = false;
-
-  const entries = calendarConfig.EmbeddedValues || calendarConfig.LinkedComponentValues || calendarConfig.Values || [];
-  if (!Array.isArray(entries)) {
-    console.log(`    ⚠ calendarConfig has no iterable entries. Keys: ${Object.keys(calendarConfig).join(', ')}`);
-    return schedules;
-  }
-
-  for (const entry of entries) {
-    // Extract dates
-    const dateTimeValues = entry.eventDates?.DateTimeValues || [];
-    if (dateTimeValues.length === 0) continue;
-
-    // Debug: log the blockData structure for the first entry
-    if (!debugged && entry.blockData) {
-      const bdKeys = Object.keys(entry.blockData);
-      console.log(`    blockData keys: ${bdKeys.join(', ')}`);
-      for (const k of bdKeys) {
-        const val = entry.blockData[k];
-        if (Array.isArray(val) && val.length > 0) {
-          const firstKeys = typeof val[0] === 'object' ? Object.keys(val[0]).join(', ') : typeof val[0];
-          console.log(`    blockData.${k}[0] keys: ${firstKeys}`);
-          // If it has Fields, show those too
-          if (val[0].Fields) {
-            console.log(`    blockData.${k}[0].Fields keys: ${Object.keys(val[0].Fields).join(', ')}`);
-          }
-        }
-      }
-      debugged = true;
-    } else if (!debugged) {
-      console.log(`    ⚠ First entry has no blockData. Entry keys: ${Object.keys(entry).join(', ')}`);
-      debugged = true;
-    }
-
-    // Extract show time and tentative status
-    const { showTime, isTentative } = extractBlockInfo(entry.blockData);
-
-    // Create a schedule record for each date
-    for (const dt of dateTimeValues) {
-      const dateStr = dt.split('T')[0]; // "2026-01-05"
-      schedules.push({
-        schedule_date: dateStr,
-        show_time: showTime,
-        status: isTentative ? 'TENTATIVE' : 'SCHEDULED',
-        is_available: !isTentative
-      });
+/**
+ * Replay archived snapshots for one show through parsing and change
+ * detection, into a report, and with --backfill into its history
+ */
+async function runReplay(trackedShows, tables) {
+  const showId = getArgValue('--show');
+  if (!showId) throw new Error('--replay needs --show=<show_id>');
+  const showConfig = trackedShows.find(s => s.show_id === showId) || { show_id: showId, show_name: showId };
+  const { timeZone, locale } = resolveShowLocale(showConfig);
+  const replayFile = getArgValue('--file');
+
+  let snapshots;
+  if (replayFile) {
+    const named = parseSnapshotPath(`${path.basename(path.dirname(replayFile))}/${path.basename(replayFile)}`);
+    const { data } = decodeSnapshot(fs.readFileSync(replayFile));
+    snapshots = [{ path: replayFile, fetched_at: named?.fetched_at || null, data }];
+  } else {
+    const store = createArchiveStore(ARCHIVE_TARGET, { bucket: ARCHIVE_BUCKET });
+    if (!store) throw new Error('--replay needs an archive (--archive) or a --file');
+    const listed = await listSnapshots(store, showId, { from: getArgValue('--from'), to: getArgValue('--to'), timeZone });
+    snapshots = [];
+    for (const snapshot of listed) {
+      snapshots.push(await readSnapshot(store, snapshot));
     }
   }
 
-  return schedules;
-}
-
-// ============================================================
-// Supabase Operations
-// ============================================================
-
-async function supabaseRequest(path, method, body, extraHeaders = {}) {
-  const url = `${SUPABASE_URL}/rest/v1/${path}`;
-  const headers = {
-    'apikey': SUPABASE_KEY,
-    'Authorization': `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    ...extraHeaders
-  };
-
-  const options = { method, headers };
-  if (body) options.body = JSON.stringify(body);
-
-  const response = await fetch(url, options);
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Supabase ${method} ${path}: ${response.status} - ${errorText}`);
+  log.info('replay.start', `\n--- Replaying ${snapshots.length} snapshots for ${showId} ---`, { snapshots: snapshots.length });
+  const baselineFile = getArgValue('--snapshot');
+  const baseline = baselineFile ? loadSnapshot(baselineFile).filter(r => r.show_id === showId) : null;
+  const steps = replaySnapshots(showConfig, snapshots, { baseline, timeZone, locale });
+
+  for (const step of steps) {
+    log.info('replay.snapshot', `  ${step.status === 'PARSE_FAILED' ? '✗' : '✓'} ${step.fetched_at || step.path}: ${step.status}, ${step.performances} performances, ${step.changes.length} changes`, {
+      path: step.path,
+      status: step.status,
+      performances: step.performances,
+      changes: step.changes.length
+    });
+    step.changes.forEach(c => log.info('change', `     - ${c.change_description}`, {
+      change_type: c.change_type,
+      change_date: c.change_date,
+      severity: c.severity
+    }));
   }
 
-  const contentType = response.headers.get('content-type') || '';
-  if (contentType.includes('application/json')) {
-    return response.json();
+  writeReplayReport(REPLAY_OUTPUT, showId, steps);
+  log.info('replay.written', `  ✓ Replay report written to ${REPLAY_OUTPUT}`, { output: REPLAY_OUTPUT });
+
+  if (REPLAY_BACKFILL) {
+    const backfilled = await backfillHistory(tables, showConfig, steps, { timeZone });
+    log.info('replay.backfilled', `  ✓ History backfilled from ${backfilled.snapshots} snapshots: ${backfilled.appended} versions added, ${backfilled.closed} closed`, backfilled);
   }
-  return null;
 }
 
 /**
- * Fetch existing schedule records for a show (future dates only)
+ * Report a show's schedule history: reschedules per date, what became of
+ * tentative performances, and optionally the schedule as of an instant
  */
-async function fetchExistingSchedules(showId) {
-  const today = new Date().toISOString().split('T')[0];
-  const path = `universal_entertainment_schedules?show_id=eq.${showId}&schedule_date=gte.${today}&select=*`;
-  return supabaseRequest(path, 'GET');
+async function runHistoryReport(trackedShows, store) {
+  const showId = getArgValue('--show');
+  if (!showId) throw new Error('--history needs --show=<show_id>');
+  const show = trackedShows.find(s => s.show_id === showId) || { show_id: showId, show_name: showId };
+  const history = await store.fetchScheduleHistory(showId, { date: getArgValue('--date') });
+
+  log.info('history.start', `\n--- Schedule history for ${show.show_name} (${history.length} versions) ---`, { versions: history.length });
+
+  const dates = [...new Set(history.map(v => v.schedule_date))].sort();
+  const rescheduled = dates
+    .map(date => ({ date, count: rescheduleCount(history, date) }))
+    .filter(d => d.count > 0);
+  log.info('history.reschedules', `  ${rescheduled.length} of ${dates.length} dates rescheduled`, { dates: dates.length, rescheduled: rescheduled.length });
+  rescheduled.forEach(d => log.info('history.rescheduled_date', `     - ${d.date}: ${d.count} times`, { schedule_date: d.date, reschedules: d.count }));
+
+  const outcomes = tentativeOutcomes(history);
+  log.info('history.tentative', `  Tentative performances: ${outcomes.tentative} (${outcomes.confirmed} confirmed, ${outcomes.cancelled} cancelled, ${outcomes.pending} pending)`, outcomes);
+
+  const asOf = getArgValue('--as-of');
+  if (asOf) {
+    const at = new Date(asOf).toISOString();
+    const schedule = scheduleAsOf(history, at);
+    log.info('history.as_of', `  Schedule as of ${at}: ${schedule.length} performances`, { as_of: at, performances: schedule.length });
+    schedule.forEach(v => log.info('history.as_of_performance', `     - ${v.schedule_date} ${v.show_time} ${v.status}`, {
+      schedule_date: v.schedule_date,
+      show_time: v.show_time,
+      status: v.status
+    }));
+  }
 }
 
 /**
- * Upsert a batch of schedule records
+ * Print fixed-width table lines: the header as decoration, each row as an
+ * event carrying that row's fields
  */
-async function upsertSchedules(records) {
-  if (records.length === 0) return;
-
-  // Supabase REST upsert — POST with merge-duplicates on UNIQUE(show_id, schedule_date)
-  return supabaseRequest(
-    'universal_entertainment_schedules',
-    'POST',
-    records,
-    { 'Prefer': 'resolution=merge-duplicates,return=minimal' }
-  );
+function printTable(event, rows, columns, fieldsFor) {
+  const lines = formatTable(rows, columns);
+  log.text(lines[0]);
+  log.text(lines[1]);
+  rows.forEach((row, i) => log.info(event, lines[i + 2], fieldsFor(row)));
 }
 
 /**
- * Log detected changes for the notification system
+ * `inspect <url|show_id>`: fetch one CMS page and print where its
+ * calendarConfig is and what it parses to, without touching storage
  */
-async function logChanges(changes) {
-  if (changes.length === 0) return;
-  return supabaseRequest(
-    'universal_schedule_changes',
-    'POST',
-    changes,
-    { 'Prefer': 'return=minimal' }
-  );
+async function runInspect(target, trackedShows) {
+  if (!target) throw new Error('inspect needs a CMS page URL or a tracked show_id');
+  const show = /^https?:\/\//.test(target) ? { cms_url: target } : trackedShows.find(s => s.show_id === target);
+  if (!show) throw new Error(`"${target}" is neither a URL nor a tracked show_id`);
+  const url = show.cms_url;
+  const { destination, locale, timeZone } = resolveShowLocale(show);
+
+  const page = await fetchCMSPage(url, { locale });
+  log.info('inspect.fetched', `\nURL:       ${url}\nHTTP:      ${page.status}\nLocale:    ${destination} ${locale} (${timeZone})`, {
+    url,
+    http_status: page.status,
+    destination,
+    locale
+  });
+
+  const found = locateCalendarConfig(page.data);
+  const closed = checkTemporarilyClosed(page.data);
+  log.info('inspect.calendar', `Calendar:  ${found ? found.path : 'no calendarConfig found'}`, { path: found?.path || null });
+  log.info('inspect.closed', `Closed:    ${closed ? 'Temporarily Closed' : 'no'}`, { temporarily_closed: closed });
+  if (!found) return;
+
+  const schedules = parseCalendarConfig(found.config, timeZone, { locale });
+  log.info('inspect.parsed', `Parsed:    ${schedules.length} performances across ${new Set(schedules.map(s => s.schedule_date)).size} dates\n`, {
+    performances: schedules.length
+  });
+  printTable('inspect.performance', schedules, [
+    ['DATE', s => s.schedule_date],
+    ['TIME', s => s.show_time],
+    ['LOCAL', s => s.show_time_local],
+    ['STARTS AT', s => s.show_starts_at],
+    ['STATUS', s => s.status]
+  ], s => ({ schedule_date: s.schedule_date, show_time: s.show_time, status: s.status }));
 }
 
 /**
- * Upsert the show status summary row
+ * `status`: print every show's universal_show_status row
  */
-async function upsertShowStatus(statusRecord) {
-  return supabaseRequest(
-    'universal_show_status',
-    'POST',
-    statusRecord,
-    { 'Prefer': 'resolution=merge-duplicates,return=minimal' }
-  );
+async function runStatus(store) {
+  const rows = await store.fetchShowStatuses();
+  log.info('status.loaded', `\n${rows.length} shows in universal_show_status\n`, { shows: rows.length });
+  printTable('status.show', rows, [
+    ['SHOW', r => r.show_id],
+    ['STATUS', r => r.current_status],
+    ['NEXT', r => r.next_scheduled_date],
+    ['LAST', r => r.last_scheduled_date],
+    ['DATES', r => r.total_scheduled_dates],
+    ['HORIZON', r => (r.horizon_days == null ? '' : `${r.horizon_days}d${r.typical_horizon_days == null ? '' : ` / ${r.typical_horizon_days}d`}`)],
+    ['FLAGS', r => (r.forecast_flags || []).join(',')],
+    ['CHECKED', r => r.last_checked_at],
+    ['UPDATED', r => r.last_updated_at]
+  ], r => ({ show_id: r.show_id, status: r.current_status }));
 }
 
-// ============================================================
-// Change Detection
-// ============================================================
-
-function detectChanges(showConfig, newSchedules, existingSchedules) {
-  const changes = [];
-  const existingMap = new Map();
-
-  for (const existing of existingSchedules) {
-    existingMap.set(existing.schedule_date, existing);
-  }
-
-  for (const newRec of newSchedules) {
-    const existing = existingMap.get(newRec.schedule_date);
-
-    if (!existing) {
-      // Brand new date added
-      changes.push({
-        change_type: 'ENTERTAINMENT',
-        entity_id: showConfig.show_id,
-        entity_name: showConfig.show_name,
-        change_date: newRec.schedule_date,
-        change_description: `New show date added: ${showConfig.show_name} on ${newRec.schedule_date} at ${newRec.show_time}`,
-        old_value: null,
-        new_value: { show_time: newRec.show_time, status: newRec.status },
-        severity: 'LOW'
-      });
-    } else {
-      // Check for time change
-      if (existing.show_time !== newRec.show_time) {
-        changes.push({
-          change_type: 'ENTERTAINMENT',
-          entity_id: showConfig.show_id,
-          entity_name: showConfig.show_name,
-          change_date: newRec.schedule_date,
-          change_description: `Show time changed for ${showConfig.show_name} on ${newRec.schedule_date}: ${existing.show_time} → ${newRec.show_time}`,
-          old_value: { show_time: existing.show_time },
-          new_value: { show_time: newRec.show_time },
-          severity: 'MEDIUM'
-        });
-      }
+/**
+ * `diff --show <id>`: the changes a collect would make for the named shows,
+ * diffed against storage and printed without writing anything
+ */
+async function runDiff(context) {
+  context.readOnly = true;
+  if (!SKIP_PARK_HOURS) await processParkHours(context);
 
-      // Check for status change
-      if (existing.status !== newRec.status) {
-        changes.push({
-          change_type: 'ENTERTAINMENT',
-          entity_id: showConfig.show_id,
-          entity_name: showConfig.show_name,
-          change_date: newRec.schedule_date,
-          change_description: `Status changed for ${showConfig.show_name} on ${newRec.schedule_date}: ${existing.status} → ${newRec.status}`,
-          old_value: { status: existing.status },
-          new_value: { status: newRec.status },
-          severity: 'MEDIUM'
-        });
-      }
-    }
+  const results = [];
+  for (const show of context.only) {
+    results.push(await withLogContext({ show_id: show.show_id }, () => processShow(show, context)));
   }
 
-  // Check for removed dates (existed in DB but not in new CMS data)
-  const newDateSet = new Set(newSchedules.map(s => s.schedule_date));
-  for (const existing of existingSchedules) {
-    if (!newDateSet.has(existing.schedule_date)) {
-      changes.push({
-        change_type: 'ENTERTAINMENT',
-        entity_id: showConfig.show_id,
-        entity_name: showConfig.show_name,
-        change_date: existing.schedule_date,
-        change_description: `Show date removed: ${showConfig.show_name} on ${existing.schedule_date} (was ${existing.show_time})`,
-        old_value: { show_time: existing.show_time, status: existing.status },
-        new_value: null,
-        severity: 'HIGH'
-      });
-    }
+  const changes = results.flatMap(r => r.report?.changes || []);
+  log.info('diff.pending', `\n${changes.length} pending changes (not written)\n`, { changes: changes.length });
+  if (changes.length > 0) {
+    printTable('diff.change', changes, [
+      ['SHOW', c => c.entity_id],
+      ['SEVERITY', c => c.severity],
+      ['KIND', c => c.change_kind],
+      ['DATE', c => c.change_date],
+      ['DESCRIPTION', c => c.change_description]
+    ], c => ({ show_id: c.entity_id, change_kind: c.change_kind, change_date: c.change_date, severity: c.severity }));
   }
-
-  return changes;
+  if (results.some(r => r.error)) process.exitCode = 1;
+  return results;
 }
 
-// ============================================================
-// Main Collection Loop
-// ============================================================
-
-async function processShow(showConfig) {
-  console.log(`\n--- Processing: ${showConfig.show_name} ---`);
+/**
+ * Discovery pass: propose new shows and report tracked URLs that stopped resolving
+ */
+async function runDiscovery(trackedShows, store) {
+  log.info('discovery.start', '\n--- Discovering shows from things-to-do listings ---');
+  const result = await discoverShows(trackedShows);
+
+  result.listingErrors.forEach(e => log.error('discovery.listing_failed', `  ✗ Listing ${e.url}: ${e.error}`, { url: e.url, error: e.error }));
+  log.info('discovery.checked', `  ✓ Checked ${result.checkedPages} untracked pages`, { pages: result.checkedPages });
+  log.info('discovery.candidates', `  ${result.candidates.length > 0 ? '⚡' : '✓'} ${result.candidates.length} new calendar pages found`, { candidates: result.candidates.length });
+  result.candidates.forEach(c => log.info('discovery.candidate', `     - ${c.show_id} (${c.show_type}, ${c.park_name || 'park unknown'})`, { candidate: c }));
+  if (result.unresolved.length > 0) {
+    log.warn('discovery.unresolved', `  ⚠ ${result.unresolved.length} tracked shows no longer resolve`, { unresolved: result.unresolved.length });
+    result.unresolved.forEach(u => log.warn('discovery.unresolved_show', `     - ${u.show_id}: ${u.error}`, { show_id: u.show_id, error: u.error }));
+  }
 
-  // 1. Fetch CMS data
-  let cmsData;
-  try {
-    cmsData = await fetchCMSData(showConfig.cms_url);
-    console.log(`  ✓ CMS data fetched`);
-  } catch (error) {
-    console.error(`  ✗ CMS fetch failed: ${error.message}`);
-    return { show: showConfig.show_id, error: error.message, schedules: 0, changes: 0 };
+  if (DISCOVERY_OUTPUT === 'table' || DISCOVERY_OUTPUT === 'supabase') {
+    await store.insertShowCandidates(result.candidates.map(c => ({
+      ...c,
+      review_status: 'PENDING',
+      discovered_at: new Date().toISOString()
+    })));
+    log.info('discovery.written', `  ✓ Candidates written to universal_show_candidates`, { output: 'supabase' });
+  } else {
+    writeDiscoveryReport(DISCOVERY_OUTPUT, result);
+    log.info('discovery.written', `  ✓ Candidates written to ${DISCOVERY_OUTPUT}`, { output: DISCOVERY_OUTPUT });
   }
+}
 
-  // 2. Check for Temporarily Closed (no calendar data)
-  const isClosed = checkTemporarilyClosed(cmsData);
+/**
+ * Export .ics feeds for the shows in this run. Feeds are built from the
+ * stored rows (so shows skipped as unchanged are still included), or from
+ * the would-be records in a dry run.
+ */
+async function exportCalendars(shows, results, store) {
+  log.info('ics.start', '\n--- Exporting iCalendar feeds ---');
+  const rowsByShow = new Map();
+
+  for (const show of shows) {
+    if (DRY_RUN) {
+      const result = results.find(r => r.show === show.show_id);
+      rowsByShow.set(show.show_id, result?.report?.schedules || []);
+      continue;
+    }
+    try {
+      const today = todayInZone(resolveShowLocale(show).timeZone);
+      const [rows, openVersions] = await Promise.all([
+        store.fetchExistingSchedules(show.show_id, today),
+        store.fetchOpenHistory(show.show_id, today)
+      ]);
+      // SEQUENCE and DTSTAMP follow history, not last_modified (rewritten every run)
+      rowsByShow.set(show.show_id, withChangeTimes(rows, openVersions));
+    } catch (error) {
+      log.error('ics.read_failed', `  ✗ Could not read schedules for ${show.show_id}: ${error.message}`, { show_id: show.show_id, error: error.message });
+    }
+  }
 
-  // 3. Find and parse calendar config
-  const calendarConfig = findCalendarConfig(cmsData);
-  let newSchedules = [];
+  const feeds = buildFeeds(shows, rowsByShow, {
+    timeZone: PARK_TIMEZONE,
+    timeZoneFor: show => resolveShowLocale(show).timeZone
+  });
 
-  if (calendarConfig) {
-    newSchedules = parseCalendarConfig(calendarConfig);
-    console.log(`  ✓ Parsed ${newSchedules.length} scheduled dates`);
-    if (newSchedules.length > 0) {
-      console.log(`    First: ${newSchedules[0].schedule_date} (${newSchedules[0].show_time})`);
-      console.log(`    Last:  ${newSchedules[newSchedules.length - 1].schedule_date} (${newSchedules[newSchedules.length - 1].show_time})`);
-    }
-  } else if (isClosed) {
-    console.log(`  ⚠ Show is Temporarily Closed — no calendar data`);
-  } else {
-    // Debug: list all top-level Field keys to help diagnose
-    const cpCount = cmsData.ComponentPresentations?.length || 0;
-    console.log(`  ⚠ No calendarConfig found (${cpCount} ComponentPresentations)`);
-    for (const cp of (cmsData.ComponentPresentations || [])) {
-      const fieldKeys = Object.keys(cp.Component?.Fields || {});
-      if (fieldKeys.length > 0) {
-        console.log(`    CP "${cp.Component?.Id}": ${fieldKeys.join(', ')}`);
+  if (ICS_OUTPUT === 'supabase' && DRY_RUN) {
+    log.info('ics.built', `  ✓ Dry run — ${feeds.length} feeds built, not uploaded`, { feeds: feeds.length });
+  } else if (ICS_OUTPUT === 'supabase') {
+    for (const feed of feeds) {
+      try {
+        await uploadStorageObject(ICS_BUCKET, feed.path, feed.content, 'text/calendar; charset=utf-8');
+      } catch (error) {
+        log.error('ics.upload_failed', `  ✗ ${error.message}`, { path: feed.path, error: error.message });
       }
     }
+    log.info('ics.uploaded', `  ✓ ${feeds.length} feeds uploaded to Storage bucket "${ICS_BUCKET}"`, { feeds: feeds.length, bucket: ICS_BUCKET });
+  } else {
+    writeFeeds(ICS_OUTPUT, feeds);
+    log.info('ics.written', `  ✓ ${feeds.length} feeds written to ${ICS_OUTPUT}`, { feeds: feeds.length, output: ICS_OUTPUT });
   }
+}
 
-  // 4. Determine current status
-  let currentStatus;
-  if (isClosed) {
-    currentStatus = 'TEMPORARILY_CLOSED';
-  } else if (newSchedules.length > 0) {
-    currentStatus = 'ACTIVE';
-  } else {
-    currentStatus = 'UNKNOWN';
+/**
+ * One collection run: park hours, every in-season show, then exports,
+ * notifications and the run record. Returns the per-show results.
+ */
+async function runCollection(context, trackedShows, notifierConfigs, { runId, mode, startedAt, only }) {
+  // Shows named with --show are collected even when out of season
+  const shows = only || trackedShows.filter(show => isInSeason(show, todayInZone(resolveShowLocale(show).timeZone)));
+  log.info('shows.loaded', `Tracking ${shows.length} of ${trackedShows.length} shows${SHOWS_SOURCE ? ` from ${SHOWS_SOURCE}` : ''}${only ? ' (named with --show)' : ''}`, {
+    tracked: trackedShows.length,
+    active: shows.length
+  });
+  for (const show of trackedShows.filter(s => !shows.includes(s))) {
+    log.info('show.skipped', `  – Skipping ${show.show_id} (${only ? 'not named with --show' : 'inactive or out of season'})`, { show_id: show.show_id });
   }
 
-  // 5. Fetch existing records for change detection
-  let existingSchedules = [];
-  try {
-    existingSchedules = await fetchExistingSchedules(showConfig.show_id);
-    console.log(`  ✓ Found ${existingSchedules.length} existing records in Supabase`);
-  } catch (error) {
-    console.error(`  ⚠ Could not fetch existing records: ${error.message}`);
+  // Dry runs always parse in full; otherwise use conditional requests
+  if (!DRY_RUN) {
+    context.validators = FORCE_FETCH ? new Map() : loadValidatorCache(CMS_CACHE_FILE);
+    context.archive = createArchiveStore(ARCHIVE_TARGET, { bucket: ARCHIVE_BUCKET });
   }
 
-  // 6. Detect changes
-  const changes = detectChanges(showConfig, newSchedules, existingSchedules);
-  if (changes.length > 0) {
-    console.log(`  ⚡ ${changes.length} changes detected`);
-    changes.forEach(c => console.log(`     - ${c.change_description}`));
-  } else {
-    console.log(`  ✓ No changes detected`);
+  const parkHoursRows = SKIP_PARK_HOURS ? [] : await processParkHours(context);
+
+  const results = await mapWithConcurrency(shows, SHOW_CONCURRENCY, show =>
+    withLogContext({ show_id: show.show_id }, async () => {
+      try {
+        return await processShow(show, context);
+      } catch (error) {
+        log.error('show.fatal', `\nFATAL error processing ${show.show_id}: ${error.message}`, { error: error.message });
+        return { show: show.show_id, error: error.message, schedules: 0, changes: 0 };
+      }
+    })
+  );
+
+  if (context.validators) {
+    saveValidatorCache(CMS_CACHE_FILE, context.validators);
   }
 
-  // 7. Build upsert records
-  const now = new Date().toISOString();
-  const records = newSchedules.map(s => ({
-    show_id: showConfig.show_id,
-    show_name: showConfig.show_name,
-    park_name: showConfig.park_name,
-    schedule_date: s.schedule_date,
-    show_time: s.show_time,
-    show_type: showConfig.show_type,
-    status: s.status,
-    is_available: s.is_available,
-    source_url: showConfig.cms_url,
-    collected_at: now,
-    last_modified: now
-  }));
+  // Summary
+  log.text('\n===========================================');
+  log.text('Collection Summary');
+  log.text('===========================================');
+  const totalSchedules = results.reduce((sum, r) => sum + (r.schedules || 0), 0);
+  const totalChanges = results.reduce((sum, r) => sum + (r.changes || 0), 0);
+  const errors = results.filter(r => r.error);
+
+  results.forEach(r => {
+    const icon = r.error ? '✗' : '✓';
+    const fields = { show_id: r.show, status: r.status || null, performances: r.schedules, changes: r.changes, error: r.error || null };
+    if (r.unchanged && !r.error) {
+      log.info('show.summary', `  ${icon} ${r.show}: unchanged since last run`, fields);
+      return;
+    }
+    log.info('show.summary', `  ${icon} ${r.show}: ${r.schedules} performances, ${r.changes} changes${r.error ? ` (ERROR: ${r.error})` : ''}`, fields);
+  });
+
+  log.info('run.totals', `\nTotal: ${totalSchedules} schedules, ${totalChanges} changes, ${errors.length} errors`, {
+    performances: totalSchedules,
+    changes: totalChanges,
+    errors: errors.length
+  });
 
-  // 8. Upsert schedules to Supabase
-  if (records.length > 0) {
+  if (ICS_OUTPUT) {
+    await exportCalendars(shows, results, context.store);
+  }
+
+  // Disruption notices come after the shows, so today's performances are stored
+  if (DISRUPTION_FEED && !DRY_RUN) {
+    log.info('disruptions.start', '\n--- Applying disruption notices ---');
     try {
-      // Batch in chunks of 100 to avoid payload limits
-      for (let i = 0; i < records.length; i += 100) {
-        const batch = records.slice(i, i + 100);
-        await upsertSchedules(batch);
-      }
-      console.log(`  ✓ Upserted ${records.length} schedule records`);
+      const feed = createDisruptionFeed(DISRUPTION_FEED);
+      await applyDisruptions(context.store, trackedShows, await feed.fetchNotices());
     } catch (error) {
-      console.error(`  ✗ Upsert failed: ${error.message}`);
+      log.error('disruptions.failed', `  ✗ Disruption feed failed: ${error.message}`, { error: error.message });
     }
   }
 
-  // 9. Log changes
-  if (changes.length > 0) {
+  if (DRY_RUN) {
+    writeDryRunReport(DRY_RUN_REPORT, results, DRY_RUN_SNAPSHOT, { park_hours: parkHoursRows });
+    log.info('dry_run.report_written', `Dry-run report written to ${DRY_RUN_REPORT}`, { report: DRY_RUN_REPORT });
+  } else {
+    await sendNotifications(context.store, notifierConfigs);
+  }
+
+  const finishedAt = new Date().toISOString();
+  if (!DRY_RUN) {
     try {
-      await logChanges(changes);
-      console.log(`  ✓ Logged ${changes.length} changes`);
+      await context.store.insertCollectorRun(buildRunRecord({ runId, mode, startedAt, finishedAt, results }));
     } catch (error) {
-      console.error(`  ✗ Change logging failed: ${error.message}`);
+      log.error('run.record_failed', `  ✗ Could not record run history: ${error.message}`, { error: error.message });
     }
   }
+  return results;
+}
 
-  // 10. Update show status summary
-  const futureDates = newSchedules
-    .map(s => s.schedule_date)
-    .filter(d => d >= new Date().toISOString().split('T')[0])
-    .sort();
-
+/**
+ * Send the change log's pending changes to the configured notifiers, log
+ * the outcome and mark the delivered ones. Whatever isn't delivered —
+ * a sink failed, or an earlier run stopped after its write — stays
+ * pending for the next run. The sinks are created per call, so what
+ * they remember sending lasts one run.
+ */
+async function sendNotifications(store, notifierConfigs) {
+  const notifiers = createNotifiers(notifierConfigs);
   try {
-    await upsertShowStatus({
-      show_id: showConfig.show_id,
-      show_name: showConfig.show_name,
-      park_name: showConfig.park_name,
-      show_type: showConfig.show_type,
-      current_status: currentStatus,
-      next_scheduled_date: futureDates[0] || null,
-      last_scheduled_date: futureDates[futureDates.length - 1] || null,
-      total_scheduled_dates: newSchedules.length,
-      cms_url: showConfig.cms_url,
-      last_checked_at: now,
-      last_updated_at: changes.length > 0 ? now : undefined
+    const pending = await store.fetchPendingChanges();
+    const sent = await dispatchNotifications(notifiers, pending);
+    sent.forEach(n => {
+      if (n.error) log.error('notify.failed', `  ✗ Notifier ${n.name} failed: ${n.error}`, { notifier: n.name, error: n.error });
+      else log.info('notify.sent', `  ✓ Notifier ${n.name}: ${n.sent} changes sent`, { notifier: n.name, sent: n.sent });
     });
-    console.log(`  ✓ Show status updated: ${currentStatus}`);
+    const delivered = deliveredChanges(notifiers, pending, sent);
+    await store.markChangesNotified(delivered.map(c => c.id), new Date().toISOString());
   } catch (error) {
-    console.error(`  ✗ Status update failed: ${error.message}`);
+    log.error('notify.outbox_failed', `  ✗ Could not read or update pending notifications: ${error.message}`, { error: error.message });
   }
+}
 
-  return {
-    show: showConfig.show_id,
-    status: currentStatus,
-    schedules: records.length,
-    changes: changes.length
+/**
+ * Apply disruption notices and log what they changed.
+ * Returns { changes, errors } from ingestDisruptions.
+ */
+async function applyDisruptions(store, trackedShows, notices) {
+  const { annotated, changes, errors } = await ingestDisruptions(store, trackedShows, notices);
+  errors.forEach(e => log.error('disruption.rejected', `  ✗ ${e.notice}: ${e.error}`, { notice: e.notice, error: e.error }));
+  changes.forEach(c => log.info('change', `     - ${c.change_description}`, {
+    change_type: c.change_type,
+    change_date: c.change_date,
+    severity: c.severity
+  }));
+  log.info('disruptions.applied', `  ✓ ${notices.length} notices: ${annotated} performances annotated, ${changes.length} changes`, {
+    notices: notices.length,
+    annotated,
+    changes: changes.length,
+    errors: errors.length
+  });
+  return { changes, errors };
+}
+
+/**
+ * `disrupt`: record one notice from the command line, or apply a feed
+ * once with `--feed`, then notify as a collection would
+ */
+async function runDisrupt(store, trackedShows, notifierConfigs) {
+  const feedSource = getArgValue('--feed');
+  let notices;
+  if (feedSource) {
+    notices = await createDisruptionFeed(feedSource).fetchNotices();
+  } else {
+    if (CLI.shows.length !== 1) throw new Error('disrupt needs one --show <show_id> (or --feed <file|url>)');
+    const type = process.argv.includes('--cancel') ? 'CANCELLED'
+      : getArgValue('--delay') ? 'DELAYED'
+        : process.argv.includes('--clear') ? 'CLEARED' : null;
+    if (!type) throw new Error('disrupt needs --cancel, --delay=<minutes> or --clear');
+    const show = trackedShows.find(s => s.show_id === CLI.shows[0]) || {};
+    notices = [{
+      show_id: CLI.shows[0],
+      schedule_date: getArgValue('--date') || todayInZone(resolveShowLocale(show).timeZone),
+      show_time: getArgValue('--time'),
+      type,
+      reason: getArgValue('--reason'),
+      note: getArgValue('--note'),
+      delay_minutes: getArgValue('--delay'),
+      source: 'manual'
+    }];
+  }
+
+  const { errors } = await applyDisruptions(store, trackedShows, notices);
+  if (errors.length > 0) process.exitCode = 1;
+  await sendNotifications(store, notifierConfigs);
+}
+
+/**
+ * `--serve`: answer API requests and collect every COLLECT_INTERVAL_MINUTES,
+ * each collection a run of its own. The tracked shows are reloaded per run.
+ */
+function startServer(context, notifierConfigs) {
+  const server = createApiServer(context.store, {
+    maxAge: SERVE_MAX_AGE,
+    onError: (error, req) => log.error('api.failed', `  ✗ ${req.method} ${req.url}: ${error.message}`, { path: req.url, error: error.message })
+  });
+  server.listen(SERVE_PORT, () => {
+    log.info('api.listening', `Serving the read-only API on port ${server.address().port}`, { port: server.address().port });
+  });
+
+  let timer = null;
+  let running = null;
+  const collect = async () => {
+    const runId = crypto.randomUUID();
+    const startedAt = new Date().toISOString();
+    await withLogContext({ run_id: runId }, async () => {
+      try {
+        log.info('run.start', 'Scheduled collection', { mode: 'serve', started_at: startedAt });
+        const trackedShows = await loadTrackedShows(SHOWS_SOURCE, context.store);
+        const results = await runCollection(context, trackedShows, notifierConfigs, { runId, mode: 'serve', startedAt });
+        log.info('run.finish', `Finished: ${new Date().toISOString()}`, { errors: results.filter(r => r.error).length });
+      } catch (error) {
+        log.error('run.failed', `ERROR: scheduled collection failed: ${error.message}`, { error: error.message });
+      }
+    });
+    timer = setTimeout(() => { running = collect(); }, COLLECT_INTERVAL_MINUTES * 60 * 1000);
+  };
+  if (COLLECT_INTERVAL_MINUTES > 0) running = collect();
+
+  // Let an in-flight collection finish before exiting
+  const shutdown = async () => {
+    clearTimeout(timer);
+    server.close();
+    await running;
+    process.exit(0);
   };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+  return server;
 }
 
+/**
+ * Entry point for every mode. A collect run returns the per-show results
+ * and sets a non-zero exit code when any show errored; `--serve` keeps the
+ * process running.
+ */
 async function main() {
-  console.log('===========================================');
-  console.log('Universal Orlando Entertainment Collector');
-  console.log(`Started: ${new Date().toISOString()}`);
-  console.log('===========================================');
-
-  if (!SUPABASE_KEY) {
-    console.error('ERROR: SUPABASE_KEY environment variable is not set');
+  try {
+    setLogFormat(LOG_FORMAT);
+    positiveInteger('--concurrency', CONCURRENCY_OPTION);
+    if (!COMMANDS.includes(COMMAND)) {
+      throw new Error(`Unknown command "${COMMAND}" (expected one of: ${COMMANDS.join(', ')})\n\n${USAGE}`);
+    }
+    if (COMMAND !== 'help' && CLI.unexpected.length > 0) {
+      throw new Error(`Unexpected argument${CLI.unexpected.length > 1 ? 's' : ''} for ${COMMAND}: ${CLI.unexpected.join(' ')}\n\n${USAGE}`);
+    }
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
     process.exit(1);
   }
+  if (COMMAND === 'help') {
+    console.log(USAGE);
+    return [];
+  }
 
-  const results = [];
+  const startedAt = new Date().toISOString();
+  const runId = crypto.randomUUID();
+  const mode = ['inspect', 'status', 'diff', 'disrupt'].includes(COMMAND) ? COMMAND
+    : DRY_RUN ? 'dry-run' : DISCOVER ? 'discover' : REPLAY ? 'replay' : HISTORY ? 'history' : SERVE ? 'serve' : 'collect';
+
+  return withLogContext({ run_id: runId }, async () => {
+    log.text('===========================================');
+    log.info('run.start', 'Universal Orlando Entertainment Collector', { mode, started_at: startedAt });
+    log.text(`Started: ${startedAt}`);
+    log.text('===========================================');
 
-  for (const show of TRACKED_SHOWS) {
+    const context = {};
+    if (DRY_RUN) {
+      log.info('dry_run.start', `DRY RUN — comparing against ${DRY_RUN_SNAPSHOT}, no storage writes`, { snapshot: DRY_RUN_SNAPSHOT });
+    }
+
+    // Discovery to a file, replays of local snapshots and inspect never touch the tables
+    const needsTables = !DRY_RUN && COMMAND !== 'inspect' &&
+      !(DISCOVER && DISCOVERY_OUTPUT !== 'table' && DISCOVERY_OUTPUT !== 'supabase') &&
+      !(REPLAY && !REPLAY_BACKFILL && ARCHIVE_TARGET !== 'supabase');
+    if (STORAGE_BACKEND === 'supabase' && (needsTables || SHOWS_SOURCE === 'supabase' || SHOWS_SOURCE === 'table')) {
+      const missing = ['SUPABASE_URL', 'SUPABASE_KEY'].filter(name => !process.env[name]);
+      if (missing.length > 0) {
+        log.error('config.invalid', `ERROR: ${missing.join(' and ')} environment variable${missing.length > 1 ? 's are' : ' is'} not set (or use --storage=json)`);
+        process.exit(1);
+      }
+    }
+
+    let trackedShows;
+    let notifierConfigs;
     try {
-      const result = await processShow(show);
-      results.push(result);
+      if (DRY_RUN) context.snapshot = loadSnapshot(DRY_RUN_SNAPSHOT);
+      context.store = createStorage(STORAGE_BACKEND, { dir: STORAGE_DIR });
+      trackedShows = await loadTrackedShows(SHOWS_SOURCE, context.store);
+      notifierConfigs = loadNotifierConfig(NOTIFIERS_SOURCE);
+      if (COMMAND === 'diff' && CLI.shows.length === 0) throw new Error('diff needs --show <show_id>');
+      if (CLI.shows.length > 0 && ['collect', 'dry-run', 'diff'].includes(COMMAND) && !REPLAY && !HISTORY) {
+        context.only = selectShows(trackedShows, CLI.shows);
+      }
     } catch (error) {
-      console.error(`\nFATAL error processing ${show.show_id}: ${error.message}`);
-      results.push({ show: show.show_id, error: error.message, schedules: 0, changes: 0 });
+      log.error('config.invalid', `ERROR: ${error.message}`, { error: error.message });
+      process.exit(1);
     }
-  }
 
-  // Summary
-  console.log('\n===========================================');
-  console.log('Collection Summary');
-  console.log('===========================================');
-  const totalSchedules = results.reduce((sum, r) => sum + (r.schedules || 0), 0);
-  const totalChanges = results.reduce((sum, r) => sum + (r.changes || 0), 0);
-  const errors = results.filter(r => r.error);
+    if (DISCOVER) {
+      await runDiscovery(trackedShows, context.store);
+      log.info('run.finish', `Finished: ${new Date().toISOString()}`);
+      return [];
+    }
 
-  results.forEach(r => {
-    const icon = r.error ? '✗' : '✓';
-    console.log(`  ${icon} ${r.show}: ${r.schedules} dates, ${r.changes} changes${r.error ? ` (ERROR: ${r.error})` : ''}`);
-  });
+    if (REPLAY || HISTORY) {
+      try {
+        await (REPLAY ? runReplay(trackedShows, context.store) : runHistoryReport(trackedShows, context.store));
+      } catch (error) {
+        log.error(`${mode}.failed`, `ERROR: ${error.message}`, { error: error.message });
+        process.exitCode = 1;
+      }
+      log.info('run.finish', `Finished: ${new Date().toISOString()}`);
+      return [];
+    }
 
-  console.log(`\nTotal: ${totalSchedules} schedules, ${totalChanges} changes, ${errors.length} errors`);
-  console.log(`Finished: ${new Date().toISOString()}`);
+    if (COMMAND === 'inspect' || COMMAND === 'status') {
+      try {
+        await (COMMAND === 'inspect' ? runInspect(CLI.target, trackedShows) : runStatus(context.store));
+      } catch (error) {
+        log.error(`${mode}.failed`, `ERROR: ${error.message}`, { error: error.message });
+        process.exitCode = 1;
+      }
+      return [];
+    }
+
+    if (COMMAND === 'diff') {
+      return runDiff(context);
+    }
+
+    if (COMMAND === 'disrupt') {
+      try {
+        await runDisrupt(context.store, trackedShows, notifierConfigs);
+      } catch (error) {
+        log.error(`${mode}.failed`, `ERROR: ${error.message}`, { error: error.message });
+        process.exitCode = 1;
+      }
+      return [];
+    }
+
+    if (SERVE) {
+      startServer(context, notifierConfigs);
+      return [];
+    }
+
+    const results = await runCollection(context, trackedShows, notifierConfigs, { runId, mode, startedAt, only: context.only });
+    const errors = results.filter(r => r.error);
+
+    // A non-zero exit lets the scheduler alert on failed shows
+    if (errors.length > 0) process.exitCode = 1;
+
+    const finishedAt = new Date().toISOString();
+    log.info('run.finish', `Finished: ${finishedAt}`, { finished_at: finishedAt, exit_code: process.exitCode || 0 });
+    return results;
+  });
 }
 
-main().catch(error => {
-  console.error('Unhandled error:', error);
-  process.exit(1);
-});
+module.exports = { processShow, main };
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
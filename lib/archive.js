@@ -0,0 +1,203 @@
+// ============================================================
+// CMS Snapshot Archive
+//
+// Keeps the raw page model behind every fetch, gzipped and named
+// <show_id>/<fetched-at>-<sha256 prefix>.json.gz, in a local
+// directory or a Supabase Storage bucket. lib/replay.js re-runs
+// the parser over these files.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {
+  listStorageObjects,
+  uploadStorageObject,
+  downloadStorageObject,
+  deleteStorageObjects
+} = require('./supabase');
+const { PARK_TIMEZONE, todayInZone } = require('./time');
+
+// Snapshots older than this are pruned, except each show's latest one
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS || '90', 10);
+
+const HASH_LENGTH = 16;
+const SNAPSHOT_NAME = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([0-9a-f]+)\.json\.gz$/;
+
+/**
+ * SHA-256 of the raw page text
+ */
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Object path for a snapshot: <show_id>/2026-03-01T12-00-00-000Z-<hash>.json.gz
+ */
+function snapshotPath(showId, fetchedAt, hash) {
+  const stamp = new Date(fetchedAt).toISOString().replace(/[:.]/g, '-');
+  return `${showId}/${stamp}-${hash.slice(0, HASH_LENGTH)}.json.gz`;
+}
+
+/**
+ * Parse an object path back into { path, show_id, fetched_at, hash }.
+ * Returns null for anything that isn't a snapshot file.
+ */
+function parseSnapshotPath(objectPath) {
+  const showId = path.posix.dirname(objectPath);
+  const match = SNAPSHOT_NAME.exec(path.posix.basename(objectPath));
+  if (!match || showId === '.') return null;
+  const [, date, hh, mm, ss, ms, hash] = match;
+  return {
+    path: objectPath,
+    show_id: showId,
+    fetched_at: `${date}T${hh}:${mm}:${ss}.${ms}Z`,
+    hash
+  };
+}
+
+/**
+ * Archive store backed by a local directory
+ */
+function createLocalArchiveStore(dir) {
+  return {
+    description: dir,
+    async list(showId) {
+      const showDir = path.join(dir, showId);
+      if (!fs.existsSync(showDir)) return [];
+      return fs.readdirSync(showDir).map(name => `${showId}/${name}`);
+    },
+    async write(objectPath, body) {
+      const filePath = path.join(dir, objectPath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, body);
+    },
+    async read(objectPath) {
+      return fs.readFileSync(path.join(dir, objectPath));
+    },
+    async remove(objectPaths) {
+      objectPaths.forEach(p => fs.rmSync(path.join(dir, p), { force: true }));
+    }
+  };
+}
+
+/**
+ * Archive store backed by a Supabase Storage bucket
+ */
+function createStorageArchiveStore(bucket) {
+  return {
+    description: `Storage bucket "${bucket}"`,
+    async list(showId) {
+      const names = await listStorageObjects(bucket, `${showId}/`);
+      return names.map(name => `${showId}/${name}`);
+    },
+    async write(objectPath, body) {
+      await uploadStorageObject(bucket, objectPath, body, 'application/gzip');
+    },
+    async read(objectPath) {
+      return downloadStorageObject(bucket, objectPath);
+    },
+    async remove(objectPaths) {
+      await deleteStorageObjects(bucket, objectPaths);
+    }
+  };
+}
+
+/**
+ * Pick a store from the `--archive` setting: "supabase" for Storage,
+ * "off" for none, anything else is a local directory.
+ */
+function createArchiveStore(target, options = {}) {
+  if (!target || target === 'off') return null;
+  if (target === 'supabase') return createStorageArchiveStore(options.bucket || 'cms-snapshots');
+  return createLocalArchiveStore(target);
+}
+
+/**
+ * A show's snapshots, oldest first. `from` / `to` (YYYY-MM-DD, inclusive)
+ * filter on the park-local date the page was fetched.
+ */
+async function listSnapshots(store, showId, options = {}) {
+  const timeZone = options.timeZone || PARK_TIMEZONE;
+  const names = await store.list(showId);
+  return names
+    .map(parseSnapshotPath)
+    .filter(Boolean)
+    .filter(s => {
+      const day = todayInZone(timeZone, new Date(s.fetched_at));
+      return (!options.from || day >= options.from) && (!options.to || day <= options.to);
+    })
+    .sort((a, b) => a.fetched_at.localeCompare(b.fetched_at));
+}
+
+/**
+ * Store the raw page text for a show. A page identical to the show's
+ * latest snapshot isn't stored again.
+ * Returns { path, hash, skipped }.
+ */
+async function archiveSnapshot(store, showId, text, options = {}) {
+  const hash = contentHash(text);
+  const snapshots = await listSnapshots(store, showId);
+  const latest = snapshots[snapshots.length - 1];
+  if (latest && hash.startsWith(latest.hash)) {
+    return { path: latest.path, hash, skipped: true };
+  }
+
+  const objectPath = snapshotPath(showId, options.fetchedAt || new Date(), hash);
+  await store.write(objectPath, zlib.gzipSync(text));
+  return { path: objectPath, hash, skipped: false };
+}
+
+/**
+ * Delete a show's snapshots older than the retention window, always
+ * keeping the latest one. Returns the removed paths.
+ */
+async function pruneSnapshots(store, showId, options = {}) {
+  const retentionDays = options.retentionDays ?? ARCHIVE_RETENTION_DAYS;
+  const now = options.now || new Date();
+  const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+
+  const snapshots = await listSnapshots(store, showId);
+  const expired = snapshots
+    .slice(0, -1)
+    .filter(s => Date.parse(s.fetched_at) < cutoff)
+    .map(s => s.path);
+  if (expired.length > 0) await store.remove(expired);
+  return expired;
+}
+
+/**
+ * Decompress a snapshot (gzip or plain JSON) into { text, data }
+ */
+function decodeSnapshot(buffer) {
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const text = (isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+  return { text, data: JSON.parse(text) };
+}
+
+/**
+ * Read one archived snapshot, checking its content against the hash in its name
+ */
+async function readSnapshot(store, snapshot) {
+  const { text, data } = decodeSnapshot(await store.read(snapshot.path));
+  if (!contentHash(text).startsWith(snapshot.hash)) {
+    throw new Error(`Snapshot ${snapshot.path} does not match its content hash`);
+  }
+  return { ...snapshot, text, data };
+}
+
+module.exports = {
+  ARCHIVE_RETENTION_DAYS,
+  contentHash,
+  snapshotPath,
+  parseSnapshotPath,
+  createLocalArchiveStore,
+  createStorageArchiveStore,
+  createArchiveStore,
+  listSnapshots,
+  archiveSnapshot,
+  pruneSnapshots,
+  decodeSnapshot,
+  readSnapshot
+};
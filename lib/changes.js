@@ -0,0 +1,393 @@
+// ============================================================
+// Change Detection
+//
+// Diffs freshly parsed performances against stored rows, then
+// scales severity by how soon the date is and folds runs of the
+// same change into one summary event.
+// ============================================================
+
+const crypto = require('crypto');
+const { performanceKey } = require('./cms');
+const { hoursConflict } = require('./park-hours');
+const { todayInZone } = require('./time');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Severity of each kind of change before proximity scaling
+const BASE_SEVERITY = {
+  NEW_DATE: 'LOW',
+  PERFORMANCE_ADDED: 'LOW',
+  CONFIRMED: 'LOW',
+  TIME_CHANGED: 'MEDIUM',
+  STATUS_CHANGED: 'MEDIUM',
+  HOURS_CONFLICT: 'MEDIUM',
+  PERFORMANCE_CANCELLED: 'HIGH',
+  DATE_REMOVED: 'HIGH'
+};
+
+// Confirmations are good news and never escalate
+const UNSCALED_KINDS = new Set(['CONFIRMED']);
+
+// Changes within URGENT_DAYS go up a level; beyond DISTANT_DAYS, down one
+const URGENT_DAYS = 2;
+const DISTANT_DAYS = 30;
+
+// Identical changes on at least this many dates become one summary event
+const MIN_GROUP_SIZE = 3;
+
+/**
+ * Group schedule rows by date, then by show time.
+ * Rows already marked CANCELLED are ignored — they are not live performances.
+ */
+function groupByDate(schedules) {
+  const byDate = new Map();
+  for (const rec of schedules) {
+    if (rec.status === 'CANCELLED') continue;
+    if (!byDate.has(rec.schedule_date)) byDate.set(rec.schedule_date, new Map());
+    byDate.get(rec.schedule_date).set(rec.show_time, rec);
+  }
+  return byDate;
+}
+
+/**
+ * Diff parsed performances against existing rows.
+ * With `options.skipRemovals` only additions and status changes are
+ * reported — used when the parse is suspect (see parse-guard).
+ * `options.parkHours` (Map of schedule_date → park hours row) flags
+ * performances after park close or on a closed day, once per clash
+ * (existing rows carry the clash already reported in `hours_conflict`).
+ */
+function detectChanges(showConfig, newSchedules, existingSchedules, options = {}) {
+  const changes = [];
+  const existingByDate = groupByDate(existingSchedules);
+  const newByDate = groupByDate(newSchedules);
+
+  const change = (kind, changeDate, description, oldValue, newValue, severity = BASE_SEVERITY[kind]) => ({
+    change_type: 'ENTERTAINMENT',
+    change_kind: kind,
+    entity_id: showConfig.show_id,
+    entity_name: showConfig.show_name,
+    change_date: changeDate,
+    change_description: description,
+    old_value: oldValue,
+    new_value: newValue,
+    severity
+  });
+  const timesOf = perfs => [...perfs.keys()].join(', ');
+  const parkHours = options.parkHours || new Map();
+
+  for (const [date, newPerfs] of newByDate) {
+    const existingPerfs = existingByDate.get(date);
+
+    if (!existingPerfs) {
+      // Brand new date added
+      const first = [...newPerfs.values()][0];
+      changes.push(change(
+        'NEW_DATE',
+        date,
+        `New show date added: ${showConfig.show_name} on ${date} at ${timesOf(newPerfs)}`,
+        null,
+        newPerfs.size === 1
+          ? { show_time: first.show_time, status: first.status }
+          : { performances: [...newPerfs.values()].map(p => ({ show_time: p.show_time, status: p.status })) }
+      ));
+      continue;
+    }
+
+    const added = [...newPerfs.values()].filter(p => !existingPerfs.has(p.show_time));
+    const cancelled = options.skipRemovals
+      ? []
+      : [...existingPerfs.values()].filter(p => !newPerfs.has(p.show_time));
+
+    if (added.length === 1 && cancelled.length === 1) {
+      // A single performance moved to a different time
+      changes.push(change(
+        'TIME_CHANGED',
+        date,
+        `Show time changed for ${showConfig.show_name} on ${date}: ${cancelled[0].show_time} → ${added[0].show_time}`,
+        { show_time: cancelled[0].show_time },
+        { show_time: added[0].show_time }
+      ));
+    } else {
+      for (const perf of added) {
+        changes.push(change(
+          'PERFORMANCE_ADDED',
+          date,
+          `Performance added: ${showConfig.show_name} on ${date} at ${perf.show_time}`,
+          null,
+          { show_time: perf.show_time, status: perf.status }
+        ));
+      }
+      for (const perf of cancelled) {
+        changes.push(change(
+          'PERFORMANCE_CANCELLED',
+          date,
+          `Performance cancelled: ${showConfig.show_name} on ${date} at ${perf.show_time}`,
+          { show_time: perf.show_time, status: perf.status },
+          null
+        ));
+      }
+    }
+
+    // Check for status change on performances present in both
+    for (const [time, newRec] of newPerfs) {
+      const existing = existingPerfs.get(time);
+      if (existing && existing.status !== newRec.status) {
+        const confirmed = existing.status === 'TENTATIVE' && newRec.status === 'SCHEDULED';
+        changes.push(change(
+          confirmed ? 'CONFIRMED' : 'STATUS_CHANGED',
+          date,
+          confirmed
+            ? `Performance confirmed: ${showConfig.show_name} on ${date} at ${time} is no longer tentative`
+            : `Status changed for ${showConfig.show_name} on ${date} at ${time}: ${existing.status} → ${newRec.status}`,
+          { show_time: time, status: existing.status },
+          { show_time: time, status: newRec.status }
+        ));
+      }
+    }
+  }
+
+  // Check performances against the park's hours
+  for (const [date, newPerfs] of newByDate) {
+    const hours = parkHours.get(date);
+    for (const [time, newRec] of newPerfs) {
+      const conflict = hoursConflict(newRec, hours);
+      const existing = existingByDate.get(date)?.get(time);
+      if (!conflict || existing?.hours_conflict === conflict) continue;
+      const description = conflict === 'PARK_CLOSED'
+        ? `Scheduled on a day the park is closed: ${showConfig.show_name} on ${date} at ${time}`
+        : `Scheduled after park close: ${showConfig.show_name} on ${date} at ${time} (park hours ${hours.hours_label})`;
+      changes.push(change(
+        'HOURS_CONFLICT',
+        date,
+        description,
+        null,
+        { show_time: time, hours_conflict: conflict, park_hours: hours.hours_label }
+      ));
+    }
+  }
+
+  // Check for removed dates (existed in DB but not in new CMS data)
+  for (const [date, existingPerfs] of existingByDate) {
+    if (!options.skipRemovals && !newByDate.has(date)) {
+      const perfs = [...existingPerfs.values()];
+      // A date dropped because the park itself is closed is expected
+      const parkClosed = parkHours.get(date)?.is_closed;
+      changes.push(change(
+        'DATE_REMOVED',
+        date,
+        `Show date removed: ${showConfig.show_name} on ${date} (was ${timesOf(existingPerfs)})${parkClosed ? ' — park closed that day' : ''}`,
+        perfs.length === 1
+          ? { show_time: perfs[0].show_time, status: perfs[0].status }
+          : { performances: perfs.map(p => ({ show_time: p.show_time, status: p.status })) },
+        null,
+        parkClosed ? 'MEDIUM' : undefined
+      ));
+    }
+  }
+
+  const today = options.today || todayInZone();
+  const scaled = changes.map(c => ({ ...c, severity: scaleSeverity(c, today) }));
+  if (options.group === false) return scaled;
+
+  const existingDates = [...existingByDate.keys()].sort();
+  const newDates = [...newByDate.keys()].sort();
+  return groupChanges(showConfig, scaled, {
+    lastExistingDate: existingDates[existingDates.length - 1] || null,
+    lastNewDate: newDates[newDates.length - 1] || null
+  });
+}
+
+/**
+ * Whole days from `today` to `date` (both "YYYY-MM-DD")
+ */
+function daysUntil(date, today) {
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Raise a change's severity when its date is imminent, lower it when the
+ * date is over a month out. Past dates keep their severity.
+ */
+function scaleSeverity(change, today) {
+  const level = SEVERITIES.indexOf(change.severity);
+  if (level === -1 || UNSCALED_KINDS.has(change.change_kind)) return change.severity;
+  const days = daysUntil(change.change_date, today);
+  if (days < 0) return change.severity;
+  if (days <= URGENT_DAYS) return SEVERITIES[Math.min(level + 1, SEVERITIES.length - 1)];
+  if (days > DISTANT_DAYS) return SEVERITIES[Math.max(level - 1, 0)];
+  return change.severity;
+}
+
+/**
+ * "Mar 1–Apr 30", with years when the range crosses one
+ */
+function formatDateRange(from, to) {
+  const sameYear = from.slice(0, 4) === to.slice(0, 4);
+  const format = (date, withYear) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(withYear ? { year: 'numeric' } : {}),
+    timeZone: 'UTC'
+  });
+  if (from === to) return format(from, false);
+  return `${format(from, !sameYear)}–${format(to, !sameYear)}`;
+}
+
+/**
+ * Summary wording for a group of identical per-date changes
+ */
+function describeGroup(showConfig, kind, sample, dates, context) {
+  const name = showConfig.show_name;
+  const range = formatDateRange(dates[0], dates[dates.length - 1]);
+  const n = dates.length;
+  switch (kind) {
+    case 'SEASON_EXTENDED':
+      return `Season extended: ${name} now runs through ${formatDateRange(dates[n - 1], dates[n - 1])} (${n} new dates, ${range})`;
+    case 'SEASON_SHORTENED':
+      return `Season shortened: ${name} now ends ${formatDateRange(context.lastNewDate, context.lastNewDate)} (${n} dates removed, ${range})`;
+    case 'TIME_CHANGED':
+      return `Show time changed for ${name} from ${sample.old_value.show_time} to ${sample.new_value.show_time} for ${range} (${n} dates)`;
+    case 'CONFIRMED':
+      return `Performances confirmed: ${name} at ${sample.new_value.show_time} for ${range} (${n} dates) are no longer tentative`;
+    case 'STATUS_CHANGED':
+      return `Status changed for ${name} at ${sample.new_value.show_time}: ${sample.old_value.status} → ${sample.new_value.status} for ${range} (${n} dates)`;
+    case 'PERFORMANCE_ADDED':
+      return `Performance added: ${name} at ${sample.new_value.show_time} for ${range} (${n} dates)`;
+    case 'PERFORMANCE_CANCELLED':
+      return `Performance cancelled: ${name} at ${sample.old_value.show_time} for ${range} (${n} dates)`;
+    case 'NEW_DATE':
+      return `New show dates added: ${name} for ${range} (${n} dates)`;
+    case 'DATE_REMOVED':
+      return `Show dates removed: ${name} for ${range} (${n} dates)`;
+    default:
+      return `${n} changes for ${name} (${range})`;
+  }
+}
+
+/**
+ * Fold identical per-date changes into summary events. New dates after the
+ * previous last date are a season extension and removed dates after the new
+ * last date a shortened season, whatever their times; everything else groups
+ * on kind plus old/new values. Runs shorter than MIN_GROUP_SIZE stay per-date.
+ * A summary takes the highest severity among the changes it replaces.
+ */
+function groupChanges(showConfig, changes, context = {}) {
+  const groups = new Map();
+  const keyOf = c => {
+    if (c.change_kind === 'NEW_DATE' && context.lastExistingDate && c.change_date > context.lastExistingDate) {
+      return 'SEASON_EXTENDED';
+    }
+    if (c.change_kind === 'DATE_REMOVED' && context.lastNewDate && c.change_date > context.lastNewDate) {
+      return 'SEASON_SHORTENED';
+    }
+    if (c.change_kind === 'HOURS_CONFLICT' || !BASE_SEVERITY[c.change_kind]) return null;
+    return JSON.stringify([c.change_kind, c.old_value, c.new_value]);
+  };
+
+  const result = [];
+  for (const c of changes) {
+    const key = keyOf(c);
+    if (!key) {
+      result.push(c);
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { key, members: [] });
+      result.push(groups.get(key));
+    }
+    groups.get(key).members.push(c);
+  }
+
+  return result.flatMap(entry => {
+    if (!entry.members) return [entry];
+    if (entry.members.length < MIN_GROUP_SIZE) return entry.members;
+
+    const members = entry.members.sort((a, b) => a.change_date.localeCompare(b.change_date));
+    const sample = members[0];
+    const kind = entry.key.startsWith('SEASON_') ? entry.key : sample.change_kind;
+    const dates = members.map(m => m.change_date);
+    const severity = members.reduce((max, m) =>
+      SEVERITIES.indexOf(m.severity) > SEVERITIES.indexOf(max) ? m.severity : max, 'LOW');
+    const lastDate = dates[dates.length - 1];
+
+    let oldValue = sample.old_value;
+    let newValue = sample.new_value ? { ...sample.new_value, dates } : null;
+    if (kind === 'SEASON_EXTENDED') {
+      oldValue = { last_date: context.lastExistingDate };
+      newValue = { last_date: lastDate, dates };
+    } else if (kind === 'SEASON_SHORTENED') {
+      oldValue = { last_date: lastDate, dates };
+      newValue = { last_date: context.lastNewDate };
+    } else if (!sample.new_value) {
+      oldValue = { ...sample.old_value, dates };
+    }
+
+    return [{
+      ...sample,
+      change_kind: kind,
+      change_description: describeGroup(showConfig, kind, sample, dates, context),
+      old_value: oldValue,
+      new_value: newValue,
+      severity
+    }];
+  });
+}
+
+/**
+ * Existing live performances that no longer appear in the CMS data.
+ * These are re-upserted as CANCELLED so they are not reported again.
+ */
+function findRemovedPerformances(newSchedules, existingSchedules) {
+  const newKeys = new Set(newSchedules.map(s => performanceKey(s.schedule_date, s.show_time)));
+  return existingSchedules.filter(e =>
+    e.status !== 'CANCELLED' && !newKeys.has(performanceKey(e.schedule_date, e.show_time))
+  );
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Fingerprint of the stored schedule a diff was taken against
+ */
+function scheduleStateHash(rows) {
+  const state = rows
+    .map(r => `${performanceKey(r.schedule_date, r.show_time)}|${r.status}|${r.hours_conflict ?? ''}`)
+    .sort();
+  return sha256(JSON.stringify(state));
+}
+
+/**
+ * Attach a deterministic idempotency_key to each change. The same diff
+ * against the same stored state always gets the same key, so a retried
+ * write can't log a change twice, while the same change happening again
+ * later (from a different stored state) still gets a new row.
+ */
+function withIdempotencyKeys(changes, existingSchedules) {
+  const stateHash = scheduleStateHash(existingSchedules);
+  return changes.map(c => ({
+    ...c,
+    idempotency_key: sha256(JSON.stringify([
+      c.entity_id,
+      c.change_type,
+      c.change_kind ?? null,
+      c.change_date,
+      c.old_value ?? null,
+      c.new_value ?? null,
+      stateHash
+    ]))
+  }));
+}
+
+module.exports = {
+  BASE_SEVERITY,
+  detectChanges,
+  scaleSeverity,
+  formatDateRange,
+  groupChanges,
+  findRemovedPerformances,
+  scheduleStateHash,
+  withIdempotencyKeys
+};
@@ -0,0 +1,119 @@
+// ============================================================
+// Command Line
+//
+// Subcommands of collect-universal-entertainment.js. The first
+// positional argument picks one; without it the script collects,
+// as before.
+// The older mode flags (--discover, --replay, ...) still work.
+// ============================================================
+
+const USAGE = `Usage: node collect-universal-entertainment.js [command] [options]
+
+Commands:
+  collect [--show <id>]...   Collect every in-season show, or only the named shows (default)
+  inspect <url|show_id>      Fetch a CMS page and print its calendarConfig path and parsed schedule
+  status                     Print universal_show_status for every show
+  diff --show <id>           Print the changes a collect would make, without writing them
+  dry-run                    Same as --dry-run
+  discover                   Same as --discover
+  replay --show <id> [--backfill]
+                             Same as --replay: re-parse archived snapshots into a report (--output);
+                             --backfill also writes each one into universal_schedule_history
+  history --show <id>        Same as --history
+  serve                      Same as --serve
+  disrupt --show <id> (--cancel | --delay=<minutes> | --clear) --reason=<weather|operational|other>
+          [--date <YYYY-MM-DD>] [--time <h:mm PM>] [--note <text>]
+                             Record a cancellation or delay (today and every performance unless given)
+  disrupt --feed <file|url>  Apply the notices in a disruption feed once
+  help                       Show this message`;
+
+const COMMANDS = ['collect', 'inspect', 'status', 'diff', 'dry-run', 'discover', 'replay', 'history', 'serve', 'disrupt', 'help'];
+
+// Options that take a value, which may follow as the next argument
+// (`--storage json`); the value isn't a positional
+const VALUE_OPTIONS = [
+  '--archive', '--as-of', '--concurrency', '--date', '--delay', '--disruption-feed', '--feed',
+  '--file', '--from', '--ics', '--interval', '--log-format', '--note', '--notifiers', '--output',
+  '--port', '--reason', '--report', '--show', '--shows', '--snapshot', '--storage', '--storage-dir',
+  '--time', '--to'
+];
+
+// Commands that take a positional target
+const TARGET_COMMANDS = ['inspect'];
+
+/**
+ * Split argv (without node and the script) into the command, its
+ * positional target and the --show ids, which may be repeated
+ * (`--show a --show b`) or comma-separated (`--show=a,b`). The command is
+ * the first positional, wherever it sits among the options, and isn't
+ * checked against COMMANDS here. Positionals nothing takes are returned
+ * as `unexpected`.
+ */
+function parseCommand(args) {
+  const positionals = [];
+  const shows = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+    } else if (VALUE_OPTIONS.includes(arg) && args[i + 1] && !args[i + 1].startsWith('--')) {
+      if (arg === '--show') shows.push(...args[i + 1].split(','));
+      i++;
+    } else if (arg.startsWith('--show=')) {
+      shows.push(...arg.slice('--show='.length).split(','));
+    }
+  }
+
+  const command = args.includes('--help') ? 'help' : positionals[0] || 'collect';
+  const rest = positionals.slice(1);
+  const target = TARGET_COMMANDS.includes(command) && rest.length > 0 ? rest.shift() : null;
+
+  return { command, target, shows: shows.map(s => s.trim()).filter(Boolean), unexpected: rest };
+}
+
+/**
+ * An option's value as a positive whole number; throws a usage error for
+ * anything else ("abc", "0", "2.5")
+ */
+function positiveInteger(name, value) {
+  const text = String(value ?? '').trim();
+  if (!/^\d+$/.test(text) || Number(text) < 1) {
+    throw new Error(`${name} must be a positive whole number (got "${value}")`);
+  }
+  return Number(text);
+}
+
+/**
+ * Tracked shows matching the requested ids; throws on an id that isn't tracked
+ */
+function selectShows(trackedShows, showIds) {
+  const unknown = showIds.filter(id => !trackedShows.some(s => s.show_id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown show${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+  return trackedShows.filter(s => showIds.includes(s.show_id));
+}
+
+/**
+ * Fixed-width text table: a header line, a rule, then one line per row.
+ * `columns` is [[header, row => value]].
+ */
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(([, value]) => String(value(row) ?? '')));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...cells.map(c => c[i].length)));
+  const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(([header]) => header)),
+    line(widths.map(w => '-'.repeat(w))),
+    ...cells.map(line)
+  ];
+}
+
+module.exports = {
+  USAGE,
+  COMMANDS,
+  parseCommand,
+  positiveInteger,
+  selectShows,
+  formatTable
+};
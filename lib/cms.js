@@ -0,0 +1,370 @@
+// ============================================================
+// CMS Parsing
+//
+// Fetches Universal's Tridion CMS page models and parses the
+// calendarConfig embedded in them into performance records.
+// ============================================================
+
+const { fetchTextWithRetry } = require('./http');
+const { PARK_TIMEZONE, parseShowTime, formatShowTime, normalizeShowTime } = require('./time');
+const { DEFAULT_LOCALE, acceptLanguage } = require('./destinations');
+const { log } = require('./log');
+
+/**
+ * Fetch a CMS page model with retries and an optional conditional request.
+ * Pass the `validators` ({ etag, lastModified }) from a previous fetch to
+ * get { notModified: true } back when the page hasn't changed.
+ * Returns { status, notModified, data, text, validators, attempts }; `text`
+ * is the raw response body, kept for the snapshot archive. `options.locale`
+ * ("es/us") sets Accept-Language.
+ */
+async function fetchCMSPage(url, options = {}) {
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (compatible; MouseCounselors/1.0)',
+    'Accept': 'text/html,application/json',
+    'Accept-Language': acceptLanguage(options.locale)
+  };
+  if (options.validators?.etag) headers['If-None-Match'] = options.validators.etag;
+  if (options.validators?.lastModified) headers['If-Modified-Since'] = options.validators.lastModified;
+
+  const response = await fetchTextWithRetry(url, { headers }, options);
+
+  if (response.status === 304) {
+    return {
+      status: 304,
+      notModified: true,
+      data: null,
+      text: null,
+      validators: options.validators,
+      attempts: response.attempts
+    };
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`CMS fetch failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return {
+    status: response.status,
+    notModified: false,
+    data: JSON.parse(response.text),
+    text: response.text,
+    validators: {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null
+    },
+    attempts: response.attempts
+  };
+}
+
+/**
+ * Fetch the CMS page model JSON for a show (options as for fetchCMSPage)
+ */
+async function fetchCMSData(url, options = {}) {
+  const page = await fetchCMSPage(url, options);
+  return page.data;
+}
+
+/**
+ * Recursively search the CMS JSON for calendarConfig data.
+ * The calendar is embedded in a ComponentPresentation whose
+ * Component.Fields contains a calendarConfig field.
+ */
+function findCalendarConfig(obj) {
+  return locateCalendarConfig(obj)?.config || null;
+}
+
+/**
+ * findCalendarConfig that also reports where the config was found, as a
+ * path like "ComponentPresentations[2].Component.Fields.calendarConfig"
+ */
+function locateCalendarConfig(obj, path = '', depth = 0) {
+  if (depth > 25 || !obj || typeof obj !== 'object') return null;
+  const at = key => (path ? `${path}.${key}` : key);
+
+  // Direct hit — the calendarConfig field itself
+  if (obj.calendarConfig) {
+    return { config: obj.calendarConfig, path: at('calendarConfig') };
+  }
+
+  // Check Fields → calendarConfig pattern
+  if (obj.Fields && obj.Fields.calendarConfig) {
+    return { config: obj.Fields.calendarConfig, path: at('Fields.calendarConfig') };
+  }
+
+  // Recurse into arrays
+  if (Array.isArray(obj)) {
+    for (let i = 0; i < obj.length; i++) {
+      const result = locateCalendarConfig(obj[i], `${path}[${i}]`, depth + 1);
+      if (result) return result;
+    }
+    return null;
+  }
+
+  // Recurse into object values
+  for (const key of Object.keys(obj)) {
+    // Skip large irrelevant branches to stay fast
+    if (['MetadataFields', 'Categories', 'Multimedia'].includes(key)) continue;
+    const result = locateCalendarConfig(obj[key], at(key), depth + 1);
+    if (result) return result;
+  }
+
+  return null;
+}
+
+// "Temporarily Closed" as the English and Spanish sites word it
+const CLOSED_LABELS = ['temporarily closed', 'cerrado temporalmente'];
+
+/**
+ * Check if a show is marked "Temporarily Closed" in its utility section.
+ * This handles shows like Hogwarts Lights that have no calendar.
+ */
+function checkTemporarilyClosed(cmsData) {
+  try {
+    const presentations = cmsData.ComponentPresentations || [];
+    for (const cp of presentations) {
+      const features = cp.Component?.Fields?.featureList?.LinkedComponentValues || [];
+      for (const feature of features) {
+        const desc = feature.Fields?.description?.Values?.[0] || '';
+        if (CLOSED_LABELS.some(label => desc.toLowerCase().includes(label))) {
+          return true;
+        }
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+  return false;
+}
+
+/**
+ * Recursively search an object for a key and return its value.
+ * Used as a fallback when the exact path isn't known.
+ */
+function findValueByKey(obj, targetKey, depth = 0) {
+  if (depth > 10 || !obj || typeof obj !== 'object') return null;
+  
+  if (Array.isArray(obj)) {
+    for (const item of obj) {
+      const result = findValueByKey(item, targetKey, depth + 1);
+      if (result !== null) return result;
+    }
+    return null;
+  }
+  
+  for (const key of Object.keys(obj)) {
+    if (key === targetKey) return obj[key];
+    const result = findValueByKey(obj[key], targetKey, depth + 1);
+    if (result !== null) return result;
+  }
+  return null;
+}
+
+/**
+ * Read the eyebrow (show time) and tentative flag from a single block entry.
+ * The eyebrow might be directly on the block, or nested under Fields.
+ */
+function readBlockEntry(block) {
+  let showTime = 'Unknown';
+  let isTentative = false;
+  if (!block || typeof block !== 'object') return { showTime, isTentative };
+
+  const eyebrowObj = block.eyebrow || block.Fields?.eyebrow;
+  if (eyebrowObj) {
+    showTime = eyebrowObj.Values?.[0] || eyebrowObj.Value || 'Unknown';
+  }
+
+  // Same for style
+  const styleObj = block.style || block.Fields?.style;
+  if (styleObj) {
+    const styleVal = styleObj.Values?.[0] || styleObj.Value || '';
+    isTentative = styleVal.toLowerCase().includes('disabled');
+  }
+
+  return { showTime, isTentative };
+}
+
+/**
+ * Apply the recursive eyebrow/style fallbacks to a parsed block.
+ */
+function applyBlockFallbacks(info, searchRoot) {
+  let { showTime, isTentative } = info;
+
+  // Fallback: recursively search for eyebrow
+  if (showTime === 'Unknown') {
+    const eyebrowFound = findValueByKey(searchRoot, 'eyebrow');
+    if (eyebrowFound) {
+      showTime = eyebrowFound.Values?.[0] || eyebrowFound.Value || 
+                 (typeof eyebrowFound === 'string' ? eyebrowFound : 'Unknown');
+    }
+  }
+
+  // Fallback: recursively search for style
+  if (!isTentative) {
+    const styleFound = findValueByKey(searchRoot, 'style');
+    if (styleFound) {
+      const styleVal = styleFound.Values?.[0] || styleFound.Value || 
+                       (typeof styleFound === 'string' ? styleFound : '');
+      isTentative = styleVal.toLowerCase().includes('disabled');
+    }
+  }
+
+  return { showTime, isTentative };
+}
+
+/**
+ * Extract every performance (eyebrow show time and style) from a blockData object.
+ * Each block entry is one performance, so a parade running at 2:00 PM and
+ * 5:00 PM yields two items. Tries multiple Tridion CMS patterns since the
+ * nesting varies. Always returns at least one item.
+ */
+function extractBlockInfo(blockData) {
+  if (!blockData) return [{ showTime: 'Unknown', isTentative: false }];
+
+  // Try multiple Tridion CMS patterns for the nested block
+  const blockEntries = 
+    blockData.EmbeddedValues ||
+    blockData.LinkedComponentValues ||
+    blockData.Values ||
+    [];
+
+  if (!Array.isArray(blockEntries) || blockEntries.length <= 1) {
+    // Single performance — fall back to searching the whole blockData
+    const info = readBlockEntry(Array.isArray(blockEntries) ? blockEntries[0] : null);
+    return [applyBlockFallbacks(info, blockData)];
+  }
+
+  // Multiple performances — fallbacks are scoped to each block entry;
+  // only an entry repeating both time and style is dropped
+  const performances = [];
+  const seen = new Set();
+  for (const block of blockEntries) {
+    const info = applyBlockFallbacks(readBlockEntry(block), block);
+    const key = `${info.showTime}|${info.isTentative}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    performances.push(info);
+  }
+  return performances;
+}
+
+/**
+ * Identity of a single performance within a show: date plus eyebrow time.
+ */
+function performanceKey(scheduleDate, showTime) {
+  return `${scheduleDate}|${showTime}`;
+}
+
+/**
+ * English eyebrow form of a localized label; labels that aren't a time
+ * ("Unknown") are kept as they are
+ */
+function canonicalShowTime(label) {
+  const local = parseShowTime(label);
+  return local ? formatShowTime(local) : label;
+}
+
+/**
+ * Parse calendarConfig into an array of { date, show_time, status } objects,
+ * one per performance — a date with several block entries yields several records.
+ * show_time keeps the raw eyebrow label; show_time_local ("20:30") and
+ * show_starts_at (UTC) are derived from it in the park's timezone. For
+ * other locales (`options.locale`, e.g. "es/us") show_time is rewritten to
+ * the English form, so "8:30 p. m." is the same performance as "8:30 PM".
+ * 
+ * calendarConfig structure (from CMS):
+ *   EmbeddedValues: [
+ *     {
+ *       eventDates: { DateTimeValues: ["2026-01-05T00:00:00", ...] },
+ *       blockData: {
+ *         EmbeddedValues: [{
+ *           eyebrow: { Values: ["8:30 PM"] },
+ *           style: { Values: ["Active Style"] }  // or "Disabled Style" for tentative
+ *         }]
+ *       }
+ *     },
+ *     ...
+ *   ]
+ */
+function parseCalendarConfig(calendarConfig, timeZone = PARK_TIMEZONE, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const schedules = [];
+  const seen = new Set();
+  let debugged = false;
+
+  const entries = calendarConfig.EmbeddedValues || calendarConfig.LinkedComponentValues || calendarConfig.Values || [];
+  if (!Array.isArray(entries)) {
+    const keys = Object.keys(calendarConfig);
+    log.warn('calendar.no_entries', `    ⚠ calendarConfig has no iterable entries. Keys: ${keys.join(', ')}`, { keys });
+    return schedules;
+  }
+
+  for (const entry of entries) {
+    // Extract dates
+    const dateTimeValues = entry.eventDates?.DateTimeValues || [];
+    if (dateTimeValues.length === 0) continue;
+
+    // Debug: log the blockData structure for the first entry
+    if (!debugged && entry.blockData) {
+      const bdKeys = Object.keys(entry.blockData);
+      log.debug('calendar.block_keys', `    blockData keys: ${bdKeys.join(', ')}`, { keys: bdKeys });
+      for (const k of bdKeys) {
+        const val = entry.blockData[k];
+        if (Array.isArray(val) && val.length > 0) {
+          const firstKeys = typeof val[0] === 'object' ? Object.keys(val[0]).join(', ') : typeof val[0];
+          log.debug('calendar.block_entry_keys', `    blockData.${k}[0] keys: ${firstKeys}`, { field: k, keys: firstKeys });
+          // If it has Fields, show those too
+          if (val[0].Fields) {
+            const fieldKeys = Object.keys(val[0].Fields);
+            log.debug('calendar.block_entry_field_keys', `    blockData.${k}[0].Fields keys: ${fieldKeys.join(', ')}`, { field: k, keys: fieldKeys });
+          }
+        }
+      }
+      debugged = true;
+    } else if (!debugged) {
+      const keys = Object.keys(entry);
+      log.warn('calendar.no_block_data', `    ⚠ First entry has no blockData. Entry keys: ${keys.join(', ')}`, { keys });
+      debugged = true;
+    }
+
+    // Extract show time and tentative status for every performance
+    const performances = extractBlockInfo(entry.blockData);
+
+    // Create a schedule record for each date and performance
+    for (const dt of dateTimeValues) {
+      const dateStr = dt.split('T')[0]; // "2026-01-05"
+      for (const performance of performances) {
+        const showTime = locale === DEFAULT_LOCALE ? performance.showTime : canonicalShowTime(performance.showTime);
+        const isTentative = performance.isTentative;
+        const key = performanceKey(dateStr, showTime);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        schedules.push({
+          schedule_date: dateStr,
+          show_time: showTime,
+          ...normalizeShowTime(dateStr, showTime, timeZone),
+          status: isTentative ? 'TENTATIVE' : 'SCHEDULED',
+          is_available: !isTentative
+        });
+      }
+    }
+  }
+
+  return schedules;
+}
+
+module.exports = {
+  CLOSED_LABELS,
+  fetchCMSPage,
+  fetchCMSData,
+  findCalendarConfig,
+  locateCalendarConfig,
+  checkTemporarilyClosed,
+  findValueByKey,
+  extractBlockInfo,
+  performanceKey,
+  canonicalShowTime,
+  parseCalendarConfig
+};
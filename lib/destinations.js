@@ -0,0 +1,99 @@
+// ============================================================
+// Destinations and Locales
+//
+// Universal properties the collector covers, each with its own
+// parks, timezone and website host, and the CMS locales
+// ("en/us", "es/us") their page models are published in. A show
+// gets its destination and locale from its config, else from its
+// cms_url (host and /webdata/k2/<lang>/<country>/ segment).
+// ============================================================
+
+// park_name keys shared by shows, discovery and park hours
+const PARK_NAMES = {
+  USF: 'Universal Studios Florida',
+  IOA: "Universal's Islands of Adventure",
+  EPIC: 'Universal Epic Universe',
+  USH: 'Universal Studios Hollywood'
+};
+
+const DESTINATIONS = {
+  orlando: {
+    name: 'Universal Orlando Resort',
+    timeZone: 'America/New_York',
+    host: 'www.universalorlando.com',
+    parks: [PARK_NAMES.USF, PARK_NAMES.IOA, PARK_NAMES.EPIC]
+  },
+  hollywood: {
+    name: 'Universal Studios Hollywood',
+    timeZone: 'America/Los_Angeles',
+    host: 'www.universalstudioshollywood.com',
+    parks: [PARK_NAMES.USH]
+  }
+};
+
+const LOCALES = ['en/us', 'es/us'];
+
+const DEFAULT_DESTINATION = 'orlando';
+const DEFAULT_LOCALE = 'en/us';
+
+function destinationFromUrl(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+  return Object.keys(DESTINATIONS).find(key => DESTINATIONS[key].host === host) || null;
+}
+
+function localeFromUrl(url) {
+  const match = /\/webdata\/k2\/([a-z]{2}\/[a-z]{2})\//i.exec(url || '');
+  return match && LOCALES.includes(match[1].toLowerCase()) ? match[1].toLowerCase() : null;
+}
+
+/**
+ * { destination, locale, timeZone } for a show config
+ */
+function resolveShowLocale(show) {
+  const destination = show.destination || destinationFromUrl(show.cms_url) || DEFAULT_DESTINATION;
+  const locale = show.locale || localeFromUrl(show.cms_url) || DEFAULT_LOCALE;
+  return { destination, locale, timeZone: DESTINATIONS[destination]?.timeZone || DESTINATIONS[DEFAULT_DESTINATION].timeZone };
+}
+
+/**
+ * CMS page-model root for a destination and locale
+ * ("https://www.universalorlando.com/webdata/k2/en/us")
+ */
+function cmsBase(destination = DEFAULT_DESTINATION, locale = DEFAULT_LOCALE) {
+  return `https://${DESTINATIONS[destination].host}/webdata/k2/${locale}`;
+}
+
+/**
+ * Timezone of the destination a park belongs to
+ */
+function timeZoneForPark(parkName) {
+  const destination = Object.values(DESTINATIONS).find(d => d.parks.includes(parkName));
+  return (destination || DESTINATIONS[DEFAULT_DESTINATION]).timeZone;
+}
+
+/**
+ * Accept-Language header value for a locale ("es/us" → "es-US,es;q=0.9")
+ */
+function acceptLanguage(locale = DEFAULT_LOCALE) {
+  const [language, country] = locale.split('/');
+  return `${language}-${country.toUpperCase()},${language};q=0.9`;
+}
+
+module.exports = {
+  PARK_NAMES,
+  DESTINATIONS,
+  LOCALES,
+  DEFAULT_DESTINATION,
+  DEFAULT_LOCALE,
+  destinationFromUrl,
+  localeFromUrl,
+  resolveShowLocale,
+  cmsBase,
+  timeZoneForPark,
+  acceptLanguage
+};
@@ -0,0 +1,212 @@
+// ============================================================
+// Show Discovery
+//
+// Walks the things-to-do listing page models of every destination
+// (lib/destinations.js), finds every page that carries a
+// calendarConfig, and proposes show entries for the ones we don't
+// track yet. Nothing is added automatically —
+// candidates go to a review file or table for a human to approve.
+// ============================================================
+
+const fs = require('fs');
+const { fetchCMSData, findCalendarConfig } = require('./cms');
+const { SHOW_TYPES, PARK_NAMES } = require('./shows');
+const { DESTINATIONS, DEFAULT_LOCALE, cmsBase, resolveShowLocale } = require('./destinations');
+
+const LISTING_SECTIONS = ['shows', 'entertainment', 'events'];
+
+// Park names as they appear in page text, mapped to our park_name keys
+const PARKS = [
+  { pattern: /islands of adventure/i, park_name: PARK_NAMES.IOA, id_prefix: 'islands-of-adventure' },
+  { pattern: /epic universe/i, park_name: PARK_NAMES.EPIC, id_prefix: 'epic-universe' },
+  { pattern: /universal studios florida/i, park_name: PARK_NAMES.USF, id_prefix: 'universal-studios' },
+  { pattern: /universal studios hollywood/i, park_name: PARK_NAMES.USH, id_prefix: 'universal-studios-hollywood' }
+];
+
+// First matching rule wins; the fallback is STAGE_SHOW
+const SHOW_TYPE_RULES = [
+  { pattern: /parade/i, show_type: 'PARADE' },
+  { pattern: /projection|lights at|castle/i, show_type: 'PROJECTION_SHOW' },
+  { pattern: /nighttime|fireworks|spectacular|symphonic/i, show_type: 'NIGHTTIME_SHOW' }
+];
+
+const PAGE_PATH = /things-to-do\/(?:shows|entertainment|events)\/[a-z0-9][a-z0-9\-/]*/gi;
+
+/**
+ * CMS page-model URL for a listing section under a CMS root (cmsBase)
+ */
+function listingUrl(section, base = cmsBase()) {
+  return `${base}/things-to-do/${section}/index.html`;
+}
+
+/**
+ * Normalize any things-to-do page path (public /web/ link, relative path
+ * or page-model URL) to its canonical page-model URL under `base`.
+ */
+function toPageModelUrl(pagePath, base = cmsBase()) {
+  const relative = pagePath
+    .replace(/\/index(\.html?)?$/i, '')
+    .replace(/\.html?$/i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+  return `${base}/${relative}/index.html`;
+}
+
+/**
+ * Collect every string value in a CMS model
+ */
+function collectStrings(obj, out = [], depth = 0) {
+  if (depth > 30 || obj == null) return out;
+  if (typeof obj === 'string') {
+    out.push(obj);
+  } else if (Array.isArray(obj)) {
+    for (const item of obj) collectStrings(item, out, depth + 1);
+  } else if (typeof obj === 'object') {
+    for (const key of Object.keys(obj)) collectStrings(obj[key], out, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * Extract the page-model URLs of all child pages linked from a listing model
+ */
+function extractListingLinks(listingModel, base = cmsBase()) {
+  const urls = new Set();
+  const listingRoots = new Set(LISTING_SECTIONS.map(section => listingUrl(section, base)));
+  for (const str of collectStrings(listingModel)) {
+    for (const match of str.match(PAGE_PATH) || []) {
+      const url = toPageModelUrl(match, base);
+      if (!listingRoots.has(url)) urls.add(url);
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * Infer the park from the page text — the most-mentioned park wins. With a
+ * destination, only that destination's parks are considered.
+ */
+function inferPark(pageModel, destination) {
+  const text = collectStrings(pageModel).join('\n');
+  const parks = destination ? PARKS.filter(p => DESTINATIONS[destination].parks.includes(p.park_name)) : PARKS;
+  let best = null;
+  let bestCount = 0;
+  for (const park of parks) {
+    const count = (text.match(new RegExp(park.pattern.source, 'gi')) || []).length;
+    if (count > bestCount) {
+      best = park;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Infer the show type from the page title and URL
+ */
+function inferShowType(title, url) {
+  const haystack = `${title} ${url}`;
+  const rule = SHOW_TYPE_RULES.find(r => r.pattern.test(haystack));
+  const showType = rule ? rule.show_type : 'STAGE_SHOW';
+  return SHOW_TYPES.includes(showType) ? showType : 'STAGE_SHOW';
+}
+
+/**
+ * Build a proposed show entry for a page that has a calendarConfig
+ */
+function buildCandidate(url, pageModel, destination) {
+  const slug = url.replace(/^.*\/things-to-do\//, '').replace(/\/index\.html$/, '');
+  const lastSegment = slug.split('/').filter(Boolean).pop();
+  const title = pageModel.Title || lastSegment;
+  const park = inferPark(pageModel, destination);
+
+  return {
+    show_id: park ? `${park.id_prefix}-${lastSegment}` : lastSegment,
+    show_name: title,
+    park_name: park ? park.park_name : null,
+    show_type: inferShowType(title, url),
+    cms_url: url,
+    needs_review: !park
+  };
+}
+
+/**
+ * Run a discovery pass over `options.destinations` (default: all of them)
+ * in `options.locale` (default en/us).
+ * Returns { candidates, unresolved, listingErrors, checkedPages }:
+ *   candidates   — calendar pages not already tracked
+ *   unresolved   — tracked shows whose cms_url no longer fetches
+ *   listingErrors — listing pages that could not be read
+ */
+async function discoverShows(trackedShows, options = {}) {
+  const fetchPage = options.fetchPage || fetchCMSData;
+  const maxPages = options.maxPages || 200;
+  const destinations = options.destinations || Object.keys(DESTINATIONS);
+  const locale = options.locale || DEFAULT_LOCALE;
+  const trackedUrls = new Set(trackedShows.map(s => s.cms_url.toLowerCase()));
+
+  // page-model URL → destination it was listed under
+  const pageUrls = new Map();
+  const listingErrors = [];
+  for (const destination of destinations) {
+    const base = cmsBase(destination, locale);
+    for (const section of LISTING_SECTIONS) {
+      const url = listingUrl(section, base);
+      try {
+        const listing = await fetchPage(url, { locale });
+        extractListingLinks(listing, base).forEach(u => pageUrls.set(u, destination));
+      } catch (error) {
+        listingErrors.push({ url, error: error.message });
+      }
+    }
+  }
+
+  const candidates = [];
+  let checkedPages = 0;
+  for (const [url, destination] of pageUrls) {
+    if (trackedUrls.has(url)) continue;
+    if (checkedPages >= maxPages) break;
+    checkedPages++;
+    try {
+      const pageModel = await fetchPage(url, { locale });
+      if (findCalendarConfig(pageModel)) {
+        candidates.push(buildCandidate(url, pageModel, destination));
+      }
+    } catch (error) {
+      // Listing links to pages that don't have a model are common — skip them
+    }
+  }
+
+  const unresolved = [];
+  for (const show of trackedShows) {
+    try {
+      await fetchPage(show.cms_url, { locale: resolveShowLocale(show).locale });
+    } catch (error) {
+      unresolved.push({ show_id: show.show_id, cms_url: show.cms_url, error: error.message });
+    }
+  }
+
+  return { candidates, unresolved, listingErrors, checkedPages };
+}
+
+/**
+ * Write discovery results to a JSON review file
+ */
+function writeDiscoveryReport(filePath, result) {
+  fs.writeFileSync(filePath, JSON.stringify({
+    generated_at: new Date().toISOString(),
+    ...result
+  }, null, 2));
+}
+
+module.exports = {
+  LISTING_SECTIONS,
+  listingUrl,
+  toPageModelUrl,
+  extractListingLinks,
+  inferPark,
+  inferShowType,
+  buildCandidate,
+  discoverShows,
+  writeDiscoveryReport
+};
@@ -0,0 +1,303 @@
+// ============================================================
+// Disruption Notices
+//
+// Same-day cancellations and delays the CMS calendar never shows
+// (a nighttime show called off for lightning, say). Notices come
+// from the `disrupt` command or a feed adapter and annotate
+// performances in universal_performance_disruptions, apart from
+// the CMS-derived schedule rows and status. Each new or changed
+// annotation is logged as a DISRUPTION change.
+//
+// A feed is a JSON array of notices (or { "notices": [...] }):
+//   { "show_id": "universal-studios-cinesational",
+//     "schedule_date": "2026-03-07", "show_time": "8:30 PM",
+//     "type": "CANCELLED", "reason": "WEATHER", "note": "Lightning" }
+// Without show_time a notice covers every performance that day.
+// DELAYED takes delay_minutes; CLEARED withdraws earlier notices.
+// A feed notice carries updated_at when it last changed; a notice
+// that was cleared is only reopened by a feed notice newer than the
+// clear, so a feed still listing it can't undo a clear by hand.
+// ============================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { fetchTextWithRetry } = require('./http');
+
+const NOTICE_TYPES = ['CANCELLED', 'DELAYED', 'CLEARED'];
+const REASONS = ['WEATHER', 'OPERATIONAL', 'OTHER'];
+const NOTICE_SEVERITY = { CANCELLED: 'HIGH', DELAYED: 'MEDIUM', CLEARED: 'LOW' };
+
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate and normalize notices (type and reason upper-cased, optional
+ * fields null). A notice with problems is left out and reported, so one
+ * bad entry doesn't hold up the rest of a feed. Returns { valid, invalid }
+ * with invalid as [{ notice, error }]; throws only when `notices` isn't
+ * an array.
+ */
+function validateNotices(notices) {
+  if (!Array.isArray(notices)) {
+    throw new Error('Disruption notices must be a JSON array (or { "notices": [...] })');
+  }
+
+  const valid = [];
+  const invalid = [];
+  notices.forEach((notice, i) => {
+    const label = `#${i}${notice?.show_id ? ` (${notice.show_id})` : ''}`;
+    if (!notice || typeof notice !== 'object') {
+      invalid.push({ notice: label, error: 'not an object' });
+      return;
+    }
+
+    const type = String(notice.type || '').toUpperCase();
+    const reason = notice.reason ? String(notice.reason).toUpperCase() : null;
+    const delay = notice.delay_minutes == null ? null : Number(notice.delay_minutes);
+
+    const problems = [];
+    if (typeof notice.show_id !== 'string' || notice.show_id.trim() === '') problems.push('missing show_id');
+    if (!FULL_DATE.test(notice.schedule_date || '')) problems.push('schedule_date must be "YYYY-MM-DD"');
+    if (!NOTICE_TYPES.includes(type)) {
+      problems.push(`unknown type "${notice.type}" (expected one of ${NOTICE_TYPES.join(', ')})`);
+    }
+    if (type !== 'CLEARED' && !REASONS.includes(reason)) {
+      problems.push(`reason must be one of ${REASONS.join(', ')}`);
+    }
+    if (type === 'DELAYED' && !(Number.isInteger(delay) && delay > 0)) {
+      problems.push('DELAYED needs delay_minutes as a positive whole number');
+    }
+    if (notice.updated_at != null && Number.isNaN(Date.parse(notice.updated_at))) {
+      problems.push('updated_at must be an ISO timestamp');
+    }
+    if (problems.length > 0) {
+      invalid.push({ notice: label, error: problems.join('; ') });
+      return;
+    }
+
+    valid.push({
+      show_id: notice.show_id,
+      schedule_date: notice.schedule_date,
+      show_time: notice.show_time || null,
+      type,
+      reason: type === 'CLEARED' ? null : reason,
+      note: notice.note || null,
+      delay_minutes: type === 'DELAYED' ? delay : null,
+      source: notice.source || null,
+      reported_at: notice.reported_at || null,
+      updated_at: notice.updated_at || null
+    });
+  });
+
+  return { valid, invalid };
+}
+
+// Fields that make an annotation different from the one stored
+const ANNOTATION_FIELDS = ['disruption_type', 'reason', 'note', 'delay_minutes'];
+
+function sameAnnotation(a, b) {
+  return ANNOTATION_FIELDS.every(field => (a[field] ?? null) === (b[field] ?? null));
+}
+
+// Notices from the `disrupt` command, rather than a feed
+function isManual(notice) {
+  return !notice.source || notice.source === 'manual';
+}
+
+/**
+ * Whether a notice may reopen a cleared annotation: always by hand, and
+ * from a feed only when the feed updated the notice after the clear
+ */
+function reopens(notice, cleared) {
+  if (isManual(notice)) return true;
+  return Boolean(notice.updated_at) && Date.parse(notice.updated_at) > Date.parse(cleared.cleared_at);
+}
+
+function describeNotice(show, notice, times) {
+  const at = `${notice.schedule_date} at ${times.join(', ')}`;
+  const why = notice.reason ? ` (${notice.reason.toLowerCase()}${notice.note ? `: ${notice.note}` : ''})` : '';
+  if (notice.type === 'CANCELLED') return `${show.show_name} cancelled on ${at}${why}`;
+  if (notice.type === 'DELAYED') return `${show.show_name} delayed ${notice.delay_minutes} minutes on ${at}${why}`;
+  return `${show.show_name} disruption on ${at} cleared`;
+}
+
+/**
+ * Annotation rows and the change for one notice. `showTimes` are the
+ * performances it covers; `existing` the show's stored annotations that
+ * day. Returns { rows, change } — no rows and a null change when the
+ * notice says nothing new.
+ */
+function planDisruption(show, notice, showTimes, existing, now = new Date().toISOString()) {
+  const existingByTime = new Map(existing.map(row => [row.show_time, row]));
+  const rows = [];
+  const previous = [];
+
+  for (const showTime of showTimes) {
+    const stored = existingByTime.get(showTime);
+    const active = stored && !stored.cleared_at ? stored : null;
+
+    if (notice.type === 'CLEARED') {
+      if (!active) continue;
+      rows.push({ ...active, cleared_at: now, updated_at: now });
+      previous.push(active);
+      continue;
+    }
+    if (stored?.cleared_at && !reopens(notice, stored)) continue;
+
+    const row = {
+      show_id: show.show_id,
+      show_name: show.show_name,
+      park_name: show.park_name,
+      schedule_date: notice.schedule_date,
+      show_time: showTime,
+      disruption_type: notice.type,
+      reason: notice.reason,
+      note: notice.note,
+      delay_minutes: notice.delay_minutes,
+      source: notice.source || 'manual',
+      reported_at: notice.reported_at || now,
+      cleared_at: null,
+      updated_at: now
+    };
+    if (active && sameAnnotation(active, row)) continue;
+    rows.push(row);
+    if (active) previous.push(active);
+  }
+
+  if (rows.length === 0) return { rows, change: null };
+
+  const summary = row => Object.fromEntries(['show_time', ...ANNOTATION_FIELDS].map(field => [field, row[field] ?? null]));
+  return {
+    rows,
+    change: {
+      change_type: 'DISRUPTION',
+      change_kind: `DISRUPTION_${notice.type}`,
+      entity_id: show.show_id,
+      entity_name: show.show_name,
+      change_date: notice.schedule_date,
+      change_description: describeNotice(show, notice, rows.map(r => r.show_time)),
+      old_value: previous.length > 0 ? { disruptions: previous.map(summary) } : null,
+      new_value: notice.type === 'CLEARED'
+        ? { show_times: rows.map(r => r.show_time), cleared: true }
+        : { show_times: rows.map(r => r.show_time), disruption_type: notice.type, reason: notice.reason, note: notice.note, delay_minutes: notice.delay_minutes, source: rows[0].source },
+      severity: NOTICE_SEVERITY[notice.type]
+    }
+  };
+}
+
+/**
+ * Idempotency key for a DISRUPTION change: the change and the stored
+ * annotations it was planned against, down to when each was last
+ * updated. A retry of the same notice gets the same key; cancelling
+ * again after a clear starts from different annotations and doesn't.
+ */
+function disruptionKey(change, existing) {
+  const state = existing
+    .map(d => [d.show_time, d.disruption_type, d.cleared_at ?? null, d.updated_at ?? null].join('|'))
+    .sort();
+  return crypto.createHash('sha256').update(JSON.stringify([
+    change.entity_id,
+    change.change_kind,
+    change.change_date,
+    change.new_value,
+    state
+  ])).digest('hex');
+}
+
+/**
+ * Apply notices: resolve the performances each covers from storage,
+ * then log the changes and upsert the annotations. The changes carry
+ * idempotency keys, so a notice applied twice logs once. Returns
+ * { annotated, changes, errors }; an invalid notice, one for an unknown
+ * show or one for a performance that isn't stored is an error, not a
+ * failure of the rest.
+ */
+async function ingestDisruptions(store, trackedShows, notices, options = {}) {
+  const now = options.now || new Date().toISOString();
+  const rows = [];
+  const changes = [];
+  const { valid, invalid } = validateNotices(notices);
+  const errors = [...invalid];
+
+  for (const notice of valid) {
+    const label = `${notice.show_id} ${notice.schedule_date}${notice.show_time ? ` ${notice.show_time}` : ''}`;
+    const show = trackedShows.find(s => s.show_id === notice.show_id);
+    if (!show) {
+      errors.push({ notice: label, error: `Unknown show "${notice.show_id}"` });
+      continue;
+    }
+
+    const [performances, existing] = await Promise.all([
+      store.fetchSchedules(show.show_id, { from: notice.schedule_date, to: notice.schedule_date }),
+      store.fetchDisruptions({ showId: show.show_id, from: notice.schedule_date, to: notice.schedule_date })
+    ]);
+    const storedTimes = performances.filter(p => p.status !== 'CANCELLED').map(p => p.show_time);
+    const showTimes = notice.show_time ? storedTimes.filter(t => t === notice.show_time) : storedTimes;
+    if (showTimes.length === 0) {
+      errors.push({ notice: label, error: 'No stored performance to annotate' });
+      continue;
+    }
+
+    const plan = planDisruption(show, notice, showTimes, existing, now);
+    if (!plan.change) continue;
+    rows.push(...plan.rows);
+    changes.push({ ...plan.change, idempotency_key: disruptionKey(plan.change, existing) });
+  }
+
+  // Changes first: if the annotations fail to write, the retry finds the
+  // same state and its changes are skipped as already logged
+  if (changes.length > 0) await store.logChanges(changes);
+  if (rows.length > 0) await store.upsertDisruptions(rows);
+  return { annotated: rows.length, changes, errors };
+}
+
+function noticesFrom(parsed, source) {
+  const notices = Array.isArray(parsed) ? parsed : parsed?.notices;
+  return Array.isArray(notices) ? notices.map(n => ({ source, ...n })) : notices;
+}
+
+async function readFileFeed(config, name) {
+  return noticesFrom(JSON.parse(fs.readFileSync(config.path, 'utf8')), name);
+}
+
+async function fetchHttpFeed(config, name) {
+  const response = await fetchTextWithRetry(config.url, { headers: { Accept: 'application/json' } });
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Disruption feed ${config.url} returned HTTP ${response.status} ${response.statusText}`);
+  }
+  return noticesFrom(JSON.parse(response.text), name);
+}
+
+const FEEDS = {
+  file: { fetch: readFileFeed, required: ['path'] },
+  http: { fetch: fetchHttpFeed, required: ['url'] }
+};
+
+/**
+ * A feed adapter from a config ({ type, ... }) or a source string: an
+ * http(s) URL or a local JSON file. Returns null when nothing is set.
+ * Notices it returns carry the feed's name as their source.
+ */
+function createDisruptionFeed(source) {
+  if (!source) return null;
+  const config = typeof source === 'string'
+    ? (/^https?:\/\//.test(source) ? { type: 'http', url: source } : { type: 'file', path: source })
+    : source;
+
+  const feed = FEEDS[config.type];
+  if (!feed) throw new Error(`Unknown disruption feed type "${config.type}" (expected one of ${Object.keys(FEEDS).join(', ')})`);
+  const missing = feed.required.filter(field => !config[field]);
+  if (missing.length > 0) throw new Error(`Disruption feed "${config.type}" is missing ${missing.join(', ')}`);
+
+  const name = `${config.type}:${config.path || config.url}`;
+  return { name, fetchNotices: () => feed.fetch(config, name) };
+}
+
+module.exports = {
+  NOTICE_TYPES,
+  REASONS,
+  validateNotices,
+  disruptionKey,
+  planDisruption,
+  ingestDisruptions,
+  createDisruptionFeed
+};
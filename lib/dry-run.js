@@ -0,0 +1,67 @@
+// ============================================================
+// Dry-run Snapshot & Report
+//
+// Local stand-ins for Supabase used by `--dry-run`.
+// ============================================================
+
+const fs = require('fs');
+const { todayInZone } = require('./time');
+const { log } = require('./log');
+
+/**
+ * Load the local snapshot of schedule rows used in place of Supabase.
+ * The file is a JSON array of universal_entertainment_schedules rows;
+ * a missing file is treated as an empty table.
+ */
+function loadSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) {
+    log.warn('dry_run.snapshot_missing', `⚠ Snapshot ${filePath} not found — diffing against an empty table`, { snapshot: filePath });
+    return [];
+  }
+  let rows;
+  try {
+    rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Snapshot ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(`Snapshot ${filePath} must contain a JSON array of schedule rows`);
+  }
+  return rows;
+}
+
+/**
+ * Existing future schedule rows for a show, read from the snapshot
+ */
+function fetchSnapshotSchedules(snapshot, showId, today = todayInZone()) {
+  return snapshot.filter(r => r.show_id === showId && r.schedule_date >= today);
+}
+
+/**
+ * Write the dry-run report: everything each show would have written,
+ * plus any run-wide rows (`extra`, e.g. park_hours)
+ */
+function writeDryRunReport(filePath, results, snapshotPath, extra = {}) {
+  const report = {
+    generated_at: new Date().toISOString(),
+    snapshot: snapshotPath,
+    ...extra,
+    shows: results.map(r => ({
+      show_id: r.show,
+      status: r.status || null,
+      error: r.error || null,
+      schedules: r.report?.schedules || [],
+      changes: r.report?.changes || [],
+      show_status: r.report?.show_status || null,
+      show_details: r.report?.show_details || null,
+      page_fingerprint: r.report?.page_fingerprint || null
+    }))
+  };
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+}
+
+module.exports = {
+  loadSnapshot,
+  fetchSnapshotSchedules,
+  writeDryRunReport
+};
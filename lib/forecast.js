@@ -0,0 +1,231 @@
+// ============================================================
+// Schedule Forecasting
+//
+// Learns each show's habits from universal_schedule_history —
+// how far ahead it posts dates and which weekdays it runs — and
+// flags a calendar that has stopped matching them: a horizon
+// gone short, usual weekdays missing, or a seasonal show that is
+// overdue to appear.
+// ============================================================
+
+const { todayInZone } = require('./time');
+const { isInSeason } = require('./shows');
+
+// The horizon is short when it falls below this share of the usual one
+const HORIZON_SHORT_RATIO = parseFloat(process.env.FORECAST_HORIZON_RATIO || '0.7');
+// Calendar extensions needed before a usual horizon is trusted
+const MIN_EXTENSIONS = 5;
+// Weeks of past performances the weekday pattern is learned from, and
+// how many of them are needed
+const PATTERN_WEEKS = 8;
+const MIN_PATTERN_WEEKS = 4;
+// A weekday is usual when the show ran on it in this share of weeks
+const USUAL_WEEKDAY_SHARE = 0.8;
+// Days into its season before a show with no dates is overdue
+const SEASON_GRACE_DAYS = 7;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FORECAST_SEVERITY = { HORIZON_SHORT: 'MEDIUM', WEEKDAY_GAP: 'LOW', SEASON_OVERDUE: 'MEDIUM' };
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * How far ahead a show posts dates. Each day the furthest posted date
+ * moved out is one extension; the usual horizon is the median distance
+ * from that day to the new furthest date. Returns { typical, extendedOn,
+ * extensions } — typical is null until there are MIN_EXTENSIONS.
+ */
+function postingHorizon(history, timeZone) {
+  const furthestByDay = new Map();
+  for (const version of history) {
+    if (version.status === 'CANCELLED') continue;
+    const day = todayInZone(timeZone, new Date(version.valid_from));
+    if (!furthestByDay.has(day) || version.schedule_date > furthestByDay.get(day)) {
+      furthestByDay.set(day, version.schedule_date);
+    }
+  }
+
+  const horizons = [];
+  let furthest = null;
+  let extendedOn = null;
+  for (const day of [...furthestByDay.keys()].sort()) {
+    const date = furthestByDay.get(day);
+    if (furthest && date <= furthest) continue;
+    furthest = date;
+    extendedOn = day;
+    horizons.push(daysBetween(day, date));
+  }
+
+  return {
+    typical: horizons.length >= MIN_EXTENSIONS ? median(horizons) : null,
+    extendedOn,
+    extensions: horizons.length
+  };
+}
+
+/**
+ * Weekdays (0 = Sunday) the show ran in most weeks of the PATTERN_WEEKS
+ * before `today`, or null without MIN_PATTERN_WEEKS of performances
+ */
+function weekdayPattern(history, today) {
+  const from = historyWindowStart(today);
+  const dates = [...new Set(history
+    .filter(v => v.status !== 'CANCELLED' && v.schedule_date >= from && v.schedule_date < today)
+    .map(v => v.schedule_date))].sort();
+  if (dates.length === 0) return null;
+
+  const weeks = Math.ceil((daysBetween(dates[0], dates[dates.length - 1]) + 1) / 7);
+  if (weeks < MIN_PATTERN_WEEKS) return null;
+
+  const counts = new Array(7).fill(0);
+  dates.forEach(date => counts[weekdayOf(date)]++);
+  return counts.map((count, day) => (count / weeks >= USUAL_WEEKDAY_SHARE ? day : null)).filter(day => day !== null);
+}
+
+/**
+ * Earliest schedule_date the forecast reads history for: the weekday
+ * pattern's window, which also holds enough calendar extensions
+ */
+function historyWindowStart(today) {
+  return addDays(today, -PATTERN_WEEKS * 7);
+}
+
+/**
+ * The show's current season as full dates ({ start, end }, either may be
+ * null), resolving recurring "MM-DD" windows around `today`
+ */
+function currentSeason(show, today) {
+  const { season_start: start, season_end: end } = show;
+  if (!start && !end) return null;
+  if (/^\d{4}-/.test(start || end)) return { start: start || null, end: end || null };
+
+  const year = Number(today.slice(0, 4));
+  const monthDay = today.slice(5);
+  let startYear = year;
+  let endYear = year;
+  if (start && end && start > end) {
+    if (monthDay <= end) startYear--;
+    else endYear++;
+  }
+  return {
+    start: start ? `${startYear}-${start}` : null,
+    end: end ? `${endYear}-${end}` : null
+  };
+}
+
+/**
+ * Forecast for one show from its history and this run's parsed schedule.
+ * Returns the status fields (typical_horizon_days, horizon_days,
+ * usual_weekdays, forecast_flags) plus the detail behind each flag.
+ */
+function analyzeSchedule(show, history, schedules, { today, timeZone }) {
+  const posted = [...new Set(schedules.filter(s => s.status !== 'CANCELLED' && s.schedule_date >= today).map(s => s.schedule_date))].sort();
+  const lastPosted = posted[posted.length - 1] || null;
+  const horizon = postingHorizon(history, timeZone);
+  const usual = weekdayPattern(history, today);
+  const season = currentSeason(show, today);
+
+  const forecast = {
+    typical_horizon_days: horizon.typical,
+    horizon_days: lastPosted ? daysBetween(today, lastPosted) : 0,
+    usual_weekdays: usual ? usual.map(day => WEEKDAYS[day]) : null,
+    forecast_flags: [],
+    horizon_extended_on: horizon.extendedOn,
+    missing_dates: [],
+    season_start: season?.start || null
+  };
+
+  // Near the end of a season the horizon shrinks on its own
+  const seasonEndsSoon = season?.end && horizon.typical !== null && daysBetween(today, season.end) < horizon.typical;
+  if (horizon.typical !== null && !seasonEndsSoon && forecast.horizon_days < horizon.typical * HORIZON_SHORT_RATIO) {
+    forecast.forecast_flags.push('HORIZON_SHORT');
+  }
+
+  if (usual && usual.length > 0 && lastPosted) {
+    const postedSet = new Set(posted);
+    for (let date = today; date <= lastPosted; date = addDays(date, 1)) {
+      if (usual.includes(weekdayOf(date)) && !postedSet.has(date)) forecast.missing_dates.push(date);
+    }
+    if (forecast.missing_dates.length > 0) forecast.forecast_flags.push('WEEKDAY_GAP');
+  }
+
+  if (season?.start && isInSeason(show, today) && posted.length === 0 &&
+      daysBetween(season.start, today) >= SEASON_GRACE_DAYS) {
+    forecast.forecast_flags.push('SEASON_OVERDUE');
+  }
+
+  return forecast;
+}
+
+/**
+ * The forecast's columns on universal_show_status
+ */
+function forecastStatusFields(forecast) {
+  return {
+    typical_horizon_days: forecast.typical_horizon_days,
+    horizon_days: forecast.horizon_days,
+    usual_weekdays: forecast.usual_weekdays,
+    forecast_flags: forecast.forecast_flags
+  };
+}
+
+/**
+ * FORECAST changes for flags raised since the last run's status row
+ */
+function buildForecastChanges(show, previousFlags, forecast, today) {
+  const describe = {
+    HORIZON_SHORT: () => `${show.show_name} calendar only runs ${forecast.horizon_days} days out (usually ${forecast.typical_horizon_days})` +
+      (forecast.horizon_extended_on ? `; last extended ${forecast.horizon_extended_on}` : ''),
+    WEEKDAY_GAP: () => `${show.show_name} usually runs ${forecast.usual_weekdays.join(', ')} but nothing is posted for ${forecast.missing_dates.join(', ')}`,
+    SEASON_OVERDUE: () => `${show.show_name} season began ${forecast.season_start} but no dates are posted`
+  };
+
+  return forecast.forecast_flags
+    .filter(flag => !(previousFlags || []).includes(flag))
+    .map(flag => ({
+      change_type: 'FORECAST',
+      change_kind: flag,
+      entity_id: show.show_id,
+      entity_name: show.show_name,
+      change_date: today,
+      change_description: describe[flag](),
+      old_value: null,
+      new_value: {
+        horizon_days: forecast.horizon_days,
+        typical_horizon_days: forecast.typical_horizon_days,
+        usual_weekdays: forecast.usual_weekdays,
+        ...(flag === 'WEEKDAY_GAP' ? { missing_dates: forecast.missing_dates } : {})
+      },
+      severity: FORECAST_SEVERITY[flag]
+    }));
+}
+
+module.exports = {
+  HORIZON_SHORT_RATIO,
+  postingHorizon,
+  weekdayPattern,
+  currentSeason,
+  historyWindowStart,
+  analyzeSchedule,
+  forecastStatusFields,
+  buildForecastChanges
+};
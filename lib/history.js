@@ -0,0 +1,130 @@
+// ============================================================
+// Schedule History
+//
+// Append-only versions of every performance in
+// universal_schedule_history. Each observed state gets a row with
+// valid_from; the row it replaces gets valid_to. Also the queries
+// analysts run over that history.
+// ============================================================
+
+const crypto = require('crypto');
+const { performanceKey } = require('./cms');
+
+// Fields whose change starts a new version
+const VERSION_FIELDS = ['status', 'is_available', 'show_time_local', 'show_starts_at', 'hours_conflict'];
+
+/**
+ * Hash of a performance's versioned fields
+ */
+function versionHash(record) {
+  const payload = JSON.stringify(VERSION_FIELDS.map(field => record[field] ?? null));
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Work out which history rows to close and which to append for this run's
+ * schedule records. `openVersions` are the show's rows with no valid_to.
+ * Returns { close: [id], append: [row] }.
+ */
+function planHistory(records, openVersions, now = new Date().toISOString()) {
+  const openByKey = new Map(openVersions.map(v => [performanceKey(v.schedule_date, v.show_time), v]));
+  const close = [];
+  const append = [];
+
+  for (const record of records) {
+    const hash = versionHash(record);
+    const open = openByKey.get(performanceKey(record.schedule_date, record.show_time));
+    if (open && open.version_hash === hash) continue;
+    if (open) close.push(open.id);
+
+    append.push({
+      show_id: record.show_id,
+      schedule_date: record.schedule_date,
+      show_time: record.show_time,
+      ...Object.fromEntries(VERSION_FIELDS.map(field => [field, record[field] ?? null])),
+      version_hash: hash,
+      valid_from: now,
+      valid_to: null
+    });
+  }
+
+  return { close, append };
+}
+
+/**
+ * Schedule rows with `changed_at`: the valid_from of each one's open
+ * history version, i.e. when its state last actually changed
+ */
+function withChangeTimes(rows, openVersions) {
+  const changedAt = new Map(openVersions.map(v => [performanceKey(v.schedule_date, v.show_time), v.valid_from]));
+  return rows.map(row => ({ ...row, changed_at: changedAt.get(performanceKey(row.schedule_date, row.show_time)) || null }));
+}
+
+/**
+ * History rows in effect at an instant (ISO timestamp) — the schedule as
+ * it was known then, cancelled performances included
+ */
+function scheduleAsOf(history, at) {
+  return history
+    .filter(v => v.valid_from <= at && (!v.valid_to || v.valid_to > at))
+    .sort((a, b) => a.schedule_date.localeCompare(b.schedule_date) || (a.show_time_local || '').localeCompare(b.show_time_local || ''));
+}
+
+/**
+ * How many times a date's live showtimes changed after they were first
+ * posted. Status-only changes (e.g. TENTATIVE → SCHEDULED) don't count.
+ */
+function rescheduleCount(history, scheduleDate) {
+  const versions = history.filter(v => v.schedule_date === scheduleDate);
+  const instants = [...new Set(versions.flatMap(v => [v.valid_from, v.valid_to]).filter(Boolean))].sort();
+
+  let count = 0;
+  let previous = null;
+  for (const at of instants) {
+    const times = scheduleAsOf(versions, at)
+      .filter(v => v.status !== 'CANCELLED')
+      .map(v => v.show_time)
+      .sort()
+      .join('|');
+    if (previous && times !== previous) count++;
+    if (times) previous = times;
+  }
+  return count;
+}
+
+/**
+ * What became of tentative performances: how many were later confirmed
+ * (SCHEDULED) or cancelled, and how many are still tentative.
+ */
+function tentativeOutcomes(history) {
+  const byPerformance = new Map();
+  for (const version of history) {
+    const key = `${version.show_id}|${performanceKey(version.schedule_date, version.show_time)}`;
+    if (!byPerformance.has(key)) byPerformance.set(key, []);
+    byPerformance.get(key).push(version);
+  }
+
+  const outcomes = { tentative: 0, confirmed: 0, cancelled: 0, pending: 0 };
+  for (const versions of byPerformance.values()) {
+    versions.sort((a, b) => a.valid_from.localeCompare(b.valid_from));
+    const firstTentative = versions.findIndex(v => v.status === 'TENTATIVE');
+    if (firstTentative === -1) continue;
+    outcomes.tentative++;
+
+    const after = versions.slice(firstTentative + 1).map(v => v.status);
+    if (after.includes('SCHEDULED')) outcomes.confirmed++;
+    else if (after.includes('CANCELLED')) outcomes.cancelled++;
+    else outcomes.pending++;
+  }
+  return outcomes;
+}
+
+module.exports = {
+  VERSION_FIELDS,
+  versionHash,
+  planHistory,
+  withChangeTimes,
+  scheduleAsOf,
+  rescheduleCount,
+  tentativeOutcomes
+};
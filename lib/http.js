@@ -0,0 +1,124 @@
+// ============================================================
+// Resilient HTTP
+//
+// Timeouts, retries with exponential backoff (honouring
+// Retry-After), conditional-request validators and a small
+// concurrency helper for processing shows in parallel.
+// ============================================================
+
+const fs = require('fs');
+const { log } = require('./log');
+
+const HTTP_DEFAULTS = {
+  timeoutMs: parseInt(process.env.CMS_TIMEOUT_MS || '15000', 10),
+  retries: parseInt(process.env.CMS_MAX_RETRIES || '3', 10),
+  retryBaseMs: parseInt(process.env.CMS_RETRY_BASE_MS || '500', 10),
+  maxRetryDelayMs: parseInt(process.env.CMS_MAX_RETRY_DELAY_MS || '30000', 10)
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - now);
+  return null;
+}
+
+/**
+ * Fetch a URL and read its body as text, retrying on network errors,
+ * timeouts, 5xx and 429. The timeout covers the whole request including
+ * the body. Returns { status, statusText, headers, text, attempts } for
+ * the final attempt — non-retryable error statuses are returned, not thrown.
+ */
+async function fetchTextWithRetry(url, init = {}, options = {}) {
+  const { timeoutMs, retries, retryBaseMs, maxRetryDelayMs } = { ...HTTP_DEFAULTS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let delay = retryBaseMs * 2 ** attempt;
+
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      const text = await response.text();
+      const result = {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        text,
+        attempts: attempt + 1
+      };
+      if (!isRetryableStatus(response.status) || attempt >= retries) return result;
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null) delay = retryAfter;
+    } catch (error) {
+      const failure = error.name === 'AbortError'
+        ? new Error(`Request timed out after ${timeoutMs}ms`)
+        : error;
+      if (attempt >= retries) {
+        failure.attempts = attempt + 1;
+        throw failure;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await sleep(Math.min(delay, maxRetryDelayMs));
+  }
+}
+
+/**
+ * Load the ETag / Last-Modified validators saved by a previous run.
+ * Returns a Map of url → { etag, lastModified }.
+ */
+function loadValidatorCache(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return new Map();
+  try {
+    return new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+  } catch (error) {
+    log.warn('cms.cache_unreadable', `⚠ Ignoring unreadable CMS cache ${filePath}: ${error.message}`, { cache: filePath, error: error.message });
+    return new Map();
+  }
+}
+
+function saveValidatorCache(filePath, cache) {
+  if (!filePath) return;
+  fs.writeFileSync(filePath, JSON.stringify(Object.fromEntries(cache), null, 2));
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  HTTP_DEFAULTS,
+  isRetryableStatus,
+  parseRetryAfter,
+  fetchTextWithRetry,
+  loadValidatorCache,
+  saveValidatorCache,
+  mapWithConcurrency
+};
@@ -0,0 +1,211 @@
+// ============================================================
+// iCalendar Export
+//
+// Builds RFC 5545 feeds from schedule rows — one per show, one
+// per park and one for everything. UIDs are derived from show_id,
+// date and time so calendar apps update events in place across
+// runs instead of duplicating them.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const PRODID = '-//Universal Entertainment Collector//EN';
+const UID_DOMAIN = 'universal-entertainment-collector';
+const DEFAULT_DURATION_MINUTES = 30;
+
+const EVENT_STATUS = {
+  SCHEDULED: 'CONFIRMED',
+  TENTATIVE: 'TENTATIVE',
+  CANCELLED: 'CANCELLED'
+};
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never splitting a
+ * multi-byte character
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatUtc(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function nextDate(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Stable UID for a performance
+ */
+function eventUid(row) {
+  const time = row.show_time_local ? row.show_time_local.replace(':', '') : slugify(row.show_time || 'unknown');
+  return `${row.show_id}-${row.schedule_date}-${time}@${UID_DOMAIN}`;
+}
+
+/**
+ * SEQUENCE for a row: the time of its last real change (`changed_at`,
+ * from schedule history) in epoch seconds, so every revision — cancelled,
+ * then reinstated — outranks the one before while unchanged runs leave it
+ * alone. Rows without one fall back to 0 (1 if cancelled).
+ */
+function eventSequence(row) {
+  const changed = row.changed_at ? Date.parse(row.changed_at) : NaN;
+  if (!Number.isNaN(changed)) return Math.floor(changed / 1000);
+  return row.status === 'CANCELLED' ? 1 : 0;
+}
+
+/**
+ * VEVENT lines for one schedule row. Rows without a parseable time become
+ * all-day events. DTSTAMP is the row's changed_at when known.
+ */
+function buildEvent(row, options = {}) {
+  const dtstamp = formatUtc(new Date(row.changed_at || options.now || Date.now()).toISOString());
+  const status = EVENT_STATUS[row.status] || EVENT_STATUS.SCHEDULED;
+  const durationMinutes = options.durationMinutes || DEFAULT_DURATION_MINUTES;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(row)}`,
+    `DTSTAMP:${dtstamp}`
+  ];
+
+  if (row.show_starts_at) {
+    const start = new Date(row.show_starts_at);
+    const end = new Date(start.getTime() + durationMinutes * 60000);
+    lines.push(`DTSTART:${formatUtc(start.toISOString())}`, `DTEND:${formatUtc(end.toISOString())}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(row.schedule_date)}`, `DTEND;VALUE=DATE:${formatDate(nextDate(row.schedule_date))}`);
+  }
+
+  const summary = row.status === 'CANCELLED' ? `Cancelled: ${row.show_name}` : row.show_name;
+  lines.push(
+    `SUMMARY:${escapeText(summary)}`,
+    `LOCATION:${escapeText(row.park_name)}`,
+    `DESCRIPTION:${escapeText(`${row.show_name} — ${row.show_time} at ${row.park_name}`)}`,
+    `STATUS:${status}`,
+    `SEQUENCE:${eventSequence(row)}`
+  );
+  if (row.source_url) lines.push(`URL:${row.source_url}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document
+ */
+function buildCalendar(name, rows, options = {}) {
+  const sorted = [...rows].sort((a, b) =>
+    a.schedule_date.localeCompare(b.schedule_date) ||
+    String(a.show_starts_at || '').localeCompare(String(b.show_starts_at || '')) ||
+    a.show_id.localeCompare(b.show_id)
+  );
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (options.timeZone) lines.push(`X-WR-TIMEZONE:${options.timeZone}`);
+  for (const row of sorted) {
+    lines.push(...buildEvent(row, { now: options.now, durationMinutes: options.durations?.[row.show_id] }));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build every feed: per show, per park and all shows.
+ * `options.timeZoneFor(show)` picks a show's (and its park's) calendar
+ * timezone; `options.timeZone` is the fallback and the all-shows one.
+ * Returns [{ path, name, content }] with paths relative to the output root.
+ */
+function buildFeeds(shows, rowsByShow, options = {}) {
+  const durations = Object.fromEntries(
+    shows.filter(s => s.duration_minutes).map(s => [s.show_id, s.duration_minutes])
+  );
+  const calendarOptions = { ...options, durations };
+  const feeds = [];
+  const allRows = [];
+  const rowsByPark = new Map();
+
+  const parkTimeZones = new Map();
+
+  for (const show of shows) {
+    const rows = rowsByShow.get(show.show_id) || [];
+    const timeZone = options.timeZoneFor?.(show) || options.timeZone;
+    allRows.push(...rows);
+    if (!rowsByPark.has(show.park_name)) rowsByPark.set(show.park_name, []);
+    rowsByPark.get(show.park_name).push(...rows);
+    parkTimeZones.set(show.park_name, timeZone);
+    feeds.push({ path: `shows/${show.show_id}.ics`, name: show.show_name, content: buildCalendar(show.show_name, rows, { ...calendarOptions, timeZone }) });
+  }
+
+  for (const [parkName, rows] of rowsByPark) {
+    const timeZone = parkTimeZones.get(parkName);
+    feeds.push({ path: `parks/${slugify(parkName)}.ics`, name: parkName, content: buildCalendar(`${parkName} Shows`, rows, { ...calendarOptions, timeZone }) });
+  }
+
+  feeds.push({ path: 'all-shows.ics', name: 'All Shows', content: buildCalendar('Universal Shows', allRows, calendarOptions) });
+  return feeds;
+}
+
+/**
+ * Write feeds under a local directory
+ */
+function writeFeeds(outputDir, feeds) {
+  for (const feed of feeds) {
+    const filePath = path.join(outputDir, feed.path);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, feed.content);
+  }
+}
+
+module.exports = {
+  eventUid,
+  eventSequence,
+  foldLine,
+  escapeText,
+  buildEvent,
+  buildCalendar,
+  buildFeeds,
+  writeFeeds
+};
@@ -0,0 +1,78 @@
+// ============================================================
+// Logging
+//
+// Text mode prints the familiar console diagnostics. JSON mode
+// (`--log-format=json`) prints one structured event per line, with
+// the current show attached, so runs can be queried and shows
+// processed in parallel can be told apart.
+// ============================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_FORMATS = ['text', 'json'];
+const logContext = new AsyncLocalStorage();
+let logFormat = 'text';
+
+function setLogFormat(format) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected one of ${LOG_FORMATS.join(', ')})`);
+  }
+  logFormat = format;
+}
+
+function getLogFormat() {
+  return logFormat;
+}
+
+/**
+ * Run `fn` with extra fields (e.g. show_id) attached to every event it logs
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * The human message without the text-mode indentation and status icons
+ */
+function plainMessage(text) {
+  return text.replace(/^[\s✓✗⚠⚡–-]+/u, '').replace(/[\s-]+$/, '');
+}
+
+function emit(level, event, text, fields) {
+  const write = level === 'error' ? console.error : console.log;
+  if (logFormat === 'json') {
+    write(JSON.stringify({
+      ts: new Date().toISOString(),
+      level,
+      event,
+      ...logContext.getStore(),
+      ...fields,
+      msg: plainMessage(text)
+    }));
+  } else {
+    write(text);
+  }
+}
+
+/**
+ * log.<level>(event, text, fields?) — `event` is a stable dotted name such
+ * as "cms.fetched"; `text` is what text mode prints.
+ */
+const log = {
+  debug: (event, text, fields = {}) => emit('debug', event, text, fields),
+  info: (event, text, fields = {}) => emit('info', event, text, fields),
+  warn: (event, text, fields = {}) => emit('warn', event, text, fields),
+  error: (event, text, fields = {}) => emit('error', event, text, fields),
+  // Decoration (banners, separators) that only makes sense in text mode
+  text: text => {
+    if (logFormat === 'text') console.log(text);
+  }
+};
+
+module.exports = {
+  LOG_FORMATS,
+  setLogFormat,
+  getLogFormat,
+  withLogContext,
+  log
+};
@@ -0,0 +1,78 @@
+// ============================================================
+// Slack / Discord Notifier
+//
+// Formats changes for chat incoming-webhooks. Slack gets mrkdwn
+// blocks, Discord gets an embed per show; both stay inside the
+// platforms' message size limits.
+// ============================================================
+
+const { fetchTextWithRetry } = require('../http');
+const { changeIcon, groupChanges, summarize } = require('./format');
+
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_MAX_SECTION_CHARS = 3000;
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_DESCRIPTION = 4096;
+const DISCORD_COLORS = { HIGH: 0xd93025, MEDIUM: 0xf9ab00, LOW: 0x1e8e3e };
+
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+function changeLines(show) {
+  return show.bySeverity.flatMap(group =>
+    group.changes.map(c => `${changeIcon(c)} ${c.change_description}`)
+  );
+}
+
+/**
+ * Slack incoming-webhook payload
+ */
+function formatSlackMessage(changes) {
+  const headline = `Universal entertainment: ${summarize(changes)}`;
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: truncate(headline, 150) } }];
+
+  for (const show of groupChanges(changes)) {
+    if (blocks.length >= SLACK_MAX_BLOCKS) break;
+    const text = `*${show.entity_name}*\n${changeLines(show).join('\n')}`;
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(text, SLACK_MAX_SECTION_CHARS) } });
+  }
+
+  return { text: headline, blocks };
+}
+
+/**
+ * Discord webhook payload
+ */
+function formatDiscordMessage(changes) {
+  const embeds = groupChanges(changes).slice(0, DISCORD_MAX_EMBEDS).map(show => ({
+    title: truncate(show.entity_name, 256),
+    description: truncate(changeLines(show).join('\n'), DISCORD_MAX_DESCRIPTION),
+    color: DISCORD_COLORS[show.bySeverity[0].severity]
+  }));
+
+  return { content: `Universal entertainment: ${summarize(changes)}`, embeds };
+}
+
+/**
+ * Send changes to a Slack or Discord incoming webhook.
+ * config: { type: 'slack' | 'discord', url }
+ */
+async function sendChatMessage(config, changes, options = {}) {
+  const payload = config.type === 'discord' ? formatDiscordMessage(changes) : formatSlackMessage(changes);
+  const response = await fetchTextWithRetry(config.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }, options);
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`${config.type} webhook failed: ${response.status} ${response.text}`);
+  }
+}
+
+module.exports = {
+  formatSlackMessage,
+  formatDiscordMessage,
+  sendChatMessage
+};
@@ -0,0 +1,44 @@
+// ============================================================
+// SMTP Email Digest Notifier
+//
+// One plain-text email per run, grouped by show and severity.
+// ============================================================
+
+const { groupChanges, summarize } = require('./format');
+const { sendMail } = require('./smtp');
+
+/**
+ * Build the digest subject and body
+ */
+function formatDigest(changes) {
+  const lines = [`Universal entertainment collector — ${summarize(changes)}`, ''];
+
+  for (const show of groupChanges(changes)) {
+    lines.push(show.entity_name, '='.repeat(show.entity_name.length));
+    for (const group of show.bySeverity) {
+      lines.push(`${group.severity} (${group.changes.length})`);
+      group.changes.forEach(c => lines.push(`  - ${c.change_description}`));
+    }
+    lines.push('');
+  }
+
+  return {
+    subject: `[Universal Collector] ${summarize(changes)}`,
+    text: lines.join('\n')
+  };
+}
+
+/**
+ * Send the digest.
+ * config: { host, port, secure?, starttls?, username?, password?, from, to: [..] }
+ */
+async function sendEmailDigest(config, changes) {
+  const { subject, text } = formatDigest(changes);
+  const to = Array.isArray(config.to) ? config.to : [config.to];
+  await sendMail(config, { from: config.from, to, subject, text });
+}
+
+module.exports = {
+  formatDigest,
+  sendEmailDigest
+};
@@ -0,0 +1,87 @@
+// ============================================================
+// Change Formatting
+//
+// Shared helpers for turning detectChanges output into
+// human-readable notification text.
+// ============================================================
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const SEVERITY_ICON = { LOW: '🟢', MEDIUM: '🟡', HIGH: '🔴' };
+
+// Kinds with their own icon regardless of severity
+const KIND_ICON = {
+  CONFIRMED: '✅',
+  SEASON_EXTENDED: '📅',
+  SCHEMA_DRIFT: '🧩',
+  PARSE_WARNING: '🧩',
+  HORIZON_SHORT: '⏳',
+  WEEKDAY_GAP: '⏳',
+  SEASON_OVERDUE: '⏳',
+  DISRUPTION_CANCELLED: '⛈️',
+  DISRUPTION_DELAYED: '⛈️',
+  DISRUPTION_CLEARED: '✅'
+};
+
+/**
+ * Icon for a change line
+ */
+function changeIcon(change) {
+  return KIND_ICON[change.change_kind] || SEVERITY_ICON[change.severity] || '•';
+}
+
+/**
+ * Group changes by show, then by severity (highest first)
+ * Returns [{ entity_id, entity_name, bySeverity: [{ severity, changes }] }]
+ */
+function groupChanges(changes) {
+  const shows = new Map();
+  for (const change of changes) {
+    if (!shows.has(change.entity_id)) {
+      shows.set(change.entity_id, { entity_id: change.entity_id, entity_name: change.entity_name, changes: [] });
+    }
+    shows.get(change.entity_id).changes.push(change);
+  }
+
+  return [...shows.values()].map(show => {
+    const severities = [...new Set(show.changes.map(c => c.severity))]
+      .sort((a, b) => (SEVERITY_RANK[b] || 0) - (SEVERITY_RANK[a] || 0));
+    return {
+      entity_id: show.entity_id,
+      entity_name: show.entity_name,
+      bySeverity: severities.map(severity => ({
+        severity,
+        changes: show.changes.filter(c => c.severity === severity)
+      }))
+    };
+  });
+}
+
+/**
+ * Count changes per severity, e.g. { HIGH: 2, LOW: 5 }
+ */
+function countBySeverity(changes) {
+  const counts = {};
+  for (const change of changes) counts[change.severity] = (counts[change.severity] || 0) + 1;
+  return counts;
+}
+
+/**
+ * One-line headline such as "7 schedule changes (2 HIGH, 5 LOW)"
+ */
+function summarize(changes) {
+  const counts = countBySeverity(changes);
+  const parts = Object.keys(SEVERITY_RANK).reverse()
+    .filter(s => counts[s])
+    .map(s => `${counts[s]} ${s}`);
+  const noun = changes.length === 1 ? 'change' : 'changes';
+  return `${changes.length} schedule ${noun}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  SEVERITY_RANK,
+  SEVERITY_ICON,
+  changeIcon,
+  groupChanges,
+  countBySeverity,
+  summarize
+};
@@ -0,0 +1,145 @@
+// ============================================================
+// Notification Dispatch
+//
+// Sends logged changes to the configured sinks. Each sink has its
+// own severity threshold and remembers what it has already sent,
+// so a change goes out at most once per run. Create the sinks anew
+// for each run.
+//
+// The change log is the outbox. A change stays pending there until
+// every sink it is meant for has accepted it (see deliveredChanges).
+//
+// Config is a JSON array, from a file or the NOTIFIERS env var:
+//   [
+//     { "type": "webhook", "url": "https://…", "secret": "…", "min_severity": "MEDIUM" },
+//     { "type": "slack",   "url": "https://hooks.slack.com/…", "min_severity": "HIGH" },
+//     { "type": "discord", "url": "https://discord.com/api/webhooks/…" },
+//     { "type": "email",   "host": "smtp.example.com", "port": 587,
+//       "username": "…", "password": "…", "from": "collector@…", "to": ["team@…"] }
+//   ]
+// ============================================================
+
+const fs = require('fs');
+const { SEVERITY_RANK } = require('./format');
+const { sendWebhook } = require('./webhook');
+const { sendChatMessage } = require('./chat');
+const { sendEmailDigest } = require('./email');
+
+const SINKS = {
+  webhook: { send: sendWebhook, required: ['url'] },
+  slack: { send: sendChatMessage, required: ['url'] },
+  discord: { send: sendChatMessage, required: ['url'] },
+  email: { send: sendEmailDigest, required: ['host', 'from', 'to'] }
+};
+
+/**
+ * Read notifier config from a JSON file path or an inline JSON array.
+ * Returns [] when nothing is configured.
+ */
+function loadNotifierConfig(source) {
+  if (!source) return [];
+  const text = source.trim().startsWith('[') ? source : fs.readFileSync(source, 'utf8');
+  return validateNotifierConfig(JSON.parse(text));
+}
+
+/**
+ * Validate notifier definitions. Throws one error listing every problem.
+ */
+function validateNotifierConfig(configs) {
+  if (!Array.isArray(configs)) {
+    throw new Error('Notifier config must be a JSON array');
+  }
+
+  const problems = [];
+  configs.forEach((config, i) => {
+    const label = config?.name ? `"${config.name}"` : `#${i}`;
+    const sink = SINKS[config?.type];
+    if (!sink) {
+      problems.push(`Notifier ${label}: unknown type "${config?.type}" (expected one of ${Object.keys(SINKS).join(', ')})`);
+      return;
+    }
+    for (const field of sink.required) {
+      if (!config[field] || (Array.isArray(config[field]) && config[field].length === 0)) {
+        problems.push(`Notifier ${label}: missing ${field}`);
+      }
+    }
+    if (config.min_severity && !SEVERITY_RANK[config.min_severity]) {
+      problems.push(`Notifier ${label}: unknown min_severity "${config.min_severity}"`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid notifier configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+  return configs;
+}
+
+/**
+ * Prefer the change's idempotency_key, so a change re-detected after a
+ * failed write isn't sent twice
+ */
+function changeKey(change) {
+  if (change.idempotency_key) return change.idempotency_key;
+  return [change.entity_id, change.change_type, change.change_date, change.change_description].join('|');
+}
+
+/**
+ * Create one run's sinks from validated config
+ */
+function createNotifiers(configs) {
+  return configs.map((config, i) => ({
+    name: config.name || `${config.type}#${i}`,
+    config,
+    minRank: SEVERITY_RANK[config.min_severity || 'LOW'],
+    sent: new Set()
+  }));
+}
+
+/**
+ * Send changes to every sink. A failing sink doesn't stop the others.
+ * Returns [{ name, sent, error }] per sink.
+ */
+async function dispatchNotifications(notifiers, changes, options = {}) {
+  const results = [];
+
+  for (const notifier of notifiers) {
+    const pending = changes.filter(c =>
+      (SEVERITY_RANK[c.severity] || 0) >= notifier.minRank && !notifier.sent.has(changeKey(c))
+    );
+    // Drop duplicates within this batch too
+    const batch = [...new Map(pending.map(c => [changeKey(c), c])).values()];
+
+    if (batch.length === 0) {
+      results.push({ name: notifier.name, sent: 0, error: null });
+      continue;
+    }
+
+    try {
+      await SINKS[notifier.config.type].send(notifier.config, batch, options);
+      batch.forEach(c => notifier.sent.add(changeKey(c)));
+      results.push({ name: notifier.name, sent: batch.length, error: null });
+    } catch (error) {
+      results.push({ name: notifier.name, sent: 0, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * The changes every sink meant for them accepted, given the results of
+ * dispatchNotifications for the same notifiers and changes. Changes below
+ * every threshold count as delivered.
+ */
+function deliveredChanges(notifiers, changes, results) {
+  const failed = notifiers.filter((notifier, i) => results[i]?.error);
+  return changes.filter(c => !failed.some(notifier => (SEVERITY_RANK[c.severity] || 0) >= notifier.minRank));
+}
+
+module.exports = {
+  loadNotifierConfig,
+  validateNotifierConfig,
+  createNotifiers,
+  dispatchNotifications,
+  deliveredChanges
+};
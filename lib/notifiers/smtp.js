@@ -0,0 +1,187 @@
+// ============================================================
+// Minimal SMTP Client
+//
+// Just enough SMTP to hand a plain-text digest to a relay:
+// implicit TLS or STARTTLS, AUTH PLAIN, one message per
+// connection. Keeps the collector free of mail dependencies.
+// Credentials are only sent over TLS; SMTP_ALLOW_INSECURE=true
+// permits AUTH on a plain connection (a local relay, say).
+// ============================================================
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Read SMTP replies (possibly multi-line, "250-...\r\n250 ...") from a socket
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const deliver = () => {
+    while (waiters.length > 0 && (replies.length > 0 || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length > 0) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({
+          code: Number(line.slice(0, 3)),
+          text: lines.map(l => l.slice(4)).join('\n')
+        });
+        lines = [];
+      }
+    }
+    deliver();
+  };
+  const onError = error => {
+    failure = error;
+    deliver();
+  };
+  const onClose = () => onError(new Error('SMTP connection closed unexpectedly'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        deliver();
+      });
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build an RFC 5322 message with a base64-encoded UTF-8 text body
+ */
+function buildMessage({ from, to, subject, text }, now = new Date()) {
+  const domain = from.split('@')[1] || 'localhost';
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${now.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+function allowInsecureAuth() {
+  return /^(1|true|yes)$/i.test(process.env.SMTP_ALLOW_INSECURE || '');
+}
+
+/**
+ * Send one message.
+ * config:  { host, port, secure?, starttls?, username?, password?, timeoutMs? }
+ *          secure = implicit TLS (port 465); STARTTLS is used when the
+ *          server offers it unless starttls is false.
+ * message: { from, to: [..], subject, text }
+ */
+async function sendMail(config, message) {
+  const host = config.host;
+  const port = config.port || (config.secure ? 465 : 587);
+  const timeoutMs = config.timeoutMs || 30000;
+
+  const armTimeout = s => s.setTimeout(timeoutMs, () => s.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+
+  let socket = await connect({ host, port, secure: config.secure });
+  armTimeout(socket);
+  let reader = createReplyReader(socket);
+  let encrypted = Boolean(config.secure);
+
+  const command = async (line, expected) => {
+    if (line) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const verb = line ? line.split(' ')[0] : 'greeting';
+      throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!config.secure && config.starttls !== false && /^STARTTLS$/mi.test(ehlo.text)) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, host);
+      armTimeout(socket);
+      encrypted = true;
+      reader = createReplyReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (config.username) {
+      if (!encrypted && !allowInsecureAuth()) {
+        throw new Error(`SMTP server ${host}:${port} offers no TLS; refusing to send credentials in clear text (set SMTP_ALLOW_INSECURE=true to allow)`);
+      }
+      const token = Buffer.from(`\0${config.username}\0${config.password || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${message.from}>`, [250]);
+    for (const rcpt of message.to) {
+      await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    await command(`${buildMessage(message)}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  buildMessage,
+  sendMail
+};
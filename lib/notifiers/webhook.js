@@ -0,0 +1,47 @@
+// ============================================================
+// Signed JSON Webhook Notifier
+//
+// POSTs the changes as JSON. When a secret is configured the body
+// is signed with HMAC-SHA256 over "<timestamp>.<body>" so the
+// receiver can verify origin and reject replays.
+// ============================================================
+
+const crypto = require('crypto');
+const { fetchTextWithRetry } = require('../http');
+
+/**
+ * Signature header value for a webhook body
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Send changes to a generic JSON webhook.
+ * config: { url, secret? }
+ */
+async function sendWebhook(config, changes, options = {}) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = JSON.stringify({
+    source: 'universal-entertainment-collector',
+    generated_at: new Date().toISOString(),
+    changes
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Collector-Timestamp': timestamp
+  };
+  if (config.secret) headers['X-Collector-Signature'] = signPayload(config.secret, timestamp, body);
+
+  const response = await fetchTextWithRetry(config.url, { method: 'POST', headers, body }, options);
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Webhook POST failed: ${response.status} ${response.statusText}`);
+  }
+}
+
+module.exports = {
+  signPayload,
+  sendWebhook
+};
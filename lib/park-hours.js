@@ -0,0 +1,134 @@
+// ============================================================
+// Park Operating Hours
+//
+// Reads the park-hours calendars (same calendarConfig widget as
+// the show pages, with "9:00 AM - 10:00 PM" or "Closed" eyebrows)
+// into universal_park_hours rows keyed by park_name, and checks
+// performances against them.
+// ============================================================
+
+const { fetchCMSData, findCalendarConfig, parseCalendarConfig } = require('./cms');
+const { PARK_NAMES } = require('./shows');
+const { PARK_TIMEZONE, parseShowTime, zonedTimeToUtc } = require('./time');
+
+const PARK_HOURS_PAGES = [
+  {
+    park_name: PARK_NAMES.USF,
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/theme-parks/universal-studios-florida/park-hours/index.html'
+  },
+  {
+    park_name: PARK_NAMES.IOA,
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/theme-parks/islands-of-adventure/park-hours/index.html'
+  },
+  {
+    park_name: PARK_NAMES.EPIC,
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/theme-parks/epic-universe/park-hours/index.html'
+  }
+];
+
+const RANGE_SEPARATOR = /\s*(?:-|–|—|\bto\b)\s*/i;
+
+/**
+ * Parse an hours label into { is_closed, open_time, close_time } ("HH:MM").
+ * Returns null when the label is neither a time range nor "Closed".
+ */
+function parseHoursLabel(label) {
+  if (typeof label !== 'string') return null;
+  if (/\bclosed\b/i.test(label)) {
+    return { is_closed: true, open_time: null, close_time: null };
+  }
+  const parts = label.trim().split(RANGE_SEPARATOR);
+  if (parts.length !== 2) return null;
+  const open = parseShowTime(parts[0]);
+  const close = parseShowTime(parts[1]);
+  if (!open || !close) return null;
+  return { is_closed: false, open_time: open, close_time: close };
+}
+
+/**
+ * The calendar date after a "YYYY-MM-DD" date
+ */
+function nextDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a park-hours calendarConfig into one row per date:
+ * { schedule_date, hours_label, is_closed, open_time, close_time, opens_at, closes_at }.
+ * The first parseable block on a date wins; a close time earlier than the
+ * open time runs past midnight.
+ */
+function parseParkHours(calendarConfig, timeZone = PARK_TIMEZONE) {
+  const byDate = new Map();
+  for (const entry of parseCalendarConfig(calendarConfig, timeZone)) {
+    if (byDate.has(entry.schedule_date)) continue;
+    const hours = parseHoursLabel(entry.show_time);
+    if (!hours) continue;
+
+    const date = entry.schedule_date;
+    const closeDate = hours.close_time && hours.close_time <= hours.open_time ? nextDate(date) : date;
+    byDate.set(date, {
+      schedule_date: date,
+      hours_label: entry.show_time,
+      ...hours,
+      opens_at: hours.open_time ? zonedTimeToUtc(date, hours.open_time, timeZone) : null,
+      closes_at: hours.close_time ? zonedTimeToUtc(closeDate, hours.close_time, timeZone) : null
+    });
+  }
+  return [...byDate.values()];
+}
+
+/**
+ * How a performance clashes with its park's hours that day:
+ * 'PARK_CLOSED', 'AFTER_CLOSE', or null (no clash, or no hours known).
+ */
+function hoursConflict(performance, hours) {
+  if (!hours || performance.status === 'CANCELLED') return null;
+  if (hours.is_closed) return 'PARK_CLOSED';
+  if (performance.show_starts_at && hours.closes_at && performance.show_starts_at > hours.closes_at) {
+    return 'AFTER_CLOSE';
+  }
+  return null;
+}
+
+/**
+ * Fetch and parse every park's hours calendar.
+ * Returns { rows, hoursByPark, errors } where hoursByPark maps
+ * park_name → Map(schedule_date → hours row).
+ */
+async function collectParkHours(pages = PARK_HOURS_PAGES, options = {}) {
+  const fetchPage = options.fetchPage || fetchCMSData;
+  const now = options.now || new Date().toISOString();
+  const rows = [];
+  const hoursByPark = new Map();
+  const errors = [];
+
+  for (const page of pages) {
+    try {
+      const calendarConfig = findCalendarConfig(await fetchPage(page.cms_url));
+      if (!calendarConfig) throw new Error('No calendarConfig on park hours page');
+      const hours = parseParkHours(calendarConfig, options.timeZone);
+      const parkRows = hours.map(h => ({
+        park_name: page.park_name,
+        ...h,
+        source_url: page.cms_url,
+        collected_at: now
+      }));
+      rows.push(...parkRows);
+      hoursByPark.set(page.park_name, new Map(parkRows.map(r => [r.schedule_date, r])));
+    } catch (error) {
+      errors.push({ park_name: page.park_name, error: error.message });
+    }
+  }
+
+  return { rows, hoursByPark, errors };
+}
+
+module.exports = {
+  PARK_HOURS_PAGES,
+  parseHoursLabel,
+  parseParkHours,
+  hoursConflict,
+  collectParkHours
+};
@@ -0,0 +1,67 @@
+// ============================================================
+// Parse Sanity Guard
+//
+// Decides whether a parse looks like a page-layout failure rather
+// than a real schedule change, so one broken page doesn't raise a
+// HIGH-severity removal for every stored date.
+// ============================================================
+
+const { todayInZone } = require('./time');
+
+// Share of existing future performances that may disappear in one run
+// before the parse is treated as suspect (0.5 = more than half gone).
+const MAX_DROP_RATIO = parseFloat(process.env.MAX_SCHEDULE_DROP_RATIO || '0.5');
+
+/**
+ * Check a parse result against the existing rows.
+ * Returns { suspect, reason } — reason is null when the parse looks sane.
+ */
+function checkParseSanity({ calendarFound, isClosed, newSchedules, existingSchedules }, options = {}) {
+  const maxDropRatio = options.maxDropRatio ?? MAX_DROP_RATIO;
+  const today = options.today || todayInZone();
+
+  const existingCount = existingSchedules.filter(e => e.status !== 'CANCELLED').length;
+  if (existingCount === 0 || isClosed) {
+    return { suspect: false, reason: null };
+  }
+
+  if (!calendarFound) {
+    return {
+      suspect: true,
+      reason: `calendarConfig not found on a page that is not marked closed (${existingCount} existing performances)`
+    };
+  }
+
+  const newCount = newSchedules.filter(s => s.schedule_date >= today).length;
+  const dropRatio = (existingCount - newCount) / existingCount;
+  if (dropRatio > maxDropRatio) {
+    return {
+      suspect: true,
+      reason: `Parsed ${newCount} future performances vs ${existingCount} existing (${Math.round(dropRatio * 100)}% drop exceeds ${Math.round(maxDropRatio * 100)}% limit)`
+    };
+  }
+
+  return { suspect: false, reason: null };
+}
+
+/**
+ * Build the single collector-health change raised for a suspect parse
+ */
+function buildParseFailureChange(showConfig, reason) {
+  return {
+    change_type: 'COLLECTOR_HEALTH',
+    entity_id: showConfig.show_id,
+    entity_name: showConfig.show_name,
+    change_date: todayInZone(),
+    change_description: `Parse failed for ${showConfig.show_name} — removals skipped: ${reason}`,
+    old_value: null,
+    new_value: { status: 'PARSE_FAILED', reason },
+    severity: 'HIGH'
+  };
+}
+
+module.exports = {
+  MAX_DROP_RATIO,
+  checkParseSanity,
+  buildParseFailureChange
+};
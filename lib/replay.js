@@ -0,0 +1,165 @@
+// ============================================================
+// Snapshot Replay
+//
+// Re-runs parsing and change detection over archived CMS
+// snapshots, each diffed against the one before it, without
+// touching Supabase. Used by `--replay`. The report is all it
+// writes unless `--backfill` is given: then each snapshot's
+// schedule becomes a universal_schedule_history version as of the
+// snapshot's archive time. Schedule rows, status and the change log
+// are never touched.
+// ============================================================
+
+const fs = require('fs');
+const {
+  locateCalendarConfig,
+  checkTemporarilyClosed,
+  parseCalendarConfig,
+  performanceKey
+} = require('./cms');
+const { detectChanges, findRemovedPerformances } = require('./changes');
+const { planHistory } = require('./history');
+const { checkParseSanity, buildParseFailureChange } = require('./parse-guard');
+const { pageFingerprint, parseWarnings, buildDriftChanges } = require('./schema-drift');
+const { PARK_TIMEZONE, todayInZone } = require('./time');
+
+/**
+ * Parse one snapshot and diff it against the previous schedule.
+ * `previous` is null for the first snapshot of a replay with no baseline;
+ * its schedule is reported but no changes are.
+ */
+function replaySnapshot(showConfig, snapshot, previous, options = {}) {
+  const timeZone = options.timeZone || PARK_TIMEZONE;
+  const day = snapshot.fetched_at ? todayInZone(timeZone, new Date(snapshot.fetched_at)) : todayInZone(timeZone);
+
+  const isClosed = checkTemporarilyClosed(snapshot.data);
+  const located = locateCalendarConfig(snapshot.data);
+  const calendarConfig = located?.config || null;
+  const schedules = calendarConfig ? parseCalendarConfig(calendarConfig, timeZone, { locale: options.locale }) : [];
+  // As in the live run: a closed show's page isn't fingerprinted
+  const fingerprint = located || !isClosed ? pageFingerprint(located) : null;
+  const warnings = fingerprint ? parseWarnings(schedules, fingerprint) : [];
+
+  let status = isClosed ? 'TEMPORARILY_CLOSED' : schedules.length > 0 ? 'ACTIVE' : 'UNKNOWN';
+  let changes = [];
+  let reason = null;
+
+  if (previous) {
+    // Only dates still ahead on the day of the snapshot, as the live run sees them
+    const existing = previous.filter(s => s.schedule_date >= day);
+    const sanity = checkParseSanity({
+      calendarFound: Boolean(calendarConfig),
+      isClosed,
+      newSchedules: schedules,
+      existingSchedules: existing
+    }, { today: day });
+    changes = detectChanges(showConfig, schedules, existing, { skipRemovals: sanity.suspect, today: day });
+    if (fingerprint) {
+      changes.unshift(...buildDriftChanges(showConfig, options.previousFingerprint, fingerprint, warnings, day));
+    }
+    if (sanity.suspect) {
+      status = 'PARSE_FAILED';
+      reason = sanity.reason;
+      changes.unshift({ ...buildParseFailureChange(showConfig, sanity.reason), change_date: day });
+    }
+  }
+
+  return {
+    path: snapshot.path || null,
+    fetched_at: snapshot.fetched_at || null,
+    status,
+    reason,
+    performances: schedules.length,
+    dates: new Set(schedules.map(s => s.schedule_date)).size,
+    schedules,
+    changes,
+    fingerprint: fingerprint && { ...fingerprint, warnings }
+  };
+}
+
+/**
+ * Replay a show's snapshots in order. A suspect parse doesn't replace the
+ * schedule later snapshots are compared with, matching the live run; page
+ * fingerprints are compared snapshot to snapshot.
+ * `options.baseline` seeds the comparison for the first snapshot.
+ */
+function replaySnapshots(showConfig, snapshots, options = {}) {
+  let previous = options.baseline || null;
+  let previousFingerprint = null;
+  return snapshots.map(snapshot => {
+    const step = replaySnapshot(showConfig, snapshot, previous, { ...options, previousFingerprint });
+    if (step.status !== 'PARSE_FAILED') previous = step.schedules;
+    if (step.fingerprint) previousFingerprint = step.fingerprint;
+    return step;
+  });
+}
+
+/**
+ * Backfill universal_schedule_history from replayed steps, oldest first:
+ * each snapshot's performances (and those gone since the snapshot before,
+ * as CANCELLED) are planned against the open versions with planHistory,
+ * valid from the snapshot's archive time. Suspect parses and snapshots
+ * without a time are skipped, as are performances whose open version is
+ * newer than the snapshot — history already knows more about them.
+ * Returns { snapshots, closed, appended }.
+ */
+async function backfillHistory(store, showConfig, steps, options = {}) {
+  const timeZone = options.timeZone || PARK_TIMEZONE;
+  const totals = { snapshots: 0, closed: 0, appended: 0 };
+  let previous = null;
+
+  for (const step of steps) {
+    if (step.status === 'PARSE_FAILED' || !step.fetched_at) continue;
+    const at = new Date(step.fetched_at).toISOString();
+    const day = todayInZone(timeZone, new Date(at));
+
+    const removed = previous ? findRemovedPerformances(step.schedules, previous.filter(s => s.schedule_date >= day)) : [];
+    previous = step.schedules;
+    const records = [
+      ...step.schedules,
+      ...removed.map(s => ({ ...s, status: 'CANCELLED', is_available: false }))
+    ].map(s => ({ ...s, show_id: showConfig.show_id, hours_conflict: null }));
+    if (records.length === 0) continue;
+
+    const from = records.map(r => r.schedule_date).sort()[0];
+    const open = await store.fetchOpenHistory(showConfig.show_id, from);
+    const newer = new Set(open.filter(v => v.valid_from >= at).map(v => performanceKey(v.schedule_date, v.show_time)));
+    const plan = planHistory(records.filter(r => !newer.has(performanceKey(r.schedule_date, r.show_time))), open, at);
+
+    await store.closeHistoryVersions(plan.close, at);
+    await store.insertHistoryVersions(plan.append);
+    totals.snapshots++;
+    totals.closed += plan.close.length;
+    totals.appended += plan.append.length;
+  }
+  return totals;
+}
+
+/**
+ * Write the replay report: per-snapshot parse results and the changes
+ * each one would have raised
+ */
+function writeReplayReport(filePath, showId, steps) {
+  const report = {
+    generated_at: new Date().toISOString(),
+    show_id: showId,
+    snapshots: steps.map(step => ({
+      path: step.path,
+      fetched_at: step.fetched_at,
+      status: step.status,
+      reason: step.reason,
+      performances: step.performances,
+      dates: step.dates,
+      changes: step.changes
+    })),
+    changes: steps.flatMap(step => step.changes)
+  };
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+}
+
+module.exports = {
+  replaySnapshot,
+  replaySnapshots,
+  backfillHistory,
+  writeReplayReport
+};
@@ -0,0 +1,53 @@
+// ============================================================
+// Run History
+//
+// One universal_collector_runs row per run: timings, per-show
+// outcome, parse/change counts, HTTP status and error text.
+// ============================================================
+
+const crypto = require('crypto');
+
+/**
+ * Per-show outcome as stored in the run's `shows` column
+ */
+function summarizeShowResult(result) {
+  return {
+    show_id: result.show,
+    status: result.status || null,
+    http_status: result.http_status ?? null,
+    performances: result.schedules || 0,
+    changes: result.changes || 0,
+    unchanged: Boolean(result.unchanged),
+    error: result.error || null
+  };
+}
+
+/**
+ * Build the universal_collector_runs row for a finished run
+ */
+function buildRunRecord({ runId, mode, startedAt, finishedAt, results }) {
+  const errorCount = results.filter(r => r.error).length;
+  let status = 'SUCCESS';
+  if (errorCount > 0) status = errorCount === results.length ? 'FAILED' : 'PARTIAL';
+
+  return {
+    run_id: runId || crypto.randomUUID(),
+    mode,
+    status,
+    started_at: startedAt,
+    finished_at: finishedAt,
+    duration_ms: Date.parse(finishedAt) - Date.parse(startedAt),
+    show_count: results.length,
+    error_count: errorCount,
+    unknown_count: results.filter(r => r.status === 'UNKNOWN').length,
+    total_performances: results.reduce((sum, r) => sum + (r.schedules || 0), 0),
+    total_changes: results.reduce((sum, r) => sum + (r.changes || 0), 0),
+    shows: results.map(summarizeShowResult),
+    error_text: results.filter(r => r.error).map(r => `${r.show}: ${r.error}`).join('\n') || null
+  };
+}
+
+module.exports = {
+  summarizeShowResult,
+  buildRunRecord
+};
@@ -0,0 +1,197 @@
+// ============================================================
+// Schema Drift
+//
+// A structural fingerprint of each page's calendar: where the
+// calendarConfig sits, the shape of its blockData entries and the
+// style values used. The parser falls back to searching the page
+// when the layout moves, so a changed fingerprint (or times and
+// styles it can't read) is the early sign of a CMS redesign. A
+// page that loses its calendarConfig gets a "missing" fingerprint,
+// so that is drift too.
+// ============================================================
+
+const crypto = require('crypto');
+
+// Style values the parser understands ("Disabled Style" = tentative)
+const KNOWN_STYLES = ['active style', 'disabled style'];
+
+const ENTRY_KEYS = ['EmbeddedValues', 'LinkedComponentValues', 'Values'];
+
+// calendar_path of a page with no calendarConfig
+const MISSING_CALENDAR = '(missing calendarConfig)';
+
+function entriesKeyOf(obj) {
+  return ENTRY_KEYS.find(key => Array.isArray(obj?.[key])) || null;
+}
+
+/**
+ * Key shape of one block entry, e.g. "eyebrow,style" or "Fields{eyebrow,style},Id"
+ */
+function blockShape(block) {
+  if (!block || typeof block !== 'object') return typeof block;
+  return Object.keys(block).sort().map(key => (
+    key === 'Fields' && block.Fields && typeof block.Fields === 'object'
+      ? `Fields{${Object.keys(block.Fields).sort().join(',')}}`
+      : key
+  )).join(',');
+}
+
+function styleValue(block) {
+  const style = block?.style || block?.Fields?.style;
+  if (!style) return null;
+  return style.Values?.[0] || style.Value || (typeof style === 'string' ? style : null);
+}
+
+/**
+ * Fingerprint of a located calendarConfig ({ config, path } from
+ * locateCalendarConfig), or of its absence when `found` is null. Array
+ * indices are dropped from the path, so a component added above the
+ * calendar isn't drift. style_values are kept but not hashed: a known
+ * style appearing (the first tentative date) is not a layout change, and
+ * unknown ones are parse warnings.
+ */
+function pageFingerprint(found) {
+  const entriesKey = found ? entriesKeyOf(found.config) : null;
+  const shapes = new Set();
+  const styles = new Set();
+
+  for (const entry of entriesKey ? found.config[entriesKey] : []) {
+    const listKey = entriesKeyOf(entry?.blockData);
+    if (!listKey) {
+      shapes.add(entry?.blockData ? 'blockData{?}' : '(no blockData)');
+      continue;
+    }
+    for (const block of entry.blockData[listKey]) {
+      shapes.add(`blockData.${listKey}[]{${blockShape(block)}}`);
+      const style = styleValue(block);
+      if (style) styles.add(style);
+    }
+  }
+
+  const structure = {
+    calendar_path: found ? found.path.replace(/\[\d+\]/g, '[]') : MISSING_CALENDAR,
+    entries_key: entriesKey,
+    block_shapes: [...shapes].sort()
+  };
+  return {
+    ...structure,
+    style_values: [...styles].sort(),
+    fingerprint_hash: crypto.createHash('sha256').update(JSON.stringify(structure)).digest('hex')
+  };
+}
+
+function listDiff(label, before, after) {
+  const added = after.filter(v => !before.includes(v));
+  const removed = before.filter(v => !after.includes(v));
+  const parts = [];
+  if (added.length > 0) parts.push(`new ${label} ${added.join(' | ')}`);
+  if (removed.length > 0) parts.push(`${label} gone ${removed.join(' | ')}`);
+  return parts;
+}
+
+/**
+ * What changed between the last known fingerprint and this one, as
+ * readable differences; empty when the structure is the same (or there is
+ * nothing to compare with yet)
+ */
+function compareFingerprints(previous, current) {
+  if (!previous || !current || previous.fingerprint_hash === current.fingerprint_hash) return [];
+  if (current.calendar_path === MISSING_CALENDAR) {
+    return [`calendarConfig missing (was at ${previous.calendar_path})`];
+  }
+  if (previous.calendar_path === MISSING_CALENDAR) {
+    return [`calendarConfig found again at ${current.calendar_path}`];
+  }
+  const differences = [];
+  if (previous.calendar_path !== current.calendar_path) {
+    differences.push(`calendarConfig moved from ${previous.calendar_path} to ${current.calendar_path}`);
+  }
+  if (previous.entries_key !== current.entries_key) {
+    differences.push(`calendar entries now under ${current.entries_key || 'no known key'} (was ${previous.entries_key || 'none'})`);
+  }
+  differences.push(...listDiff('blockData shape', previous.block_shapes || [], current.block_shapes));
+  return differences;
+}
+
+/**
+ * Parse warnings for this page: performances whose time couldn't be read
+ * and style values the parser doesn't know
+ */
+function parseWarnings(schedules, fingerprint) {
+  const warnings = [];
+  // Labels rather than counts, so the warning doesn't change as dates roll
+  const unknownTimes = [...new Set(schedules.filter(s => !s.show_time_local).map(s => s.show_time))].sort();
+  if (unknownTimes.length > 0) {
+    warnings.push(`unreadable show time ${unknownTimes.map(l => `"${l}"`).join(', ')}`);
+  }
+  const unknownStyles = (fingerprint?.style_values || []).filter(v => !KNOWN_STYLES.includes(v.trim().toLowerCase()));
+  if (unknownStyles.length > 0) {
+    warnings.push(`unrecognized style ${unknownStyles.map(v => `"${v}"`).join(', ')}`);
+  }
+  return warnings;
+}
+
+function healthChange(showConfig, kind, description, oldValue, newValue, today) {
+  return {
+    change_type: 'COLLECTOR_HEALTH',
+    change_kind: kind,
+    entity_id: showConfig.show_id,
+    entity_name: showConfig.show_name,
+    change_date: today,
+    change_description: description,
+    old_value: oldValue,
+    new_value: newValue,
+    severity: 'MEDIUM'
+  };
+}
+
+/**
+ * SCHEMA_DRIFT and PARSE_WARNING changes for a page. A parse warning is
+ * raised when it first appears or changes, not on every run.
+ */
+function buildDriftChanges(showConfig, previous, current, warnings, today) {
+  const changes = [];
+  const strip = fp => fp && {
+    calendar_path: fp.calendar_path,
+    entries_key: fp.entries_key,
+    block_shapes: fp.block_shapes,
+    style_values: fp.style_values
+  };
+
+  const differences = compareFingerprints(previous, current);
+  if (differences.length > 0) {
+    changes.push(healthChange(showConfig, 'SCHEMA_DRIFT',
+      `Page layout changed for ${showConfig.show_name}: ${differences.join('; ')}`,
+      strip(previous), strip(current), today));
+  }
+
+  const previousWarnings = previous?.warnings || [];
+  if (warnings.length > 0 && JSON.stringify(warnings) !== JSON.stringify(previousWarnings)) {
+    changes.push(healthChange(showConfig, 'PARSE_WARNING',
+      `Parse warnings for ${showConfig.show_name}: ${warnings.join('; ')}`,
+      previousWarnings.length > 0 ? { warnings: previousWarnings } : null, { warnings }, today));
+  }
+  return changes;
+}
+
+/**
+ * Row for universal_page_fingerprints
+ */
+function buildFingerprintRecord(showConfig, fingerprint, warnings, now = new Date().toISOString()) {
+  return {
+    show_id: showConfig.show_id,
+    ...fingerprint,
+    warnings,
+    observed_at: now
+  };
+}
+
+module.exports = {
+  KNOWN_STYLES,
+  MISSING_CALENDAR,
+  pageFingerprint,
+  compareFingerprints,
+  parseWarnings,
+  buildDriftChanges,
+  buildFingerprintRecord
+};
@@ -0,0 +1,189 @@
+// ============================================================
+// Read-only HTTP API
+//
+// JSON endpoints over the collector's tables, for consumers
+// without storage credentials. Used by `--serve`:
+//   GET /shows                                   status of every show
+//   GET /shows/:show_id/schedule?from=&to=       a show's performances
+//   GET /parks/:park/tonight                     today's performances at a park
+//   GET /changes?since=&severity=                logged changes, newest first
+// Schedules come with any disruption notices for their dates
+// (lib/disruptions.js) alongside, not merged into the CMS rows.
+// Responses carry Cache-Control and an ETag; a matching
+// If-None-Match gets a 304.
+// ============================================================
+
+const http = require('http');
+const crypto = require('crypto');
+const { PARK_NAMES, DESTINATIONS, timeZoneForPark } = require('./destinations');
+const { PARK_TIMEZONE, todayInZone } = require('./time');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+const DEFAULT_CHANGES_WINDOW_HOURS = 24;
+const CHANGES_LIMIT = 500;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function dateParam(params, name) {
+  const value = params.get(name);
+  if (value && !DATE_PATTERN.test(value)) throw new ApiError(400, `"${name}" must be a YYYY-MM-DD date`);
+  return value || null;
+}
+
+function decodePathPart(part) {
+  if (part === undefined) return part;
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw new ApiError(400, `Malformed escape in "${part}"`);
+  }
+}
+
+/**
+ * A park from its code (USF, IOA, EPIC) or full name
+ */
+function resolvePark(param) {
+  const code = param.toUpperCase();
+  if (PARK_NAMES[code]) return PARK_NAMES[code];
+  const name = Object.values(PARK_NAMES).find(n => n.toLowerCase() === param.toLowerCase());
+  if (!name) throw new ApiError(404, `Unknown park "${param}" (expected one of: ${Object.keys(PARK_NAMES).join(', ')})`);
+  return name;
+}
+
+/**
+ * Start of the default /changes window: 24 hours back, rounded down to the
+ * hour so the body (and its ETag) stays the same between polls
+ */
+function defaultChangesSince(now) {
+  const hour = 3600 * 1000;
+  return new Date(Math.floor((now.getTime() - DEFAULT_CHANGES_WINDOW_HOURS * hour) / hour) * hour).toISOString();
+}
+
+/**
+ * [path pattern, handler(store, match, query params, options)]
+ */
+const ROUTES = [
+  [/^\/shows$/, async store => ({ shows: await store.fetchShowStatuses() })],
+
+  [/^\/shows\/([^/]+)\/schedule$/, async (store, [, showId], params, options) => {
+    const statuses = await store.fetchShowStatuses();
+    const status = statuses.find(s => s.show_id === showId);
+    if (!status) throw new ApiError(404, `Unknown show "${showId}"`);
+    const timeZone = DESTINATIONS[status.destination]?.timeZone || options.timeZone;
+    const from = dateParam(params, 'from') || todayInZone(timeZone, options.now?.());
+    const to = dateParam(params, 'to');
+
+    const [rows, disruptions] = await Promise.all([
+      store.fetchSchedules(showId, { from, to }),
+      store.fetchDisruptions({ showId, from, to })
+    ]);
+    const schedule = rows
+      .sort((a, b) => a.schedule_date.localeCompare(b.schedule_date) || (a.show_starts_at || '').localeCompare(b.show_starts_at || ''));
+    return { show_id: showId, from, to, schedule, disruptions };
+  }],
+
+  [/^\/parks\/([^/]+)\/tonight$/, async (store, [, park], params, options) => {
+    const parkName = resolvePark(park);
+    const date = todayInZone(timeZoneForPark(parkName), options.now?.());
+    const [performances, parkHours, disruptions] = await Promise.all([
+      store.fetchParkSchedules(parkName, date),
+      store.fetchParkHours(parkName, date),
+      store.fetchDisruptions({ parkName, from: date, to: date })
+    ]);
+    return { park_name: parkName, date, park_hours: parkHours, performances, disruptions };
+  }],
+
+  [/^\/changes$/, async (store, match, params, options) => {
+    const sinceParam = params.get('since');
+    if (sinceParam && Number.isNaN(Date.parse(sinceParam))) throw new ApiError(400, '"since" must be an ISO date or timestamp');
+    const since = sinceParam ? new Date(sinceParam).toISOString() : defaultChangesSince(options.now?.() || new Date());
+
+    const severity = params.get('severity')?.toUpperCase() || null;
+    if (severity && !SEVERITIES.includes(severity)) {
+      throw new ApiError(400, `"severity" must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    // Minimum severity, as the notifiers' minSeverity
+    const severities = severity ? SEVERITIES.slice(SEVERITIES.indexOf(severity)) : null;
+    const changes = await store.fetchChanges({ since, severities, limit: CHANGES_LIMIT });
+    return { since, severity, changes };
+  }]
+];
+
+/**
+ * Resolve a request to { status, body } without touching the response
+ */
+async function handleApiRequest(store, method, url, options = {}) {
+  if (method !== 'GET' && method !== 'HEAD') {
+    return { status: 405, body: { error: `Method ${method} not allowed` } };
+  }
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const path = pathname.replace(/\/+$/, '') || '/';
+
+  for (const [pattern, handler] of ROUTES) {
+    const match = path.match(pattern);
+    if (!match) continue;
+    try {
+      const decoded = match.map(decodePathPart);
+      return { status: 200, body: await handler(store, decoded, searchParams, options) };
+    } catch (error) {
+      if (error instanceof ApiError) return { status: error.status, body: { error: error.message } };
+      throw error;
+    }
+  }
+  return { status: 404, body: { error: `No route for ${path}` } };
+}
+
+function etagFor(text) {
+  return `"${crypto.createHash('sha256').update(text).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * The API server. `options.maxAge` is the Cache-Control max-age in seconds;
+ * `options.timeZone` decides what "today" is for a show with no destination.
+ */
+function createApiServer(store, options = {}) {
+  const settings = { timeZone: PARK_TIMEZONE, maxAge: 60, ...options };
+
+  return http.createServer(async (req, res) => {
+    let result;
+    try {
+      result = await handleApiRequest(store, req.method, req.url, settings);
+    } catch (error) {
+      settings.onError?.(error, req);
+      result = { status: 500, body: { error: 'Internal error' } };
+    }
+
+    const text = JSON.stringify(result.body);
+    const headers = {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*'
+    };
+    if (result.status !== 200) {
+      res.writeHead(result.status, { ...headers, 'Cache-Control': 'no-store' }).end(req.method === 'HEAD' ? undefined : text);
+      return;
+    }
+
+    const etag = etagFor(text);
+    headers['Cache-Control'] = `public, max-age=${settings.maxAge}`;
+    headers['ETag'] = etag;
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      res.writeHead(304, headers).end();
+      return;
+    }
+    res.writeHead(200, { ...headers, 'Content-Length': Buffer.byteLength(text) }).end(req.method === 'HEAD' ? undefined : text);
+  });
+}
+
+module.exports = {
+  handleApiRequest,
+  createApiServer,
+  resolvePark
+};
@@ -0,0 +1,220 @@
+// ============================================================
+// Show Details
+//
+// Descriptive metadata from the page's ComponentPresentations —
+// duration, location, description, hero image, accessibility
+// notes, required ticket and the Temporarily Closed reason —
+// stored in universal_show_details.
+// ============================================================
+
+const crypto = require('crypto');
+const { CLOSED_LABELS } = require('./cms');
+
+// Component field names that carry each detail, first match wins
+const DETAIL_FIELDS = {
+  duration: ['duration', 'showDuration', 'runTime', 'runtime'],
+  location: ['location', 'showLocation', 'venue', 'area', 'land'],
+  description: ['shortDescription', 'description', 'summary', 'bodyCopy', 'longDescription'],
+  accessibility_notes: ['accessibility', 'accessibilityNotes', 'accessibilityInformation', 'guestsWithDisabilities'],
+  required_ticket: ['requiredTicket', 'ticketRequired', 'admissionRequired', 'eventRequirement', 'requirements'],
+  closed_reason: ['closureReason', 'closedReason', 'closedMessage']
+};
+const IMAGE_FIELDS = ['heroImage', 'hero', 'image', 'backgroundImage', 'thumbnail'];
+
+// Unlabelled featureList entries are classified by their text
+const FEATURE_PATTERNS = [
+  ['duration', /\b\d+\s*(?:-\s*\d+\s*)?(?:min(?:ute)?s?|hours?|hrs?)\b/i],
+  ['required_ticket', /\b(?:admission|ticket|separate(?:ly ticketed)? event|express pass)\b/i],
+  ['accessibility_notes', /\b(?:accessib\w*|wheelchair|ECV|assistive|caption\w*|sign language)\b/i]
+];
+
+// Fields stored on universal_show_details and covered by details_hash
+const DETAIL_KEYS = [
+  'duration_text',
+  'duration_minutes',
+  'location',
+  'description',
+  'hero_image_url',
+  'accessibility_notes',
+  'required_ticket',
+  'closed_reason'
+];
+
+/**
+ * Strip markup from a rich-text value and collapse whitespace
+ */
+function cleanText(value) {
+  const text = String(value)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&rsquo;/g, '\'')
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || null;
+}
+
+/**
+ * Text of a Tridion field: its string Values, or its keyword titles
+ */
+function fieldText(field) {
+  if (!field || typeof field !== 'object') return null;
+  const values = (field.Values || []).filter(v => typeof v === 'string');
+  if (values.length > 0) return cleanText(values.join(' '));
+  const keywords = (field.KeywordValues || []).map(k => k.Title).filter(Boolean);
+  return keywords.length > 0 ? cleanText(keywords.join(', ')) : null;
+}
+
+/**
+ * Image URL from a field linking to a Multimedia component (or a plain URL value)
+ */
+function fieldImageUrl(field, depth = 0) {
+  if (!field || typeof field !== 'object' || depth > 3) return null;
+  for (const item of [...(field.LinkedComponentValues || []), ...(field.EmbeddedValues || [])]) {
+    const url = item.Multimedia?.Url || item.BinaryContent?.Url;
+    if (url) return url;
+    for (const name of IMAGE_FIELDS) {
+      const nested = fieldImageUrl(item.Fields?.[name] || item[name], depth + 1);
+      if (nested) return nested;
+    }
+  }
+  const value = field.Values?.[0];
+  if (typeof value === 'string' && /\.(?:jpe?g|png|webp|gif|avif)(?:\?|$)/i.test(value)) return value;
+  return null;
+}
+
+/**
+ * Minutes from text like "Approximately 20 minutes" or "1 hour 15 min"
+ */
+function parseDurationMinutes(text) {
+  if (!text) return null;
+  const hours = /(\d+(?:\.\d+)?)\s*(?:hours?|hrs?)\b/i.exec(text);
+  const minutes = /(\d+)\s*(?:-\s*\d+\s*)?min(?:ute)?s?\b/i.exec(text);
+  if (!hours && !minutes) return null;
+  return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0));
+}
+
+/**
+ * Field maps worth reading on each component, plus the page's own metadata
+ */
+function componentFieldSets(cmsData) {
+  const sets = [];
+  for (const cp of (cmsData.ComponentPresentations || [])) {
+    if (cp.Component?.Fields) sets.push(cp.Component.Fields);
+    if (cp.Component?.MetadataFields) sets.push(cp.Component.MetadataFields);
+  }
+  if (cmsData.MetadataFields) sets.push(cmsData.MetadataFields);
+  return sets;
+}
+
+/**
+ * Pull the descriptive details out of a CMS page model.
+ * Missing details are null. `options.baseUrl` resolves relative image paths.
+ */
+function extractShowDetails(cmsData, options = {}) {
+  const found = {};
+  let heroImage = null;
+  const fieldSets = componentFieldSets(cmsData || {});
+
+  for (const fields of fieldSets) {
+    for (const [detail, names] of Object.entries(DETAIL_FIELDS)) {
+      if (found[detail]) continue;
+      for (const name of names) {
+        const text = fieldText(fields[name]);
+        if (text) {
+          found[detail] = text;
+          break;
+        }
+      }
+    }
+    for (const name of IMAGE_FIELDS) {
+      heroImage = heroImage || fieldImageUrl(fields[name]);
+    }
+  }
+
+  // featureList entries are short labelled facts; the "Temporarily Closed"
+  // entry may carry its reason alongside the label
+  for (const fields of fieldSets) {
+    for (const feature of (fields.featureList?.LinkedComponentValues || [])) {
+      const featureFields = feature.Fields || {};
+      const desc = fieldText(featureFields.description);
+      if (!desc) continue;
+
+      const label = CLOSED_LABELS.find(l => desc.toLowerCase().includes(l));
+      if (label) {
+        const extra = Object.entries(featureFields)
+          .filter(([name]) => name !== 'description')
+          .map(([, field]) => fieldText(field))
+          .filter(Boolean);
+        const reason = extra.length > 0 ? extra.join(' ') : desc.replace(new RegExp(`^${label}[\\s.:–—-]*`, 'i'), '');
+        if (!found.closed_reason && reason) found.closed_reason = reason;
+        continue;
+      }
+      for (const [detail, pattern] of FEATURE_PATTERNS) {
+        if (!found[detail] && pattern.test(desc)) {
+          found[detail] = desc;
+          break;
+        }
+      }
+    }
+  }
+
+  // Fall back to the first image component on the page
+  if (!heroImage) {
+    const imageCp = (cmsData?.ComponentPresentations || [])
+      .find(cp => cp.Component?.Multimedia?.Url && /^image\//.test(cp.Component.Multimedia.MimeType || 'image/'));
+    heroImage = imageCp?.Component.Multimedia.Url || null;
+  }
+  if (heroImage && options.baseUrl) {
+    try {
+      heroImage = new URL(heroImage, options.baseUrl).href;
+    } catch (e) {
+      // Leave an unparseable URL as the CMS gave it
+    }
+  }
+
+  return {
+    duration_text: found.duration || null,
+    duration_minutes: parseDurationMinutes(found.duration),
+    location: found.location || null,
+    description: found.description || null,
+    hero_image_url: heroImage,
+    accessibility_notes: found.accessibility_notes || null,
+    required_ticket: found.required_ticket || null,
+    closed_reason: found.closed_reason || null
+  };
+}
+
+/**
+ * Stable hash of the detail fields, used to skip unchanged writes
+ */
+function detailsHash(details) {
+  const payload = JSON.stringify(DETAIL_KEYS.map(key => details[key] ?? null));
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Build the universal_show_details row for a show
+ */
+function buildShowDetailsRecord(showConfig, details, now = new Date().toISOString()) {
+  return {
+    show_id: showConfig.show_id,
+    show_name: showConfig.show_name,
+    park_name: showConfig.park_name,
+    ...details,
+    details_hash: detailsHash(details),
+    source_url: showConfig.cms_url,
+    updated_at: now
+  };
+}
+
+module.exports = {
+  DETAIL_KEYS,
+  cleanText,
+  parseDurationMinutes,
+  extractShowDetails,
+  detailsHash,
+  buildShowDetailsRecord
+};
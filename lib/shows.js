@@ -0,0 +1,189 @@
+// ============================================================
+// Show Configuration
+//
+// The shows the collector tracks. Definitions come from a JSON
+// file, the universal_tracked_shows table, or the built-in list,
+// and are validated before any show is processed.
+// ============================================================
+
+const fs = require('fs');
+const { PARK_NAMES, DESTINATIONS, LOCALES } = require('./destinations');
+
+const SHOW_TYPES = ['NIGHTTIME_SHOW', 'PARADE', 'PROJECTION_SHOW', 'STAGE_SHOW'];
+
+// Built-in defaults, used when no shows file or table is configured
+const TRACKED_SHOWS = [
+  {
+    show_id: 'universal-studios-cinesational',
+    show_name: 'CineSational: A Symphonic Spectacular',
+    park_name: PARK_NAMES.USF,
+    show_type: 'NIGHTTIME_SHOW',
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/shows/cinesational-symphonic-spectacular/index.html'
+  },
+  {
+    show_id: 'universal-studios-mega-movie-parade',
+    show_name: 'Universal Mega Movie Parade',
+    park_name: PARK_NAMES.USF,
+    show_type: 'PARADE',
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/shows/universal-mega-movie-parade/index.html'
+  },
+  {
+    show_id: 'islands-of-adventure-hogwarts-lights',
+    show_name: 'The Nighttime Lights at Hogwarts Castle',
+    park_name: PARK_NAMES.IOA,
+    show_type: 'PROJECTION_SHOW',
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/entertainment/the-nighttime-lights-at-hogwarts-castle/index.html'
+  },
+  {
+    show_id: 'usf-mardi-gras-parade',
+    show_name: 'Universal Mardi Gras Parade',
+    park_name: PARK_NAMES.USF,
+    show_type: 'PARADE',
+    cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/events/mardi-gras/parade/index.html'
+  }
+];
+
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_DAY = /^\d{2}-\d{2}$/;
+
+/**
+ * Validate show definitions. Throws one error listing every problem found.
+ *
+ * Each show needs show_id, show_name, park_name, show_type and cms_url.
+ * Optional: active (default true), season_start / season_end as either
+ * "YYYY-MM-DD" (one-off window) or "MM-DD" (recurs every year),
+ * destination and locale (see lib/destinations.js; taken from cms_url
+ * when omitted).
+ */
+function validateShows(shows) {
+  if (!Array.isArray(shows)) {
+    throw new Error('Tracked shows must be a JSON array of show definitions');
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  shows.forEach((show, i) => {
+    const label = show?.show_id ? `"${show.show_id}"` : `#${i}`;
+    if (!show || typeof show !== 'object') {
+      problems.push(`Show ${label}: not an object`);
+      return;
+    }
+
+    for (const field of ['show_id', 'show_name', 'park_name', 'show_type', 'cms_url']) {
+      if (typeof show[field] !== 'string' || show[field].trim() === '') {
+        problems.push(`Show ${label}: missing ${field}`);
+      }
+    }
+
+    if (show.show_id) {
+      if (seenIds.has(show.show_id)) problems.push(`Show ${label}: duplicate show_id`);
+      seenIds.add(show.show_id);
+    }
+
+    if (show.show_type && !SHOW_TYPES.includes(show.show_type)) {
+      problems.push(`Show ${label}: unknown show_type "${show.show_type}" (expected one of ${SHOW_TYPES.join(', ')})`);
+    }
+
+    if (show.cms_url) {
+      let url = null;
+      try {
+        url = new URL(show.cms_url);
+      } catch (e) {
+        // Reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        problems.push(`Show ${label}: malformed cms_url "${show.cms_url}"`);
+      }
+    }
+
+    if (show.destination != null && !DESTINATIONS[show.destination]) {
+      problems.push(`Show ${label}: unknown destination "${show.destination}" (expected one of ${Object.keys(DESTINATIONS).join(', ')})`);
+    }
+    if (show.locale != null && !LOCALES.includes(show.locale)) {
+      problems.push(`Show ${label}: unknown locale "${show.locale}" (expected one of ${LOCALES.join(', ')})`);
+    }
+
+    if (show.active !== undefined && typeof show.active !== 'boolean') {
+      problems.push(`Show ${label}: active must be true or false`);
+    }
+
+    for (const field of ['season_start', 'season_end']) {
+      const value = show[field];
+      if (value == null) continue;
+      if (typeof value !== 'string' || !(FULL_DATE.test(value) || MONTH_DAY.test(value))) {
+        problems.push(`Show ${label}: ${field} must be "YYYY-MM-DD" or "MM-DD"`);
+      }
+    }
+    if (show.season_start && show.season_end &&
+        FULL_DATE.test(show.season_start) !== FULL_DATE.test(show.season_end)) {
+      problems.push(`Show ${label}: season_start and season_end must use the same format`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid tracked show configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+  return shows;
+}
+
+/**
+ * Whether a show should be collected on `today` ("YYYY-MM-DD").
+ * Recurring "MM-DD" windows may wrap the new year (e.g. 11-15 → 01-05).
+ */
+function isInSeason(show, today) {
+  if (show.active === false) return false;
+
+  const start = show.season_start;
+  const end = show.season_end;
+  if (!start && !end) return true;
+
+  const recurring = MONTH_DAY.test(start || end);
+  const current = recurring ? today.slice(5) : today;
+
+  if (recurring && start && end && start > end) {
+    return current >= start || current <= end;
+  }
+  return (!start || current >= start) && (!end || current <= end);
+}
+
+/**
+ * Load show definitions from a JSON file
+ */
+function loadShowsFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read tracked shows from ${filePath}: ${error.message}`);
+  }
+  // Accept either a bare array or { "shows": [...] }
+  return Array.isArray(parsed) ? parsed : parsed?.shows;
+}
+
+/**
+ * Resolve and validate the tracked shows.
+ * `source` is "table" (alias "supabase") for the universal_tracked_shows
+ * table in `store`, a path to a JSON file, or empty for the built-in list.
+ */
+async function loadTrackedShows(source, store) {
+  let shows;
+  if (!source) {
+    shows = TRACKED_SHOWS;
+  } else if (source === 'table' || source === 'supabase') {
+    shows = await store.fetchTrackedShows();
+  } else {
+    shows = loadShowsFile(source);
+  }
+  return validateShows(shows);
+}
+
+module.exports = {
+  SHOW_TYPES,
+  PARK_NAMES,
+  TRACKED_SHOWS,
+  validateShows,
+  isInSeason,
+  loadShowsFile,
+  loadTrackedShows
+};
@@ -0,0 +1,309 @@
+// ============================================================
+// Storage
+//
+// The collector's table operations, on top of a backend adapter:
+//   supabase  PostgREST (SUPABASE_URL / SUPABASE_KEY)
+//   json      one JSON file per table in a local directory
+// Both follow the same table semantics (upsert keys, serial ids,
+// filters); the SQL schema is in migrations/.
+// ============================================================
+
+const { todayInZone } = require('../time');
+const { createPostgrestAdapter } = require('./postgrest');
+const { createJsonFileAdapter } = require('./json-file');
+
+const STORAGE_BACKENDS = ['supabase', 'json'];
+
+// Upsert conflict keys, serial ids and `created_at DEFAULT now()` columns,
+// matching the migrations
+const TABLES = {
+  universal_entertainment_schedules: { key: ['show_id', 'schedule_date', 'show_time'] },
+  universal_schedule_changes: { key: ['idempotency_key'], serial: true, createdAt: 'created_at' },
+  universal_show_status: { key: ['show_id'] },
+  universal_show_details: { key: ['show_id'] },
+  universal_page_fingerprints: { key: ['show_id'] },
+  universal_park_hours: { key: ['park_name', 'schedule_date'] },
+  universal_performance_disruptions: { key: ['show_id', 'schedule_date', 'show_time'] },
+  universal_schedule_history: { serial: true },
+  universal_collector_runs: { key: ['run_id'] },
+  universal_tracked_shows: { key: ['show_id'] },
+  universal_show_candidates: { key: ['show_id'] }
+};
+
+/**
+ * Write in batches of 100 to stay under request payload limits
+ */
+async function upsertInBatches(adapter, table, rows, options = {}) {
+  for (let i = 0; i < rows.length; i += 100) {
+    await adapter.upsert(table, rows.slice(i, i + 100), { onConflict: TABLES[table].key, ...options });
+  }
+}
+
+// PostgREST answers with at most max-rows (1000 by default) per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Every row a query matches (up to `query.limit`, if given), a page at a
+ * time. `query.order` must give a total order (end on a unique column) so
+ * pages don't overlap.
+ */
+async function selectAllPages(adapter, table, { limit = Infinity, ...query }) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const size = Math.min(PAGE_SIZE, limit - rows.length);
+    const page = await adapter.select(table, { ...query, limit: size, offset });
+    rows.push(...page);
+    if (page.length < size || rows.length >= limit) return rows;
+  }
+}
+
+async function insertInBatches(adapter, table, rows) {
+  for (let i = 0; i < rows.length; i += 100) {
+    await adapter.insert(table, rows.slice(i, i + 100));
+  }
+}
+
+/**
+ * Table operations over an adapter
+ */
+function createStore(adapter) {
+  return {
+    backend: adapter.name,
+
+    /** Existing schedule rows for a show from `from` (default today) onwards */
+    async fetchExistingSchedules(showId, from = todayInZone()) {
+      return selectAllPages(adapter, 'universal_entertainment_schedules', {
+        where: [['show_id', 'eq', showId], ['schedule_date', 'gte', from]],
+        order: 'schedule_date,show_time,id'
+      });
+    },
+
+    /** Upsert schedule rows on (show_id, schedule_date, show_time) */
+    async upsertSchedules(records) {
+      if (records.length === 0) return;
+      await upsertInBatches(adapter, 'universal_entertainment_schedules', records);
+    },
+
+    /** Log detected changes for the notification system; a change already logged under its idempotency_key is skipped */
+    async logChanges(changes) {
+      if (changes.length === 0) return;
+      await upsertInBatches(adapter, 'universal_schedule_changes', changes, { ignoreDuplicates: true });
+    },
+
+    /** Logged changes not yet delivered to the notifiers (the outbox), oldest first */
+    async fetchPendingChanges() {
+      return selectAllPages(adapter, 'universal_schedule_changes', {
+        where: [['notified_at', 'is', null]],
+        order: 'id'
+      });
+    },
+
+    /** Take delivered changes out of the outbox */
+    async markChangesNotified(ids, notifiedAt) {
+      if (ids.length === 0) return;
+      await adapter.update('universal_schedule_changes', [['id', 'in', ids]], { notified_at: notifiedAt });
+    },
+
+    /**
+     * Apply one show's writes all-or-nothing: schedules, change log, status,
+     * history versions and (optionally) details. `payload` is
+     * { schedules, changes, status, history_close, history_append,
+     *   history_closed_at, details, fingerprint }; details and fingerprint
+     * may be null. On Supabase this is the
+     * apply_show_write function (migrations/004); the JSON backend stages
+     * the same operations and writes them together.
+     */
+    async applyShowWrite(payload) {
+      if (adapter.rpc) return adapter.rpc('apply_show_write', { payload });
+
+      return adapter.transaction(async tx => {
+        if (payload.schedules.length > 0) {
+          await tx.upsert('universal_entertainment_schedules', payload.schedules, { onConflict: TABLES.universal_entertainment_schedules.key });
+        }
+        if (payload.changes.length > 0) {
+          await tx.upsert('universal_schedule_changes', payload.changes, { onConflict: TABLES.universal_schedule_changes.key, ignoreDuplicates: true });
+        }
+        await tx.upsert('universal_show_status', [payload.status], { onConflict: TABLES.universal_show_status.key });
+        if (payload.history_close.length > 0) {
+          await tx.update('universal_schedule_history', [['id', 'in', payload.history_close]], { valid_to: payload.history_closed_at });
+        }
+        if (payload.history_append.length > 0) {
+          await tx.insert('universal_schedule_history', payload.history_append);
+        }
+        if (payload.details) {
+          await tx.upsert('universal_show_details', [payload.details], { onConflict: TABLES.universal_show_details.key });
+        }
+        if (payload.fingerprint) {
+          await tx.upsert('universal_page_fingerprints', [payload.fingerprint], { onConflict: TABLES.universal_page_fingerprints.key });
+        }
+        return {
+          schedules: payload.schedules.length,
+          changes: payload.changes.length,
+          history_closed: payload.history_close.length,
+          history_appended: payload.history_append.length
+        };
+      });
+    },
+
+    /** Upsert the show status summary row */
+    async upsertShowStatus(statusRecord) {
+      await adapter.upsert('universal_show_status', [statusRecord], { onConflict: TABLES.universal_show_status.key });
+    },
+
+    /** A show's status summary row (null if none) */
+    async fetchShowStatus(showId) {
+      const rows = await adapter.select('universal_show_status', { where: [['show_id', 'eq', showId]] });
+      return rows?.[0] || null;
+    },
+
+    /** Update fields on an existing show status row without touching the rest */
+    async touchShowStatus(showId, fields) {
+      await adapter.update('universal_show_status', [['show_id', 'eq', showId]], fields);
+    },
+
+    /** details_hash of a show's stored details row (null if none) */
+    async fetchShowDetailsHash(showId) {
+      const rows = await adapter.select('universal_show_details', { where: [['show_id', 'eq', showId]] });
+      return rows?.[0]?.details_hash || null;
+    },
+
+    /** Upsert a show's details row */
+    async upsertShowDetails(detailsRecord) {
+      await adapter.upsert('universal_show_details', [detailsRecord], { onConflict: TABLES.universal_show_details.key });
+    },
+
+    /** The last recorded page fingerprint for a show (null if none) */
+    async fetchPageFingerprint(showId) {
+      const rows = await adapter.select('universal_page_fingerprints', { where: [['show_id', 'eq', showId]] });
+      return rows?.[0] || null;
+    },
+
+    /** Upsert park hours rows on (park_name, schedule_date) */
+    async upsertParkHours(rows) {
+      if (rows.length === 0) return;
+      await upsertInBatches(adapter, 'universal_park_hours', rows);
+    },
+
+    /**
+     * A show's current (open) history versions from a date on. Versions of
+     * past performances stay open, so without the bound the set only grows.
+     */
+    async fetchOpenHistory(showId, from = todayInZone()) {
+      return selectAllPages(adapter, 'universal_schedule_history', {
+        where: [['show_id', 'eq', showId], ['valid_to', 'is', null], ['schedule_date', 'gte', from]],
+        order: 'id'
+      });
+    },
+
+    /**
+     * A show's version history, oldest first: for one `date`, or for
+     * performances `from` a date on (either may be omitted)
+     */
+    async fetchScheduleHistory(showId, { date, from } = {}) {
+      const where = [['show_id', 'eq', showId]];
+      if (date) where.push(['schedule_date', 'eq', date]);
+      if (from) where.push(['schedule_date', 'gte', from]);
+      return selectAllPages(adapter, 'universal_schedule_history', { where, order: 'valid_from,id' });
+    },
+
+    /** Close superseded history versions */
+    async closeHistoryVersions(ids, validTo) {
+      if (ids.length === 0) return;
+      await adapter.update('universal_schedule_history', [['id', 'in', ids]], { valid_to: validTo });
+    },
+
+    /** Append history versions */
+    async insertHistoryVersions(rows) {
+      if (rows.length === 0) return;
+      await insertInBatches(adapter, 'universal_schedule_history', rows);
+    },
+
+    /** Schedule rows for a show between two dates (either may be omitted) */
+    async fetchSchedules(showId, { from, to } = {}) {
+      const where = [['show_id', 'eq', showId]];
+      if (from) where.push(['schedule_date', 'gte', from]);
+      if (to) where.push(['schedule_date', 'lte', to]);
+      return selectAllPages(adapter, 'universal_entertainment_schedules', { where, order: 'schedule_date,show_time,id' });
+    },
+
+    /** Every show's schedule rows at a park on one date */
+    async fetchParkSchedules(parkName, scheduleDate) {
+      return adapter.select('universal_entertainment_schedules', {
+        where: [['park_name', 'eq', parkName], ['schedule_date', 'eq', scheduleDate]],
+        order: 'show_starts_at'
+      });
+    },
+
+    /** A park's stored hours for one date (null if none) */
+    async fetchParkHours(parkName, scheduleDate) {
+      const rows = await adapter.select('universal_park_hours', {
+        where: [['park_name', 'eq', parkName], ['schedule_date', 'eq', scheduleDate]]
+      });
+      return rows?.[0] || null;
+    },
+
+    /** Upsert disruption annotations on (show_id, schedule_date, show_time) */
+    async upsertDisruptions(rows) {
+      await upsertInBatches(adapter, 'universal_performance_disruptions', rows);
+    },
+
+    /**
+     * Disruption annotations, for a show or a park, between two dates
+     * (either may be omitted); cleared ones included
+     */
+    async fetchDisruptions({ showId, parkName, from, to } = {}) {
+      const where = [];
+      if (showId) where.push(['show_id', 'eq', showId]);
+      if (parkName) where.push(['park_name', 'eq', parkName]);
+      if (from) where.push(['schedule_date', 'gte', from]);
+      if (to) where.push(['schedule_date', 'lte', to]);
+      return adapter.select('universal_performance_disruptions', { where, order: 'schedule_date' });
+    },
+
+    /** Every show's status summary row */
+    async fetchShowStatuses() {
+      return adapter.select('universal_show_status', { order: 'show_id' });
+    },
+
+    /** Logged changes since an instant, newest first, optionally limited to some severities */
+    async fetchChanges({ since, severities, limit } = {}) {
+      const where = [];
+      if (since) where.push(['created_at', 'gte', since]);
+      if (severities) where.push(['severity', 'in', severities]);
+      return selectAllPages(adapter, 'universal_schedule_changes', { where, order: 'created_at.desc,id.desc', limit });
+    },
+
+    /** Record a finished collector run */
+    async insertCollectorRun(runRecord) {
+      await adapter.insert('universal_collector_runs', [runRecord]);
+    },
+
+    /** Show definitions from universal_tracked_shows */
+    async fetchTrackedShows() {
+      return adapter.select('universal_tracked_shows', { order: 'show_id' });
+    },
+
+    /** Insert discovered candidates; existing ones keep their review decision */
+    async insertShowCandidates(candidates) {
+      if (candidates.length === 0) return;
+      await upsertInBatches(adapter, 'universal_show_candidates', candidates, { ignoreDuplicates: true });
+    }
+  };
+}
+
+/**
+ * Create the store for a backend name. `options.dir` is the JSON backend's
+ * data directory.
+ */
+function createStorage(backend = 'supabase', options = {}) {
+  if (backend === 'supabase') return createStore(createPostgrestAdapter());
+  if (backend === 'json') return createStore(createJsonFileAdapter(options.dir || './data', TABLES));
+  throw new Error(`Unknown storage backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  TABLES,
+  createStore,
+  createStorage
+};
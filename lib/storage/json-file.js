@@ -0,0 +1,141 @@
+// ============================================================
+// JSON-file Table Adapter
+//
+// Table operations for the "json" storage backend: one
+// <table>.json array per table in a directory. Meant for local
+// runs and small self-hosted setups, not concurrent writers.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Drop undefined fields so a merge leaves those columns alone, as
+ * PostgREST does for keys missing from the payload
+ */
+function definedFields(row) {
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+}
+
+function matches(row, where = []) {
+  return where.every(([column, op, value]) => {
+    const actual = row[column] ?? null;
+    switch (op) {
+      case 'eq': return actual !== null && String(actual) === String(value);
+      case 'gte': return actual !== null && actual >= value;
+      case 'lte': return actual !== null && actual <= value;
+      case 'is': return actual === value;
+      case 'in': return value.map(String).includes(String(actual));
+      default: throw new Error(`Unsupported filter operator "${op}"`);
+    }
+  });
+}
+
+/**
+ * Sort like a PostgREST `order` parameter ("column" or "column.desc")
+ */
+function sortRows(rows, order) {
+  if (!order) return rows;
+  // "column[.desc]", comma-separated as in PostgREST
+  const keys = order.split(',').map(part => {
+    const [column, direction] = part.split('.');
+    return { column, sign: direction === 'desc' ? -1 : 1 };
+  });
+  return rows.sort((a, b) => {
+    for (const { column, sign } of keys) {
+      const x = a[column] ?? '';
+      const y = b[column] ?? '';
+      if (x !== y) return x < y ? -sign : sign;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Table operations over `load(table)` / `save(table, rows)`
+ */
+function createTableOps(tables, load, save) {
+  // Fill in what the database would: a serial id and created_at
+  const withDefaults = (table, rows, row) => {
+    const { serial, createdAt } = tables[table] || {};
+    const defaults = {};
+    if (serial && row.id == null) defaults.id = rows.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1;
+    if (createdAt && row[createdAt] == null) defaults[createdAt] = new Date().toISOString();
+    return { ...defaults, ...row };
+  };
+
+  return {
+    async select(table, query = {}) {
+      const rows = sortRows(load(table).filter(row => matches(row, query.where)), query.order);
+      const offset = query.offset || 0;
+      return query.limit ? rows.slice(offset, offset + query.limit) : rows.slice(offset);
+    },
+    async insert(table, rows) {
+      const stored = [...load(table)];
+      for (const row of [].concat(rows)) stored.push(withDefaults(table, stored, definedFields(row)));
+      save(table, stored);
+    },
+    async upsert(table, rows, { onConflict, ignoreDuplicates = false }) {
+      const stored = [...load(table)];
+      const keyOf = row => JSON.stringify(onConflict.map(column => row[column] ?? null));
+      const index = new Map(stored.map((row, i) => [keyOf(row), i]));
+      for (const row of [].concat(rows)) {
+        const fields = definedFields(row);
+        const existing = index.get(keyOf(fields));
+        if (existing === undefined) {
+          index.set(keyOf(fields), stored.length);
+          stored.push(withDefaults(table, stored, fields));
+        } else if (!ignoreDuplicates) {
+          stored[existing] = { ...stored[existing], ...fields };
+        }
+      }
+      save(table, stored);
+    },
+    async update(table, where, fields) {
+      const changes = definedFields(fields);
+      save(table, load(table).map(row => (matches(row, where) ? { ...row, ...changes } : row)));
+    }
+  };
+}
+
+/**
+ * `tables` maps table name → { key, serial, createdAt }: the upsert
+ * conflict columns, whether rows get an auto-incrementing `id`, and a
+ * column stamped with the insert time
+ */
+function createJsonFileAdapter(dir, tables = {}) {
+  const filePath = table => path.join(dir, `${table}.json`);
+  const read = table => (fs.existsSync(filePath(table)) ? JSON.parse(fs.readFileSync(filePath(table), 'utf8')) : []);
+  const write = (table, rows) => {
+    // Write-then-rename so a crash never leaves a truncated table file
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath(table)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(rows, null, 2));
+    fs.renameSync(tmp, filePath(table));
+  };
+
+  return {
+    name: 'json',
+    ...createTableOps(tables, read, write),
+
+    /**
+     * Stage every operation `fn` makes in memory and write the touched
+     * tables only once it resolves; if it throws, nothing is written.
+     */
+    async transaction(fn) {
+      const staged = new Map();
+      const tx = createTableOps(
+        tables,
+        table => (staged.has(table) ? staged.get(table) : read(table)),
+        (table, rows) => staged.set(table, rows)
+      );
+      const result = await fn(tx);
+      for (const [table, rows] of staged) write(table, rows);
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileAdapter
+};
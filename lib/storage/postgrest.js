@@ -0,0 +1,57 @@
+// ============================================================
+// PostgREST Table Adapter
+//
+// Table operations for the "supabase" storage backend.
+// ============================================================
+
+const { supabaseRequest } = require('../supabase');
+
+/**
+ * PostgREST filter for one [column, op, value] condition
+ */
+function toFilter([column, op, value]) {
+  if (op === 'is') return `${column}=is.${value === null ? 'null' : value}`;
+  if (op === 'in') return `${column}=in.(${value.map(v => encodeURIComponent(v)).join(',')})`;
+  return `${column}=${op}.${encodeURIComponent(value)}`;
+}
+
+function queryString(where = [], extra = []) {
+  return [...where.map(toFilter), ...extra].join('&');
+}
+
+function createPostgrestAdapter() {
+  return {
+    name: 'supabase',
+    async select(table, query = {}) {
+      const extra = ['select=*'];
+      if (query.order) extra.push(`order=${query.order}`);
+      if (query.limit) extra.push(`limit=${query.limit}`);
+      if (query.offset) extra.push(`offset=${query.offset}`);
+      return supabaseRequest(`${table}?${queryString(query.where, extra)}`, 'GET');
+    },
+    async insert(table, rows) {
+      return supabaseRequest(table, 'POST', rows, { 'Prefer': 'return=minimal' });
+    },
+    async upsert(table, rows, { onConflict, ignoreDuplicates = false }) {
+      const resolution = ignoreDuplicates ? 'ignore-duplicates' : 'merge-duplicates';
+      return supabaseRequest(
+        `${table}?on_conflict=${onConflict.join(',')}`,
+        'POST',
+        rows,
+        { 'Prefer': `resolution=${resolution},return=minimal` }
+      );
+    },
+    async update(table, where, fields) {
+      return supabaseRequest(`${table}?${queryString(where)}`, 'PATCH', fields, { 'Prefer': 'return=minimal' });
+    },
+    /** Call a database function; it runs in a single transaction */
+    async rpc(name, params) {
+      return supabaseRequest(`rpc/${name}`, 'POST', params);
+    }
+  };
+}
+
+module.exports = {
+  toFilter,
+  createPostgrestAdapter
+};
@@ -0,0 +1,109 @@
+// ============================================================
+// Supabase Client
+//
+// Raw PostgREST and Storage requests. Table operations go through
+// lib/storage, which uses this for the "supabase" backend.
+// ============================================================
+
+const SUPABASE_URL = process.env.SUPABASE_URL; // Set in Railway env vars
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+async function supabaseRequest(path, method, body, extraHeaders = {}) {
+  const url = `${SUPABASE_URL}/rest/v1/${path}`;
+  const headers = {
+    'apikey': SUPABASE_KEY,
+    'Authorization': `Bearer ${SUPABASE_KEY}`,
+    'Content-Type': 'application/json',
+    ...extraHeaders
+  };
+
+  const options = { method, headers };
+  if (body) options.body = JSON.stringify(body);
+
+  const response = await fetch(url, options);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Supabase ${method} ${path}: ${response.status} - ${errorText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('application/json')) {
+    return response.json();
+  }
+  return null;
+}
+
+async function storageRequest(path, options, description) {
+  const response = await fetch(`${SUPABASE_URL}/storage/v1/${path}`, {
+    ...options,
+    headers: {
+      'apikey': SUPABASE_KEY,
+      'Authorization': `Bearer ${SUPABASE_KEY}`,
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Supabase Storage ${description}: ${response.status} - ${errorText}`);
+  }
+  return response;
+}
+
+/**
+ * Upload (or overwrite) an object in Supabase Storage
+ */
+async function uploadStorageObject(bucket, objectPath, body, contentType) {
+  await storageRequest(`object/${bucket}/${objectPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, 'x-upsert': 'true' },
+    body
+  }, `upload ${bucket}/${objectPath}`);
+}
+
+/**
+ * List object names directly under a prefix ("folder/") in a bucket
+ */
+async function listStorageObjects(bucket, prefix) {
+  const names = [];
+  const limit = 1000;
+  for (let offset = 0; ; offset += limit) {
+    const response = await storageRequest(`object/list/${bucket}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prefix, limit, offset, sortBy: { column: 'name', order: 'asc' } })
+    }, `list ${bucket}/${prefix}`);
+    const page = await response.json();
+    names.push(...page.map(o => o.name));
+    if (page.length < limit) return names;
+  }
+}
+
+/**
+ * Download an object's bytes from Supabase Storage
+ */
+async function downloadStorageObject(bucket, objectPath) {
+  const response = await storageRequest(`object/${bucket}/${objectPath}`, { method: 'GET' }, `download ${bucket}/${objectPath}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Delete objects from a Supabase Storage bucket
+ */
+async function deleteStorageObjects(bucket, objectPaths) {
+  if (objectPaths.length === 0) return;
+  await storageRequest(`object/${bucket}`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prefixes: objectPaths })
+  }, `delete from ${bucket}`);
+}
+
+module.exports = {
+  supabaseRequest,
+  uploadStorageObject,
+  listStorageObjects,
+  downloadStorageObject,
+  deleteStorageObjects
+};
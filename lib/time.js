@@ -0,0 +1,141 @@
+// ============================================================
+// Park-local Time
+//
+// All schedule dates are park-local calendar dates, so "today"
+// must be computed in the park's timezone rather than UTC, and
+// eyebrow labels like "8:30 PM" are park-local wall-clock times.
+// ============================================================
+
+const PARK_TIMEZONE = 'America/New_York';
+
+const dateFormatters = new Map();
+const partsFormatters = new Map();
+
+function dateFormatter(timeZone) {
+  if (!dateFormatters.has(timeZone)) {
+    // en-CA formats as YYYY-MM-DD
+    dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }));
+  }
+  return dateFormatters.get(timeZone);
+}
+
+function partsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+/**
+ * Today's date ("YYYY-MM-DD") in the given timezone
+ */
+function todayInZone(timeZone = PARK_TIMEZONE, now = new Date()) {
+  return dateFormatter(timeZone).format(now);
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function timeZoneOffsetMs(timeZone, instantMs) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(instantMs))) {
+    parts[type] = value;
+  }
+  const wallClockAsUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return wallClockAsUtc - Math.floor(instantMs / 1000) * 1000;
+}
+
+const TIME_WORDS = {
+  noon: '12:00',
+  midnight: '00:00',
+  'mediodía': '12:00',
+  medianoche: '00:00'
+};
+
+/**
+ * Parse an eyebrow label ("8:30 PM", "8 pm", "Noon", and the Spanish site's
+ * "8:30 p. m.", "Mediodía" or "20:30 h") into 24-hour "HH:MM".
+ * Returns null when the label isn't a recognisable time.
+ */
+function parseShowTime(label) {
+  if (typeof label !== 'string') return null;
+  const text = label.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (TIME_WORDS[text]) return TIME_WORDS[text];
+
+  // 24-hour clock, only when marked as such ("20:30 h", "20:30 hrs")
+  const clock = text.match(/^(\d{1,2}):(\d{2}) ?h(?:rs?)?\.?$/);
+  if (clock) {
+    const [hour, minute] = [Number(clock[1]), Number(clock[2])];
+    if (hour > 23 || minute > 59) return null;
+    return `${String(hour).padStart(2, '0')}:${clock[2]}`;
+  }
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\.?$/);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (hour < 1 || hour > 12 || minute > 59) return null;
+
+  if (match[3] === 'a' && hour === 12) hour = 0;
+  if (match[3] === 'p' && hour !== 12) hour += 12;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * "HH:MM" back to the English eyebrow form ("20:30" → "8:30 PM")
+ */
+function formatShowTime(local) {
+  const [hour, minute] = local.split(':').map(Number);
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Convert a park-local date ("YYYY-MM-DD") and time ("HH:MM") to a UTC ISO
+ * timestamp, handling DST transitions.
+ */
+function zonedTimeToUtc(date, time, timeZone = PARK_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock instant, then correct once in
+  // case the guess landed on the other side of a DST transition
+  let instant = wallClockAsUtc - timeZoneOffsetMs(timeZone, wallClockAsUtc);
+  const corrected = wallClockAsUtc - timeZoneOffsetMs(timeZone, instant);
+  if (corrected !== instant) instant = corrected;
+
+  return new Date(instant).toISOString();
+}
+
+/**
+ * Normalize an eyebrow into { show_time_local, show_starts_at } for a date.
+ * Both are null when the eyebrow isn't a parseable time (e.g. 'Unknown').
+ */
+function normalizeShowTime(scheduleDate, label, timeZone = PARK_TIMEZONE) {
+  const local = parseShowTime(label);
+  return {
+    show_time_local: local,
+    show_starts_at: local ? zonedTimeToUtc(scheduleDate, local, timeZone) : null
+  };
+}
+
+module.exports = {
+  PARK_TIMEZONE,
+  todayInZone,
+  parseShowTime,
+  formatShowTime,
+  zonedTimeToUtc,
+  normalizeShowTime
+};
@@ -0,0 +1,54 @@
+-- ============================================================
+-- 001: Core collector tables
+--
+-- Schedules, the change log and the per-show status summary.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS universal_entertainment_schedules (
+  id              BIGSERIAL PRIMARY KEY,
+  show_id         TEXT NOT NULL,
+  show_name       TEXT NOT NULL,
+  park_name       TEXT,
+  schedule_date   DATE NOT NULL,
+  show_time       TEXT NOT NULL,           -- raw eyebrow label, e.g. "8:30 PM"
+  show_type       TEXT,
+  status          TEXT NOT NULL,           -- SCHEDULED | TENTATIVE | CANCELLED
+  is_available    BOOLEAN NOT NULL DEFAULT TRUE,
+  source_url      TEXT,
+  collected_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_modified   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (show_id, schedule_date, show_time)
+);
+
+CREATE INDEX IF NOT EXISTS universal_entertainment_schedules_date_idx
+  ON universal_entertainment_schedules (schedule_date);
+
+CREATE TABLE IF NOT EXISTS universal_schedule_changes (
+  id                  BIGSERIAL PRIMARY KEY,
+  change_type         TEXT NOT NULL,       -- ENTERTAINMENT | COLLECTOR_HEALTH
+  entity_id           TEXT NOT NULL,       -- show_id
+  entity_name         TEXT,
+  change_date         DATE,
+  change_description  TEXT NOT NULL,
+  old_value           JSONB,
+  new_value           JSONB,
+  severity            TEXT NOT NULL,       -- LOW | MEDIUM | HIGH
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS universal_schedule_changes_created_idx
+  ON universal_schedule_changes (created_at);
+
+CREATE TABLE IF NOT EXISTS universal_show_status (
+  show_id                TEXT PRIMARY KEY,
+  show_name              TEXT NOT NULL,
+  park_name              TEXT,
+  show_type              TEXT,
+  current_status         TEXT NOT NULL,    -- ACTIVE | TEMPORARILY_CLOSED | UNKNOWN | PARSE_FAILED
+  next_scheduled_date    DATE,
+  last_scheduled_date    DATE,
+  total_scheduled_dates  INTEGER,
+  cms_url                TEXT,
+  last_checked_at        TIMESTAMPTZ,
+  last_updated_at        TIMESTAMPTZ
+);
@@ -0,0 +1,11 @@
+-- ============================================================
+-- 002: Normalized show times, park-hours clashes, change kinds
+-- ============================================================
+
+ALTER TABLE universal_entertainment_schedules
+  ADD COLUMN IF NOT EXISTS show_time_local TEXT,          -- "HH:MM", park-local
+  ADD COLUMN IF NOT EXISTS show_starts_at  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS hours_conflict  TEXT;          -- AFTER_CLOSE | PARK_CLOSED
+
+ALTER TABLE universal_schedule_changes
+  ADD COLUMN IF NOT EXISTS change_kind TEXT;              -- TIME_CHANGED, CONFIRMED, SEASON_EXTENDED, ...
@@ -0,0 +1,94 @@
+-- ============================================================
+-- 003: Show configuration, discovery, run history, show details,
+--      park hours and per-performance history
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS universal_tracked_shows (
+  show_id       TEXT PRIMARY KEY,
+  show_name     TEXT NOT NULL,
+  park_name     TEXT NOT NULL,
+  show_type     TEXT NOT NULL,
+  cms_url       TEXT NOT NULL,
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  season_start  TEXT,                                     -- "YYYY-MM-DD" or recurring "MM-DD"
+  season_end    TEXT
+);
+
+CREATE TABLE IF NOT EXISTS universal_show_candidates (
+  show_id        TEXT PRIMARY KEY,
+  show_name      TEXT,
+  park_name      TEXT,
+  show_type      TEXT,
+  cms_url        TEXT NOT NULL,
+  needs_review   BOOLEAN NOT NULL DEFAULT FALSE,
+  review_status  TEXT NOT NULL DEFAULT 'PENDING',
+  discovered_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS universal_collector_runs (
+  run_id              UUID PRIMARY KEY,
+  mode                TEXT NOT NULL,
+  status              TEXT NOT NULL,                      -- SUCCESS | PARTIAL | FAILED
+  started_at          TIMESTAMPTZ NOT NULL,
+  finished_at         TIMESTAMPTZ NOT NULL,
+  duration_ms         INTEGER,
+  show_count          INTEGER,
+  error_count         INTEGER,
+  unknown_count       INTEGER,
+  total_performances  INTEGER,
+  total_changes       INTEGER,
+  shows               JSONB,
+  error_text          TEXT
+);
+
+CREATE TABLE IF NOT EXISTS universal_show_details (
+  show_id              TEXT PRIMARY KEY,
+  show_name            TEXT,
+  park_name            TEXT,
+  duration_text        TEXT,
+  duration_minutes     INTEGER,
+  location             TEXT,
+  description          TEXT,
+  hero_image_url       TEXT,
+  accessibility_notes  TEXT,
+  required_ticket      TEXT,
+  closed_reason        TEXT,
+  details_hash         TEXT NOT NULL,
+  source_url           TEXT,
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS universal_park_hours (
+  park_name      TEXT NOT NULL,
+  schedule_date  DATE NOT NULL,
+  hours_label    TEXT,
+  is_closed      BOOLEAN NOT NULL DEFAULT FALSE,
+  open_time      TEXT,
+  close_time     TEXT,
+  opens_at       TIMESTAMPTZ,
+  closes_at      TIMESTAMPTZ,
+  source_url     TEXT,
+  collected_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (park_name, schedule_date)
+);
+
+-- Append-only: rows are only ever inserted, then closed by setting valid_to
+CREATE TABLE IF NOT EXISTS universal_schedule_history (
+  id               BIGSERIAL PRIMARY KEY,
+  show_id          TEXT NOT NULL,
+  schedule_date    DATE NOT NULL,
+  show_time        TEXT NOT NULL,
+  status           TEXT,
+  is_available     BOOLEAN,
+  show_time_local  TEXT,
+  show_starts_at   TIMESTAMPTZ,
+  hours_conflict   TEXT,
+  version_hash     TEXT NOT NULL,
+  valid_from       TIMESTAMPTZ NOT NULL,
+  valid_to         TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS universal_schedule_history_open_idx
+  ON universal_schedule_history (show_id) WHERE valid_to IS NULL;
+CREATE INDEX IF NOT EXISTS universal_schedule_history_date_idx
+  ON universal_schedule_history (show_id, schedule_date, valid_from);
@@ -0,0 +1,150 @@
+-- ============================================================
+-- 007: Schedule forecast on the status row — the show's usual
+--      posting horizon and weekdays, the current horizon and any
+--      forecast flags (HORIZON_SHORT, WEEKDAY_GAP, SEASON_OVERDUE);
+--      apply_show_write keeps them when a run has no forecast
+-- ============================================================
+
+ALTER TABLE universal_show_status
+  ADD COLUMN IF NOT EXISTS typical_horizon_days INTEGER,      -- null until enough history
+  ADD COLUMN IF NOT EXISTS horizon_days         INTEGER,
+  ADD COLUMN IF NOT EXISTS usual_weekdays       JSONB,        -- ["Fri", "Sat"]
+  ADD COLUMN IF NOT EXISTS forecast_flags       JSONB NOT NULL DEFAULT '[]';
+
+CREATE OR REPLACE FUNCTION apply_show_write(payload JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  status_row      JSONB := payload->'status';
+  schedule_count  INTEGER;
+  change_count    INTEGER;
+  closed_count    INTEGER;
+  appended_count  INTEGER;
+BEGIN
+  INSERT INTO universal_entertainment_schedules (
+    show_id, show_name, park_name, destination, locale, schedule_date, show_time, show_time_local,
+    show_starts_at, show_type, status, is_available, hours_conflict,
+    source_url, collected_at, last_modified
+  )
+  SELECT
+    show_id, show_name, park_name, destination, locale, schedule_date, show_time, show_time_local,
+    show_starts_at, show_type, status, is_available, hours_conflict,
+    source_url, collected_at, last_modified
+  FROM jsonb_populate_recordset(NULL::universal_entertainment_schedules, COALESCE(payload->'schedules', '[]'))
+  ON CONFLICT (show_id, schedule_date, show_time) DO UPDATE SET
+    show_name       = EXCLUDED.show_name,
+    park_name       = EXCLUDED.park_name,
+    destination     = EXCLUDED.destination,
+    locale          = EXCLUDED.locale,
+    show_time_local = EXCLUDED.show_time_local,
+    show_starts_at  = EXCLUDED.show_starts_at,
+    show_type       = EXCLUDED.show_type,
+    status          = EXCLUDED.status,
+    is_available    = EXCLUDED.is_available,
+    hours_conflict  = EXCLUDED.hours_conflict,
+    source_url      = EXCLUDED.source_url,
+    collected_at    = EXCLUDED.collected_at,
+    last_modified   = EXCLUDED.last_modified;
+  GET DIAGNOSTICS schedule_count = ROW_COUNT;
+
+  -- A change already logged under the same key is from a retried write
+  INSERT INTO universal_schedule_changes (
+    change_type, change_kind, entity_id, entity_name, change_date,
+    change_description, old_value, new_value, severity, idempotency_key
+  )
+  SELECT
+    change_type, change_kind, entity_id, entity_name, change_date,
+    change_description, old_value, new_value, severity, idempotency_key
+  FROM jsonb_populate_recordset(NULL::universal_schedule_changes, COALESCE(payload->'changes', '[]'))
+  ON CONFLICT (idempotency_key) DO NOTHING;
+  GET DIAGNOSTICS change_count = ROW_COUNT;
+
+  -- Fields missing from the status payload keep their stored values
+  INSERT INTO universal_show_status (
+    show_id, show_name, park_name, destination, locale, show_type, current_status,
+    next_scheduled_date, last_scheduled_date, total_scheduled_dates,
+    typical_horizon_days, horizon_days, usual_weekdays, forecast_flags,
+    cms_url, last_checked_at, last_updated_at
+  )
+  SELECT
+    show_id, show_name, park_name, destination, locale, show_type, current_status,
+    next_scheduled_date, last_scheduled_date, total_scheduled_dates,
+    typical_horizon_days, horizon_days, usual_weekdays, forecast_flags,
+    cms_url, last_checked_at, last_updated_at
+  FROM jsonb_populate_record(NULL::universal_show_status, status_row)
+  ON CONFLICT (show_id) DO UPDATE SET
+    show_name             = EXCLUDED.show_name,
+    park_name             = EXCLUDED.park_name,
+    destination           = EXCLUDED.destination,
+    locale                = EXCLUDED.locale,
+    show_type             = EXCLUDED.show_type,
+    current_status        = EXCLUDED.current_status,
+    next_scheduled_date   = CASE WHEN status_row ? 'next_scheduled_date' THEN EXCLUDED.next_scheduled_date ELSE universal_show_status.next_scheduled_date END,
+    last_scheduled_date   = CASE WHEN status_row ? 'last_scheduled_date' THEN EXCLUDED.last_scheduled_date ELSE universal_show_status.last_scheduled_date END,
+    total_scheduled_dates = CASE WHEN status_row ? 'total_scheduled_dates' THEN EXCLUDED.total_scheduled_dates ELSE universal_show_status.total_scheduled_dates END,
+    typical_horizon_days  = CASE WHEN status_row ? 'typical_horizon_days' THEN EXCLUDED.typical_horizon_days ELSE universal_show_status.typical_horizon_days END,
+    horizon_days          = CASE WHEN status_row ? 'horizon_days' THEN EXCLUDED.horizon_days ELSE universal_show_status.horizon_days END,
+    usual_weekdays        = CASE WHEN status_row ? 'usual_weekdays' THEN EXCLUDED.usual_weekdays ELSE universal_show_status.usual_weekdays END,
+    forecast_flags        = CASE WHEN status_row ? 'forecast_flags' THEN EXCLUDED.forecast_flags ELSE universal_show_status.forecast_flags END,
+    cms_url               = EXCLUDED.cms_url,
+    last_checked_at       = EXCLUDED.last_checked_at,
+    last_updated_at       = CASE WHEN status_row ? 'last_updated_at' THEN EXCLUDED.last_updated_at ELSE universal_show_status.last_updated_at END;
+
+  UPDATE universal_schedule_history
+     SET valid_to = (payload->>'history_closed_at')::TIMESTAMPTZ
+   WHERE id IN (SELECT jsonb_array_elements_text(COALESCE(payload->'history_close', '[]'))::BIGINT);
+  GET DIAGNOSTICS closed_count = ROW_COUNT;
+
+  INSERT INTO universal_schedule_history (
+    show_id, schedule_date, show_time, status, is_available, show_time_local,
+    show_starts_at, hours_conflict, version_hash, valid_from, valid_to
+  )
+  SELECT
+    show_id, schedule_date, show_time, status, is_available, show_time_local,
+    show_starts_at, hours_conflict, version_hash, valid_from, valid_to
+  FROM jsonb_populate_recordset(NULL::universal_schedule_history, COALESCE(payload->'history_append', '[]'));
+  GET DIAGNOSTICS appended_count = ROW_COUNT;
+
+  IF jsonb_typeof(payload->'details') = 'object' THEN
+    INSERT INTO universal_show_details
+    SELECT * FROM jsonb_populate_record(NULL::universal_show_details, payload->'details')
+    ON CONFLICT (show_id) DO UPDATE SET
+      show_name           = EXCLUDED.show_name,
+      park_name           = EXCLUDED.park_name,
+      destination         = EXCLUDED.destination,
+      locale              = EXCLUDED.locale,
+      duration_text       = EXCLUDED.duration_text,
+      duration_minutes    = EXCLUDED.duration_minutes,
+      location            = EXCLUDED.location,
+      description         = EXCLUDED.description,
+      hero_image_url      = EXCLUDED.hero_image_url,
+      accessibility_notes = EXCLUDED.accessibility_notes,
+      required_ticket     = EXCLUDED.required_ticket,
+      closed_reason       = EXCLUDED.closed_reason,
+      details_hash        = EXCLUDED.details_hash,
+      source_url          = EXCLUDED.source_url,
+      updated_at          = EXCLUDED.updated_at;
+  END IF;
+
+  IF jsonb_typeof(payload->'fingerprint') = 'object' THEN
+    INSERT INTO universal_page_fingerprints
+    SELECT * FROM jsonb_populate_record(NULL::universal_page_fingerprints, payload->'fingerprint')
+    ON CONFLICT (show_id) DO UPDATE SET
+      calendar_path    = EXCLUDED.calendar_path,
+      entries_key      = EXCLUDED.entries_key,
+      block_shapes     = EXCLUDED.block_shapes,
+      style_values     = EXCLUDED.style_values,
+      warnings         = EXCLUDED.warnings,
+      fingerprint_hash = EXCLUDED.fingerprint_hash,
+      observed_at      = EXCLUDED.observed_at;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'schedules', schedule_count,
+    'changes', change_count,
+    'history_closed', closed_count,
+    'history_appended', appended_count
+  );
+END;
+$$;
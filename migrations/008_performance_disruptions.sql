@@ -0,0 +1,26 @@
+-- ============================================================
+-- 008: Same-day disruption notices (weather, operational) on
+--      individual performances, from the `disrupt` command or a
+--      disruption feed. Kept apart from the CMS-derived rows in
+--      universal_entertainment_schedules and universal_show_status.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS universal_performance_disruptions (
+  show_id          TEXT NOT NULL,
+  show_name        TEXT,
+  park_name        TEXT,
+  schedule_date    DATE NOT NULL,
+  show_time        TEXT NOT NULL,
+  disruption_type  TEXT NOT NULL,                         -- CANCELLED | DELAYED
+  reason           TEXT NOT NULL,                         -- WEATHER | OPERATIONAL | OTHER
+  note             TEXT,
+  delay_minutes    INTEGER,
+  source           TEXT NOT NULL DEFAULT 'manual',        -- manual, or the feed it came from
+  reported_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cleared_at       TIMESTAMPTZ,                           -- set when the notice is withdrawn
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (show_id, schedule_date, show_time)
+);
+
+CREATE INDEX IF NOT EXISTS universal_performance_disruptions_park_idx
+  ON universal_performance_disruptions (park_name, schedule_date);
@@ -0,0 +1,42 @@
+-- ============================================================
+-- 009: One schedule row per performance on databases created
+--      before show_time was part of the key. 001 only declares
+--      UNIQUE (show_id, schedule_date, show_time) on a fresh
+--      table; an older table keeps UNIQUE (show_id, schedule_date)
+--      or a primary key on those columns, which rejects a second
+--      showtime on the same day and leaves the upsert's
+--      on_conflict without a matching constraint.
+-- ============================================================
+
+DO $$
+DECLARE
+  old_key TEXT;
+BEGIN
+  -- Whatever the old constraint was named, drop the (show_id, schedule_date)
+  -- unique or primary key
+  FOR old_key IN
+    SELECT c.conname
+      FROM pg_constraint c
+     WHERE c.conrelid = 'universal_entertainment_schedules'::regclass
+       AND c.contype IN ('u', 'p')
+       AND (SELECT array_agg(a.attname::TEXT ORDER BY a.attname)
+              FROM pg_attribute a
+             WHERE a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)) = ARRAY['schedule_date', 'show_id']
+  LOOP
+    EXECUTE format('ALTER TABLE universal_entertainment_schedules DROP CONSTRAINT %I', old_key);
+  END LOOP;
+
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint c
+     WHERE c.conrelid = 'universal_entertainment_schedules'::regclass
+       AND c.contype IN ('u', 'p')
+       AND (SELECT array_agg(a.attname::TEXT ORDER BY a.attname)
+              FROM pg_attribute a
+             WHERE a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)) = ARRAY['schedule_date', 'show_id', 'show_time']
+  ) THEN
+    ALTER TABLE universal_entertainment_schedules
+      ADD CONSTRAINT universal_entertainment_schedules_performance_key UNIQUE (show_id, schedule_date, show_time);
+  END IF;
+END;
+$$;
@@ -0,0 +1,19 @@
+-- ============================================================
+-- 010: Notification outbox on the change log. A change is
+--      pending until notified_at is set, which happens once
+--      every sink meant for it has accepted it, so a run that
+--      crashes after its write or hits a failing sink leaves
+--      the change for the next run to deliver.
+-- ============================================================
+
+ALTER TABLE universal_schedule_changes
+  ADD COLUMN IF NOT EXISTS notified_at TIMESTAMPTZ;
+
+-- Changes logged before the outbox were notified (or dropped) by their run
+UPDATE universal_schedule_changes
+   SET notified_at = created_at
+ WHERE notified_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS universal_schedule_changes_pending_idx
+  ON universal_schedule_changes (id)
+  WHERE notified_at IS NULL;
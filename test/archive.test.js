@@ -0,0 +1,122 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const {
+  contentHash,
+  snapshotPath,
+  parseSnapshotPath,
+  createLocalArchiveStore,
+  listSnapshots,
+  archiveSnapshot,
+  pruneSnapshots,
+  decodeSnapshot,
+  readSnapshot
+} = require('../lib/archive');
+
+const SHOW = 'universal-studios-cinesational';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-archive-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function tempStore() {
+  return createLocalArchiveStore(fs.mkdtempSync(path.join(root, 'archive-')));
+}
+
+describe('snapshot paths', () => {
+  test('round-trips the show, fetch time and hash', () => {
+    const hash = contentHash('{"a":1}');
+    const objectPath = snapshotPath(SHOW, '2026-03-01T12:00:00.000Z', hash);
+    assert.equal(objectPath, `${SHOW}/2026-03-01T12-00-00-000Z-${hash.slice(0, 16)}.json.gz`);
+    assert.deepEqual(parseSnapshotPath(objectPath), {
+      path: objectPath,
+      show_id: SHOW,
+      fetched_at: '2026-03-01T12:00:00.000Z',
+      hash: hash.slice(0, 16)
+    });
+  });
+
+  test('ignores files that are not snapshots', () => {
+    assert.equal(parseSnapshotPath(`${SHOW}/notes.txt`), null);
+    assert.equal(parseSnapshotPath('2026-03-01T12-00-00-000Z-abcdef.json.gz'), null);
+  });
+});
+
+describe('archiveSnapshot', () => {
+  test('stores gzipped page text and reads it back', async () => {
+    const store = tempStore();
+    const text = '{"ComponentPresentations":[]}';
+    const archived = await archiveSnapshot(store, SHOW, text, { fetchedAt: new Date('2026-03-01T12:00:00Z') });
+
+    assert.equal(archived.skipped, false);
+    assert.equal(zlib.gunzipSync(await store.read(archived.path)).toString(), text);
+
+    const [listed] = await listSnapshots(store, SHOW);
+    const snapshot = await readSnapshot(store, listed);
+    assert.equal(snapshot.text, text);
+    assert.deepEqual(snapshot.data, { ComponentPresentations: [] });
+  });
+
+  test('skips a page identical to the latest snapshot', async () => {
+    const store = tempStore();
+    await archiveSnapshot(store, SHOW, '{"v":1}', { fetchedAt: new Date('2026-03-01T12:00:00Z') });
+    const again = await archiveSnapshot(store, SHOW, '{"v":1}', { fetchedAt: new Date('2026-03-02T12:00:00Z') });
+    const changed = await archiveSnapshot(store, SHOW, '{"v":2}', { fetchedAt: new Date('2026-03-03T12:00:00Z') });
+
+    assert.equal(again.skipped, true);
+    assert.equal(changed.skipped, false);
+    assert.equal((await listSnapshots(store, SHOW)).length, 2);
+  });
+
+  test('rejects a snapshot whose content does not match its hash', async () => {
+    const store = tempStore();
+    const archived = await archiveSnapshot(store, SHOW, '{"v":1}', { fetchedAt: new Date('2026-03-01T12:00:00Z') });
+    await store.write(archived.path, zlib.gzipSync('{"v":"tampered"}'));
+
+    const [listed] = await listSnapshots(store, SHOW);
+    await assert.rejects(readSnapshot(store, listed), /content hash/);
+  });
+});
+
+describe('listSnapshots', () => {
+  test('filters on the park-local fetch date, oldest first', async () => {
+    const store = tempStore();
+    await archiveSnapshot(store, SHOW, '{"v":3}', { fetchedAt: new Date('2026-03-03T15:00:00Z') });
+    await archiveSnapshot(store, SHOW, '{"v":1}', { fetchedAt: new Date('2026-03-01T15:00:00Z') });
+    // 02:00 UTC on March 3rd is still March 2nd in Orlando
+    await archiveSnapshot(store, SHOW, '{"v":2}', { fetchedAt: new Date('2026-03-03T02:00:00Z') });
+
+    const all = await listSnapshots(store, SHOW);
+    assert.deepEqual(all.map(s => s.fetched_at), [
+      '2026-03-01T15:00:00.000Z',
+      '2026-03-03T02:00:00.000Z',
+      '2026-03-03T15:00:00.000Z'
+    ]);
+
+    const ranged = await listSnapshots(store, SHOW, { from: '2026-03-02', to: '2026-03-02' });
+    assert.deepEqual(ranged.map(s => s.fetched_at), ['2026-03-03T02:00:00.000Z']);
+  });
+});
+
+describe('pruneSnapshots', () => {
+  test('removes expired snapshots but keeps the latest', async () => {
+    const store = tempStore();
+    await archiveSnapshot(store, SHOW, '{"v":1}', { fetchedAt: new Date('2026-01-01T12:00:00Z') });
+    await archiveSnapshot(store, SHOW, '{"v":2}', { fetchedAt: new Date('2026-01-02T12:00:00Z') });
+
+    const removed = await pruneSnapshots(store, SHOW, { retentionDays: 30, now: new Date('2026-06-01T00:00:00Z') });
+    assert.equal(removed.length, 1);
+    const remaining = await listSnapshots(store, SHOW);
+    assert.deepEqual(remaining.map(s => s.fetched_at), ['2026-01-02T12:00:00.000Z']);
+  });
+});
+
+describe('decodeSnapshot', () => {
+  test('accepts plain JSON as well as gzip', () => {
+    assert.deepEqual(decodeSnapshot(Buffer.from('{"a":1}')).data, { a: 1 });
+    assert.deepEqual(decodeSnapshot(zlib.gzipSync('{"a":1}')).data, { a: 1 });
+  });
+});
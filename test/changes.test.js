@@ -0,0 +1,204 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectChanges, findRemovedPerformances, formatDateRange, withIdempotencyKeys } = require('../lib/changes');
+
+const SHOW = { show_id: 'universal-studios-mega-movie-parade', show_name: 'Universal Mega Movie Parade' };
+
+function perf(schedule_date, show_time, status = 'SCHEDULED') {
+  return { schedule_date, show_time, status };
+}
+
+describe('detectChanges', () => {
+  test('reports nothing when the schedule is unchanged', () => {
+    const schedules = [perf('2026-03-07', '2:00 PM'), perf('2026-03-07', '5:00 PM')];
+    assert.deepEqual(detectChanges(SHOW, schedules, schedules), []);
+  });
+
+  test('reports a new date once, listing every showtime', () => {
+    const changes = detectChanges(SHOW, [perf('2026-03-07', '2:00 PM'), perf('2026-03-07', '5:00 PM')], []);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].severity, 'LOW');
+    assert.match(changes[0].change_description, /at 2:00 PM, 5:00 PM/);
+  });
+
+  test('reports a single moved performance as a time change', () => {
+    const changes = detectChanges(SHOW, [perf('2026-03-07', '9:00 PM')], [perf('2026-03-07', '8:30 PM')]);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].severity, 'MEDIUM');
+    assert.deepEqual(changes[0].old_value, { show_time: '8:30 PM' });
+    assert.deepEqual(changes[0].new_value, { show_time: '9:00 PM' });
+  });
+
+  test('reports an added performance on an existing date', () => {
+    const changes = detectChanges(
+      SHOW,
+      [perf('2026-03-07', '2:00 PM'), perf('2026-03-07', '5:00 PM')],
+      [perf('2026-03-07', '2:00 PM')]
+    );
+    assert.equal(changes.length, 1);
+    assert.match(changes[0].change_description, /^Performance added/);
+    assert.equal(changes[0].severity, 'LOW');
+  });
+
+  test('reports a cancelled performance on an existing date', () => {
+    const changes = detectChanges(
+      SHOW,
+      [perf('2026-03-07', '2:00 PM')],
+      [perf('2026-03-07', '2:00 PM'), perf('2026-03-07', '5:00 PM')]
+    );
+    assert.equal(changes.length, 1);
+    assert.match(changes[0].change_description, /^Performance cancelled/);
+    assert.equal(changes[0].severity, 'HIGH');
+  });
+
+  test('reports a status change on the same performance', () => {
+    const changes = detectChanges(SHOW, [perf('2026-03-07', '2:00 PM', 'SCHEDULED')], [perf('2026-03-07', '2:00 PM', 'TENTATIVE')]);
+    assert.equal(changes.length, 1);
+    assert.deepEqual(changes[0].new_value, { show_time: '2:00 PM', status: 'SCHEDULED' });
+  });
+
+  test('reports a removed date and ignores rows already cancelled', () => {
+    const changes = detectChanges(SHOW, [], [perf('2026-03-07', '2:00 PM'), perf('2026-03-08', '2:00 PM', 'CANCELLED')]);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].change_date, '2026-03-07');
+    assert.equal(changes[0].severity, 'HIGH');
+  });
+});
+
+describe('detectChanges grouping and severity', () => {
+  const dates = (from, count) => Array.from({ length: count }, (_, i) => {
+    const d = new Date(`${from}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + i);
+    return d.toISOString().slice(0, 10);
+  });
+
+  test('folds a season-wide time change into one event', () => {
+    const season = dates('2026-03-01', 61);
+    const changes = detectChanges(
+      SHOW,
+      season.map(d => perf(d, '9:00 PM')),
+      season.map(d => perf(d, '8:30 PM')),
+      { today: '2026-02-20' }
+    );
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].change_kind, 'TIME_CHANGED');
+    assert.equal(changes[0].change_date, '2026-03-01');
+    assert.match(changes[0].change_description, /from 8:30 PM to 9:00 PM for Mar 1–Apr 30 \(61 dates\)/);
+    assert.equal(changes[0].new_value.dates.length, 61);
+  });
+
+  test('reports dates past the old last date as a season extension', () => {
+    const existing = dates('2026-03-01', 10).map(d => perf(d, '8:30 PM'));
+    const extension = dates('2026-03-11', 5).map(d => perf(d, '8:30 PM'));
+    const changes = detectChanges(SHOW, [...existing, ...extension], existing, { today: '2026-02-20' });
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].change_kind, 'SEASON_EXTENDED');
+    assert.match(changes[0].change_description, /now runs through Mar 15/);
+    assert.deepEqual(changes[0].old_value, { last_date: '2026-03-10' });
+  });
+
+  test('keeps short runs as per-date changes', () => {
+    const changes = detectChanges(
+      SHOW,
+      [perf('2026-03-07', '9:00 PM'), perf('2026-03-08', '9:00 PM')],
+      [perf('2026-03-07', '8:30 PM'), perf('2026-03-08', '8:30 PM')],
+      { today: '2026-02-20' }
+    );
+    assert.equal(changes.length, 2);
+  });
+
+  test('treats TENTATIVE → SCHEDULED as a confirmation', () => {
+    const changes = detectChanges(SHOW, [perf('2026-03-07', '2:00 PM')], [perf('2026-03-07', '2:00 PM', 'TENTATIVE')], { today: '2026-03-06' });
+    assert.equal(changes[0].change_kind, 'CONFIRMED');
+    assert.equal(changes[0].severity, 'LOW');
+    assert.match(changes[0].change_description, /^Performance confirmed/);
+  });
+
+  test('scales severity with how soon the date is', () => {
+    const moved = today => detectChanges(SHOW, [perf('2026-03-07', '9:00 PM')], [perf('2026-03-07', '8:30 PM')], { today })[0].severity;
+    assert.equal(moved('2026-03-06'), 'HIGH');
+    assert.equal(moved('2026-02-20'), 'MEDIUM');
+    assert.equal(moved('2026-01-01'), 'LOW');
+  });
+
+  test('a summary takes the highest member severity', () => {
+    const season = dates('2026-03-01', 40);
+    const changes = detectChanges(SHOW, season.map(d => perf(d, '9:00 PM')), season.map(d => perf(d, '8:30 PM')), { today: '2026-02-28' });
+    assert.equal(changes[0].severity, 'HIGH');
+  });
+});
+
+describe('formatDateRange', () => {
+  test('adds years only when the range crosses one', () => {
+    assert.equal(formatDateRange('2026-03-01', '2026-04-30'), 'Mar 1–Apr 30');
+    assert.equal(formatDateRange('2026-12-20', '2027-01-03'), 'Dec 20, 2026–Jan 3, 2027');
+  });
+});
+
+describe('detectChanges with park hours', () => {
+  const hours = new Map([
+    ['2026-03-07', { schedule_date: '2026-03-07', hours_label: '9:00 AM - 8:00 PM', is_closed: false, closes_at: '2026-03-08T01:00:00.000Z' }],
+    ['2026-03-08', { schedule_date: '2026-03-08', hours_label: 'Closed', is_closed: true, closes_at: null }]
+  ]);
+  const timed = (date, time, startsAt, extra = {}) => ({ ...perf(date, time), show_starts_at: startsAt, ...extra });
+
+  test('flags a performance after park close', () => {
+    const late = timed('2026-03-07', '9:00 PM', '2026-03-08T02:00:00.000Z');
+    const changes = detectChanges(SHOW, [late], [perf('2026-03-07', '9:00 PM')], { parkHours: hours });
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].severity, 'MEDIUM');
+    assert.match(changes[0].change_description, /^Scheduled after park close/);
+    assert.equal(changes[0].new_value.hours_conflict, 'AFTER_CLOSE');
+  });
+
+  test('flags a performance on a closed park day', () => {
+    const changes = detectChanges(SHOW, [timed('2026-03-08', '7:00 PM', '2026-03-08T23:00:00.000Z')], [], { parkHours: hours });
+    assert.ok(changes.some(c => c.new_value?.hours_conflict === 'PARK_CLOSED'));
+  });
+
+  test('does not repeat a clash already recorded on the stored row', () => {
+    const late = timed('2026-03-07', '9:00 PM', '2026-03-08T02:00:00.000Z');
+    const stored = { ...perf('2026-03-07', '9:00 PM'), hours_conflict: 'AFTER_CLOSE' };
+    assert.deepEqual(detectChanges(SHOW, [late], [stored], { parkHours: hours }), []);
+  });
+
+  test('ignores performances within hours', () => {
+    const early = timed('2026-03-07', '7:00 PM', '2026-03-08T00:00:00.000Z');
+    assert.deepEqual(detectChanges(SHOW, [early], [perf('2026-03-07', '7:00 PM')], { parkHours: hours }), []);
+  });
+
+  test('softens a removed date when the park is closed that day', () => {
+    const changes = detectChanges(SHOW, [], [perf('2026-03-08', '7:00 PM')], { parkHours: hours });
+    assert.equal(changes[0].severity, 'MEDIUM');
+    assert.match(changes[0].change_description, /park closed that day/);
+  });
+});
+
+describe('findRemovedPerformances', () => {
+  test('returns live rows missing from the new schedule', () => {
+    const removed = findRemovedPerformances(
+      [perf('2026-03-07', '2:00 PM')],
+      [perf('2026-03-07', '2:00 PM'), perf('2026-03-07', '5:00 PM'), perf('2026-03-08', '2:00 PM', 'CANCELLED')]
+    );
+    assert.deepEqual(removed, [perf('2026-03-07', '5:00 PM')]);
+  });
+});
+
+describe('withIdempotencyKeys', () => {
+  const existing = [{ schedule_date: '2026-03-07', show_time: '8:30 PM', status: 'SCHEDULED' }];
+  const change = { entity_id: SHOW.show_id, change_type: 'ENTERTAINMENT', change_date: '2026-03-07', new_value: { time: '9:00 PM' } };
+
+  test('gives the same change against the same stored state the same key', () => {
+    const [a] = withIdempotencyKeys([change], existing);
+    const [b] = withIdempotencyKeys([{ ...change }], [...existing].reverse());
+    assert.match(a.idempotency_key, /^[0-9a-f]{64}$/);
+    assert.equal(a.idempotency_key, b.idempotency_key);
+  });
+
+  test('gives a new key once the stored state has moved on', () => {
+    const [a] = withIdempotencyKeys([change], existing);
+    const [b] = withIdempotencyKeys([change], [{ ...existing[0], status: 'CANCELLED' }]);
+    assert.notEqual(a.idempotency_key, b.idempotency_key);
+  });
+});
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const { parseCommand, positiveInteger, selectShows, formatTable } = require('../lib/cli');
+
+describe('parseCommand', () => {
+  test('defaults to collect', () => {
+    assert.deepEqual(parseCommand([]), { command: 'collect', target: null, shows: [], unexpected: [] });
+    assert.equal(parseCommand(['--storage=json']).command, 'collect');
+    assert.equal(parseCommand(['--storage', 'json', '--force']).command, 'collect');
+  });
+
+  test('finds the command after options and their values', () => {
+    assert.equal(parseCommand(['--storage', 'json', 'status']).command, 'status');
+    assert.equal(parseCommand(['--storage=json', '--dry-run', 'status']).command, 'status');
+    assert.deepEqual(parseCommand(['--storage', 'json', 'inspect', 'parade', '--log-format', 'json']), {
+      command: 'inspect',
+      target: 'parade',
+      shows: [],
+      unexpected: []
+    });
+  });
+
+  test('returns positionals no command takes', () => {
+    assert.deepEqual(parseCommand(['status', 'extra']).unexpected, ['extra']);
+    assert.deepEqual(parseCommand(['diff', 'a', '--show', 'b']).unexpected, ['a']);
+    assert.deepEqual(parseCommand(['inspect', 'a', 'b']).unexpected, ['b']);
+  });
+
+  test('reads the command, its target and repeated or comma-separated --show ids', () => {
+    assert.deepEqual(parseCommand(['inspect', 'https://example.com/page.json']), {
+      command: 'inspect',
+      target: 'https://example.com/page.json',
+      shows: [],
+      unexpected: []
+    });
+    assert.deepEqual(parseCommand(['collect', '--show', 'a', '--show=b,c']).shows, ['a', 'b', 'c']);
+    assert.deepEqual(parseCommand(['diff', '--show', 'a']), { command: 'diff', target: null, shows: ['a'], unexpected: [] });
+  });
+
+  test('--help wins over the command', () => {
+    assert.equal(parseCommand(['status', '--help']).command, 'help');
+  });
+});
+
+describe('positiveInteger', () => {
+  test('accepts positive whole numbers', () => {
+    assert.equal(positiveInteger('--concurrency', '4'), 4);
+    assert.equal(positiveInteger('--concurrency', ' 1 '), 1);
+  });
+
+  test('rejects anything else', () => {
+    for (const value of ['abc', '0', '-2', '2.5', '', undefined]) {
+      assert.throws(() => positiveInteger('--concurrency', value), /--concurrency must be a positive whole number/);
+    }
+  });
+
+  test('stops the collector before it runs', () => {
+    const script = path.join(__dirname, '..', 'collect-universal-entertainment.js');
+    const result = spawnSync(process.execPath, [script, '--concurrency=abc', '--storage=json', 'status'], { encoding: 'utf8', timeout: 20000 });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /ERROR: --concurrency must be a positive whole number \(got "abc"\)/);
+  });
+});
+
+describe('selectShows', () => {
+  const tracked = [{ show_id: 'a' }, { show_id: 'b' }];
+
+  test('returns the named shows', () => {
+    assert.deepEqual(selectShows(tracked, ['b']), [{ show_id: 'b' }]);
+  });
+
+  test('rejects ids that are not tracked', () => {
+    assert.throws(() => selectShows(tracked, ['b', 'x', 'y']), /Unknown shows: x, y/);
+  });
+});
+
+describe('formatTable', () => {
+  test('pads columns to the widest cell', () => {
+    const lines = formatTable([{ id: 'parade', n: 12 }, { id: 'a', n: null }], [['SHOW', r => r.id], ['N', r => r.n]]);
+    assert.deepEqual(lines, [
+      'SHOW    N',
+      '------  --',
+      'parade  12',
+      'a'
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  findCalendarConfig,
+  locateCalendarConfig,
+  findValueByKey,
+  extractBlockInfo,
+  parseCalendarConfig,
+  checkTemporarilyClosed,
+  performanceKey
+} = require('../lib/cms');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+function parseFixture(name) {
+  return parseCalendarConfig(findCalendarConfig(loadFixture(name)));
+}
+
+describe('findCalendarConfig', () => {
+  test('finds calendarConfig under Component.Fields', () => {
+    const config = findCalendarConfig(loadFixture('embedded-values.json'));
+    assert.equal(config.Name, 'calendarConfig');
+    assert.equal(config.EmbeddedValues.length, 2);
+  });
+
+  test('skips MetadataFields copies of calendarConfig', () => {
+    const config = findCalendarConfig(loadFixture('fields-wrapped-eyebrow.json'));
+    assert.equal(config.EmbeddedValues.length, 1);
+  });
+
+  test('returns null when the page has no calendar', () => {
+    assert.equal(findCalendarConfig(loadFixture('temporarily-closed.json')), null);
+  });
+
+  test('reports the path the calendarConfig was found at', () => {
+    const found = locateCalendarConfig(loadFixture('embedded-values.json'));
+    assert.equal(found.path, 'ComponentPresentations[1].Component.Fields.calendarConfig');
+    assert.equal(found.config.Name, 'calendarConfig');
+  });
+});
+
+describe('findValueByKey', () => {
+  test('finds a nested key inside arrays and objects', () => {
+    const obj = { a: [{ b: { eyebrow: { Values: ['7:00 PM'] } } }] };
+    assert.deepEqual(findValueByKey(obj, 'eyebrow'), { Values: ['7:00 PM'] });
+  });
+
+  test('returns null when the key is missing', () => {
+    assert.equal(findValueByKey({ a: { b: 1 } }, 'eyebrow'), null);
+  });
+});
+
+describe('extractBlockInfo', () => {
+  test('reads eyebrow and style directly on the block', () => {
+    const blockData = {
+      EmbeddedValues: [{ eyebrow: { Values: ['8:30 PM'] }, style: { Values: ['Active Style'] } }]
+    };
+    assert.deepEqual(extractBlockInfo(blockData), [{ showTime: '8:30 PM', isTentative: false }]);
+  });
+
+  test('reads eyebrow and style nested under Fields', () => {
+    const blockData = {
+      LinkedComponentValues: [{ Fields: { eyebrow: { Values: ['7:00 PM'] }, style: { Values: ['Disabled Style'] } } }]
+    };
+    assert.deepEqual(extractBlockInfo(blockData), [{ showTime: '7:00 PM', isTentative: true }]);
+  });
+
+  test('returns one performance per block entry', () => {
+    const blockData = {
+      EmbeddedValues: [
+        { eyebrow: { Values: ['2:00 PM'] } },
+        { eyebrow: { Values: ['5:00 PM'] } }
+      ]
+    };
+    assert.deepEqual(extractBlockInfo(blockData).map(p => p.showTime), ['2:00 PM', '5:00 PM']);
+  });
+
+  test('keeps block entries that share a time but differ in style', () => {
+    const blockData = {
+      EmbeddedValues: [
+        { eyebrow: { Values: ['5:00 PM'] }, style: { Values: ['Active Style'] } },
+        { eyebrow: { Values: ['5:00 PM'] }, style: { Values: ['Disabled Style'] } },
+        { eyebrow: { Values: ['5:00 PM'] }, style: { Values: ['Active Style'] } }
+      ]
+    };
+    assert.deepEqual(extractBlockInfo(blockData), [
+      { showTime: '5:00 PM', isTentative: false },
+      { showTime: '5:00 PM', isTentative: true }
+    ]);
+  });
+
+  test('falls back to a recursive search for the eyebrow', () => {
+    const blockData = { Wrapper: { deeper: { eyebrow: { Value: '9:00 PM' } } } };
+    assert.deepEqual(extractBlockInfo(blockData), [{ showTime: '9:00 PM', isTentative: false }]);
+  });
+
+  test('reports Unknown when there is no block data', () => {
+    assert.deepEqual(extractBlockInfo(undefined), [{ showTime: 'Unknown', isTentative: false }]);
+  });
+});
+
+describe('parseCalendarConfig', () => {
+  test('EmbeddedValues variant', () => {
+    const schedules = parseFixture('embedded-values.json');
+    assert.deepEqual(schedules.map(s => [s.schedule_date, s.show_time, s.status]), [
+      ['2026-03-01', '8:30 PM', 'SCHEDULED'],
+      ['2026-03-02', '8:30 PM', 'SCHEDULED'],
+      ['2026-03-03', '8:30 PM', 'SCHEDULED'],
+      ['2026-03-06', '9:00 PM', 'SCHEDULED']
+    ]);
+  });
+
+  test('LinkedComponentValues variant with several showtimes per day', () => {
+    const schedules = parseFixture('linked-component-values.json');
+    assert.deepEqual(schedules.map(s => [s.schedule_date, s.show_time]), [
+      ['2026-03-07', '2:00 PM'],
+      ['2026-03-07', '5:00 PM'],
+      ['2026-03-08', '2:00 PM'],
+      ['2026-03-08', '5:00 PM']
+    ]);
+  });
+
+  test('gives each showtime on a date its own performance key', () => {
+    const schedules = parseFixture('linked-component-values.json');
+    const keys = schedules.map(s => performanceKey(s.schedule_date, s.show_time));
+    assert.equal(new Set(keys).size, schedules.length);
+    assert.ok(keys.includes('2026-03-07|2:00 PM') && keys.includes('2026-03-07|5:00 PM'));
+  });
+
+  test('derives park-local and UTC start times from the eyebrow', () => {
+    const [first] = parseFixture('embedded-values.json');
+    assert.equal(first.show_time, '8:30 PM');
+    assert.equal(first.show_time_local, '20:30');
+    assert.equal(first.show_starts_at, '2026-03-02T01:30:00.000Z');
+  });
+
+  test('Fields-wrapped eyebrow variant', () => {
+    const schedules = parseFixture('fields-wrapped-eyebrow.json');
+    assert.deepEqual(schedules.map(s => [s.schedule_date, s.show_time, s.status]), [
+      ['2026-02-07', '7:00 PM', 'SCHEDULED'],
+      ['2026-02-14', '7:00 PM', 'SCHEDULED']
+    ]);
+  });
+
+  test('"Disabled Style" marks dates as tentative', () => {
+    const schedules = parseFixture('disabled-style.json');
+    assert.deepEqual(schedules.map(s => [s.schedule_date, s.status, s.is_available]), [
+      ['2026-04-01', 'SCHEDULED', true],
+      ['2026-04-02', 'TENTATIVE', false],
+      ['2026-04-03', 'TENTATIVE', false]
+    ]);
+  });
+
+  test('returns nothing when entries are not iterable', () => {
+    assert.deepEqual(parseCalendarConfig({ Name: 'calendarConfig' }), []);
+  });
+});
+
+describe('checkTemporarilyClosed', () => {
+  test('detects the "Temporarily Closed" feature description', () => {
+    assert.equal(checkTemporarilyClosed(loadFixture('temporarily-closed.json')), true);
+  });
+
+  test('returns false for a page with a calendar', () => {
+    assert.equal(checkTemporarilyClosed(loadFixture('embedded-values.json')), false);
+  });
+
+  test('detects the Spanish site\'s wording', () => {
+    const page = JSON.parse(JSON.stringify(loadFixture('temporarily-closed.json')).replace(/Temporarily Closed/gi, 'Cerrado temporalmente'));
+    assert.equal(checkTemporarilyClosed(page), true);
+  });
+});
+
+describe('parseCalendarConfig across destinations and locales', () => {
+  test('normalizes es/us eyebrows to the English show_time', () => {
+    const schedules = parseCalendarConfig(findCalendarConfig(loadFixture('es-us-calendar.json')), 'America/New_York', { locale: 'es/us' });
+    assert.deepEqual(schedules.map(s => [s.schedule_date, s.show_time, s.status]), [
+      ['2026-03-07', '2:00 PM', 'SCHEDULED'],
+      ['2026-03-07', '5:00 PM', 'TENTATIVE'],
+      ['2026-03-08', '12:00 PM', 'SCHEDULED']
+    ]);
+  });
+
+  test('keeps English eyebrows as published', () => {
+    const config = { EmbeddedValues: [{ eventDates: { DateTimeValues: ['2026-03-07T00:00:00'] }, blockData: { EmbeddedValues: [{ eyebrow: { Values: ['Noon'] } }] } }] };
+    assert.equal(parseCalendarConfig(config)[0].show_time, 'Noon');
+  });
+
+  test('derives Hollywood start times in Pacific time', () => {
+    const schedules = parseCalendarConfig(findCalendarConfig(loadFixture('hollywood-calendar.json')), 'America/Los_Angeles');
+    assert.equal(schedules[0].show_time, '9:00 PM');
+    assert.equal(schedules[0].show_starts_at, '2026-07-05T04:00:00.000Z');
+  });
+});
@@ -0,0 +1,42 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PARK_NAMES, resolveShowLocale, cmsBase, timeZoneForPark, acceptLanguage } = require('../lib/destinations');
+
+describe('resolveShowLocale', () => {
+  test('reads the destination and locale from the cms_url', () => {
+    assert.deepEqual(
+      resolveShowLocale({ cms_url: 'https://www.universalstudioshollywood.com/webdata/k2/es/us/things-to-do/shows/x/index.html' }),
+      { destination: 'hollywood', locale: 'es/us', timeZone: 'America/Los_Angeles' }
+    );
+  });
+
+  test('prefers the show config and falls back to Orlando in English', () => {
+    assert.deepEqual(
+      resolveShowLocale({ destination: 'hollywood', cms_url: 'http://127.0.0.1:8080/page.json' }),
+      { destination: 'hollywood', locale: 'en/us', timeZone: 'America/Los_Angeles' }
+    );
+    assert.deepEqual(resolveShowLocale({ cms_url: 'not a url' }), { destination: 'orlando', locale: 'en/us', timeZone: 'America/New_York' });
+  });
+});
+
+describe('cmsBase', () => {
+  test('builds the page-model root from the destination host and locale', () => {
+    assert.equal(cmsBase(), 'https://www.universalorlando.com/webdata/k2/en/us');
+    assert.equal(cmsBase('hollywood', 'es/us'), 'https://www.universalstudioshollywood.com/webdata/k2/es/us');
+  });
+});
+
+describe('timeZoneForPark', () => {
+  test('uses the timezone of the park\'s destination', () => {
+    assert.equal(timeZoneForPark(PARK_NAMES.USH), 'America/Los_Angeles');
+    assert.equal(timeZoneForPark(PARK_NAMES.EPIC), 'America/New_York');
+  });
+});
+
+describe('acceptLanguage', () => {
+  test('maps a CMS locale to an Accept-Language header', () => {
+    assert.equal(acceptLanguage('es/us'), 'es-US,es;q=0.9');
+    assert.equal(acceptLanguage(), 'en-US,en;q=0.9');
+  });
+});
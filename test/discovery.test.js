@@ -0,0 +1,111 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  listingUrl,
+  toPageModelUrl,
+  extractListingLinks,
+  inferShowType,
+  discoverShows
+} = require('../lib/discovery');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+const CMS = 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do';
+const TRACKED = {
+  show_id: 'universal-studios-cinesational',
+  cms_url: `${CMS}/shows/cinesational-symphonic-spectacular/index.html`
+};
+
+describe('extractListingLinks', () => {
+  test('normalizes public links to page-model URLs and drops the listing root', () => {
+    assert.deepEqual(extractListingLinks(loadFixture('listing-shows.json')), [
+      `${CMS}/shows/cinesational-symphonic-spectacular/index.html`,
+      `${CMS}/shows/epic-nighttime-spectacular/index.html`,
+      `${CMS}/shows/animal-actors-on-location/index.html`
+    ]);
+  });
+
+  test('toPageModelUrl accepts page-model URLs unchanged', () => {
+    assert.equal(toPageModelUrl('things-to-do/events/mardi-gras/parade/index.html'), `${CMS}/events/mardi-gras/parade/index.html`);
+  });
+});
+
+describe('inferShowType', () => {
+  test('uses keywords from the title and URL', () => {
+    assert.equal(inferShowType('Universal Mardi Gras Parade', ''), 'PARADE');
+    assert.equal(inferShowType('The Nighttime Lights at Hogwarts Castle', ''), 'PROJECTION_SHOW');
+    assert.equal(inferShowType('Epic Nighttime Spectacular', ''), 'NIGHTTIME_SHOW');
+    assert.equal(inferShowType('Animal Actors On Location!', ''), 'STAGE_SHOW');
+  });
+});
+
+describe('discoverShows', () => {
+  test('proposes untracked calendar pages and reports unresolved tracked URLs', async () => {
+    const calendarPage = loadFixture('embedded-values.json');
+    const pages = {
+      [listingUrl('shows')]: loadFixture('listing-shows.json'),
+      [`${CMS}/shows/epic-nighttime-spectacular/index.html`]: {
+        ...calendarPage,
+        Title: 'Epic Nighttime Spectacular',
+        ComponentPresentations: [
+          ...calendarPage.ComponentPresentations,
+          { Component: { Fields: { park: { Values: ['Epic Universe'] } } } }
+        ]
+      },
+      [`${CMS}/shows/animal-actors-on-location/index.html`]: { Title: 'Animal Actors On Location!', ComponentPresentations: [] }
+    };
+    const fetchPage = async url => {
+      if (!pages[url]) throw new Error('CMS fetch failed: 404 Not Found');
+      return pages[url];
+    };
+
+    const result = await discoverShows([TRACKED], { fetchPage, destinations: ['orlando'] });
+
+    assert.deepEqual(result.candidates, [{
+      show_id: 'epic-universe-epic-nighttime-spectacular',
+      show_name: 'Epic Nighttime Spectacular',
+      park_name: 'Universal Epic Universe',
+      show_type: 'NIGHTTIME_SHOW',
+      cms_url: `${CMS}/shows/epic-nighttime-spectacular/index.html`,
+      needs_review: false
+    }]);
+    assert.equal(result.checkedPages, 2);
+    assert.deepEqual(result.unresolved.map(u => u.show_id), ['universal-studios-cinesational']);
+    assert.deepEqual(result.listingErrors.map(e => e.url), [listingUrl('entertainment'), listingUrl('events')]);
+  });
+
+  test('walks the Hollywood listings too', async () => {
+    const base = 'https://www.universalstudioshollywood.com/webdata/k2/en/us';
+    const calendarPage = loadFixture('embedded-values.json');
+    const pages = {
+      [listingUrl('shows', base)]: { Fields: { link: { Values: ['/web/en/us/things-to-do/shows/waterworld'] } } },
+      [`${base}/things-to-do/shows/waterworld/index.html`]: {
+        ...calendarPage,
+        Title: 'WaterWorld',
+        ComponentPresentations: [
+          ...calendarPage.ComponentPresentations,
+          { Component: { Fields: { park: { Values: ['Universal Studios Hollywood'] } } } }
+        ]
+      }
+    };
+    const requested = [];
+    const fetchPage = async (url, options) => {
+      requested.push([url, options.locale]);
+      if (!pages[url]) throw new Error('CMS fetch failed: 404 Not Found');
+      return pages[url];
+    };
+
+    const result = await discoverShows([], { fetchPage });
+
+    assert.deepEqual(result.candidates.map(c => [c.show_id, c.park_name, c.cms_url]), [
+      ['universal-studios-hollywood-waterworld', 'Universal Studios Hollywood', `${base}/things-to-do/shows/waterworld/index.html`]
+    ]);
+    assert.ok(requested.some(([url]) => url === listingUrl('shows')));
+    assert.ok(requested.every(([, locale]) => locale === 'en/us'));
+  });
+});
@@ -0,0 +1,165 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { scratchDir, seededStore } = require('./helpers');
+const { validateNotices, planDisruption, ingestDisruptions, createDisruptionFeed } = require('../lib/disruptions');
+
+const FEED = path.join(__dirname, 'fixtures', 'disruption-feed.json');
+const CINESATIONAL = {
+  show_id: 'universal-studios-cinesational',
+  show_name: 'CineSational: A Symphonic Spectacular',
+  park_name: 'Universal Studios Florida'
+};
+const PARADE = { show_id: 'usf-mardi-gras-parade', show_name: 'Universal Mardi Gras Parade', park_name: 'Universal Studios Florida' };
+const SHOWS = [CINESATIONAL, PARADE];
+const NOW = '2026-03-07T23:15:00.000Z';
+
+const root = scratchDir('collector-disruptions-');
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const SEED = {
+  schedules: [
+    { show_id: CINESATIONAL.show_id, park_name: CINESATIONAL.park_name, schedule_date: '2026-03-07', show_time: '8:30 PM', status: 'SCHEDULED' },
+    { show_id: PARADE.show_id, park_name: PARADE.park_name, schedule_date: '2026-03-07', show_time: '2:00 PM', status: 'SCHEDULED' },
+    { show_id: PARADE.show_id, park_name: PARADE.park_name, schedule_date: '2026-03-07', show_time: '5:00 PM', status: 'SCHEDULED' }
+  ]
+};
+
+function cancel(fields = {}) {
+  return { show_id: CINESATIONAL.show_id, schedule_date: '2026-03-07', show_time: '8:30 PM', type: 'cancelled', reason: 'weather', ...fields };
+}
+
+describe('validateNotices', () => {
+  test('normalizes type and reason', () => {
+    const { valid: [notice] } = validateNotices([cancel()]);
+    assert.equal(notice.type, 'CANCELLED');
+    assert.equal(notice.reason, 'WEATHER');
+    assert.equal(notice.delay_minutes, null);
+  });
+
+  test('lists every problem with a notice at once', () => {
+    const { valid, invalid } = validateNotices([{ show_id: 'a', schedule_date: 'today', type: 'DELAYED', reason: 'rain' }]);
+    assert.deepEqual(valid, []);
+    assert.equal(invalid[0].notice, '#0 (a)');
+    assert.match(invalid[0].error, /schedule_date must be "YYYY-MM-DD"/);
+    assert.match(invalid[0].error, /reason must be one of WEATHER, OPERATIONAL, OTHER/);
+    assert.match(invalid[0].error, /DELAYED needs delay_minutes/);
+  });
+
+  test('keeps the valid notices of a mixed feed', () => {
+    const { valid, invalid } = validateNotices([cancel(), null, cancel({ type: 'POSTPONED' }), cancel({ show_time: '9:00 PM' })]);
+    assert.deepEqual(valid.map(n => n.show_time), ['8:30 PM', '9:00 PM']);
+    assert.deepEqual(invalid.map(i => i.notice), ['#1', `#2 (${CINESATIONAL.show_id})`]);
+  });
+
+  test('throws when the feed is not a list', () => {
+    assert.throws(() => validateNotices({ show_id: 'a' }), /must be a JSON array/);
+  });
+});
+
+describe('planDisruption', () => {
+  const { valid: [notice] } = validateNotices([cancel({ note: 'Lightning' })]);
+
+  test('annotates the performance and describes the change', () => {
+    const { rows, change } = planDisruption(CINESATIONAL, notice, ['8:30 PM'], [], NOW);
+    assert.equal(rows[0].disruption_type, 'CANCELLED');
+    assert.equal(rows[0].source, 'manual');
+    assert.equal(change.change_type, 'DISRUPTION');
+    assert.equal(change.change_kind, 'DISRUPTION_CANCELLED');
+    assert.equal(change.severity, 'HIGH');
+    assert.equal(change.change_description, 'CineSational: A Symphonic Spectacular cancelled on 2026-03-07 at 8:30 PM (weather: Lightning)');
+  });
+
+  test('says nothing for a notice already recorded', () => {
+    const { rows } = planDisruption(CINESATIONAL, notice, ['8:30 PM'], [], NOW);
+    assert.deepEqual(planDisruption(CINESATIONAL, notice, ['8:30 PM'], rows, NOW), { rows: [], change: null });
+  });
+
+  test('clears an active annotation', () => {
+    const { rows } = planDisruption(CINESATIONAL, notice, ['8:30 PM'], [], NOW);
+    const { valid: [clear] } = validateNotices([cancel({ type: 'CLEARED', reason: undefined })]);
+    const cleared = planDisruption(CINESATIONAL, clear, ['8:30 PM'], rows, '2026-03-07T23:40:00.000Z');
+    assert.equal(cleared.rows[0].cleared_at, '2026-03-07T23:40:00.000Z');
+    assert.equal(cleared.change.change_kind, 'DISRUPTION_CLEARED');
+    assert.equal(cleared.change.old_value.disruptions[0].disruption_type, 'CANCELLED');
+  });
+});
+
+describe('ingestDisruptions', () => {
+  test('annotates stored performances and logs each change once', async () => {
+    const { dir, store } = await seededStore(root, SEED);
+    const notices = await createDisruptionFeed(FEED).fetchNotices();
+
+    const first = await ingestDisruptions(store, SHOWS, notices, { now: NOW });
+    assert.equal(first.annotated, 3);
+    assert.deepEqual(first.changes.map(c => c.change_kind), ['DISRUPTION_CANCELLED', 'DISRUPTION_DELAYED']);
+    assert.equal(first.changes[1].change_description, 'Universal Mardi Gras Parade delayed 30 minutes on 2026-03-07 at 2:00 PM, 5:00 PM (operational)');
+
+    const again = await ingestDisruptions(store, SHOWS, notices, { now: NOW });
+    assert.equal(again.changes.length, 0);
+
+    const logged = JSON.parse(fs.readFileSync(path.join(dir, 'universal_schedule_changes.json'), 'utf8'));
+    assert.equal(logged.length, 2);
+    const stored = await store.fetchDisruptions({ parkName: 'Universal Studios Florida', from: '2026-03-07', to: '2026-03-07' });
+    assert.deepEqual(stored.map(d => d.source), [`file:${FEED}`, `file:${FEED}`, `file:${FEED}`]);
+  });
+
+  test('leaves the CMS schedule rows alone', async () => {
+    const { store } = await seededStore(root, SEED);
+    await ingestDisruptions(store, SHOWS, [cancel()], { now: NOW });
+    const [row] = await store.fetchSchedules(CINESATIONAL.show_id);
+    assert.equal(row.status, 'SCHEDULED');
+  });
+
+  test('logs a second cancellation after a clear', async () => {
+    const { store } = await seededStore(root, SEED);
+    await ingestDisruptions(store, SHOWS, [cancel()], { now: NOW });
+    await ingestDisruptions(store, SHOWS, [cancel({ type: 'CLEARED' })], { now: '2026-03-07T23:30:00.000Z' });
+    const again = await ingestDisruptions(store, SHOWS, [cancel()], { now: '2026-03-07T23:50:00.000Z' });
+    assert.equal(again.changes.length, 1);
+  });
+
+  test('applies the valid notices of a mixed feed and reports the rest', async () => {
+    const { store } = await seededStore(root, SEED);
+    const { annotated, changes, errors } = await ingestDisruptions(store, SHOWS, [cancel(), cancel({ reason: 'aliens' })], { now: NOW });
+    assert.equal(annotated, 1);
+    assert.deepEqual(changes.map(c => c.change_kind), ['DISRUPTION_CANCELLED']);
+    assert.deepEqual(errors, [{ notice: `#1 (${CINESATIONAL.show_id})`, error: 'reason must be one of WEATHER, OPERATIONAL, OTHER' }]);
+  });
+
+  test('a feed does not reopen a notice cleared by hand unless it updated the notice since', async () => {
+    const { store } = await seededStore(root, SEED);
+    const fromFeed = fields => cancel({ source: 'file:feed.json', updated_at: '2026-03-07T23:10:00Z', ...fields });
+    await ingestDisruptions(store, SHOWS, [fromFeed()], { now: NOW });
+    await ingestDisruptions(store, SHOWS, [cancel({ type: 'CLEARED', source: 'manual' })], { now: '2026-03-07T23:30:00.000Z' });
+
+    const resent = await ingestDisruptions(store, SHOWS, [fromFeed()], { now: '2026-03-07T23:45:00.000Z' });
+    assert.equal(resent.changes.length, 0);
+    const [row] = await store.fetchDisruptions({ showId: CINESATIONAL.show_id });
+    assert.equal(row.cleared_at, '2026-03-07T23:30:00.000Z');
+
+    const updated = await ingestDisruptions(store, SHOWS, [fromFeed({ updated_at: '2026-03-07T23:40:00Z' })], { now: '2026-03-07T23:50:00.000Z' });
+    assert.equal(updated.changes.length, 1);
+    assert.equal((await store.fetchDisruptions({ showId: CINESATIONAL.show_id }))[0].cleared_at, null);
+  });
+
+  test('reports notices it cannot place', async () => {
+    const { store } = await seededStore(root, SEED);
+    const { errors } = await ingestDisruptions(store, SHOWS, [cancel({ show_id: 'nope' }), cancel({ show_time: '9:00 PM' })], { now: NOW });
+    assert.deepEqual(errors.map(e => e.error), ['Unknown show "nope"', 'No stored performance to annotate']);
+  });
+});
+
+describe('createDisruptionFeed', () => {
+  test('picks the adapter from the source', () => {
+    assert.equal(createDisruptionFeed(''), null);
+    assert.equal(createDisruptionFeed(FEED).name, `file:${FEED}`);
+    assert.equal(createDisruptionFeed('https://example.com/notices.json').name, 'http:https://example.com/notices.json');
+  });
+
+  test('rejects an unknown adapter type', () => {
+    assert.throws(() => createDisruptionFeed({ type: 'sms' }), /Unknown disruption feed type "sms"/);
+  });
+});
@@ -0,0 +1,38 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { scratchDir } = require('./helpers');
+const { loadSnapshot, writeDryRunReport } = require('../lib/dry-run');
+
+const dir = scratchDir('collector-dry-run-');
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('loadSnapshot', () => {
+  test('names the file when it is not valid JSON', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '[{"show_id": ');
+    assert.throws(() => loadSnapshot(file), error => error.message.startsWith(`Snapshot ${file} is not valid JSON`));
+  });
+
+  test('rejects a snapshot that is not an array', () => {
+    const file = path.join(dir, 'object.json');
+    fs.writeFileSync(file, '{}');
+    assert.throws(() => loadSnapshot(file), /must contain a JSON array/);
+  });
+});
+
+describe('writeDryRunReport', () => {
+  test('includes each show\'s page fingerprint', () => {
+    const file = path.join(dir, 'report.json');
+    const fingerprint = { show_id: 'a', calendar_path: 'ComponentPresentations[].x', fingerprint_hash: 'h1', warnings: [] };
+    writeDryRunReport(file, [
+      { show: 'a', status: 'ACTIVE', report: { schedules: [], changes: [], show_status: null, show_details: null, page_fingerprint: fingerprint } },
+      { show: 'b', error: 'boom' }
+    ], 'snapshot.json');
+
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(report.shows.map(s => s.page_fingerprint), [fingerprint, null]);
+  });
+});
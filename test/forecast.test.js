@@ -0,0 +1,150 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  postingHorizon,
+  weekdayPattern,
+  currentSeason,
+  analyzeSchedule,
+  buildForecastChanges
+} = require('../lib/forecast');
+
+const TZ = 'America/New_York';
+const SHOW = { show_id: 'universal-studios-cinesational', show_name: 'CineSational: A Symphonic Spectacular' };
+const PARADE = {
+  show_id: 'usf-mardi-gras-parade',
+  show_name: 'Universal Mardi Gras Parade',
+  season_start: '01-15',
+  season_end: '04-30'
+};
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+const isWeekend = date => [5, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+/**
+ * Fri/Sat performances posted weekly, each time out to `horizon` days
+ */
+function weeklyHistory(firstPosting, lastPosting, horizon = 30) {
+  const history = [];
+  let posted = addDays(firstPosting, -1);
+  for (let day = firstPosting; day <= lastPosting; day = addDays(day, 7)) {
+    const through = addDays(day, horizon);
+    for (let date = addDays(posted, 1); date <= through; date = addDays(date, 1)) {
+      if (isWeekend(date)) history.push({ schedule_date: date, show_time: '8:30 PM', status: 'SCHEDULED', valid_from: `${day}T14:00:00Z`, valid_to: null });
+    }
+    posted = through;
+  }
+  return history;
+}
+
+function schedulesThrough(from, through, skip = []) {
+  const rows = [];
+  for (let date = from; date <= through; date = addDays(date, 1)) {
+    if (isWeekend(date) && !skip.includes(date)) rows.push({ schedule_date: date, show_time: '8:30 PM', status: 'SCHEDULED' });
+  }
+  return rows;
+}
+
+describe('postingHorizon', () => {
+  test('learns how far ahead dates are posted', () => {
+    const horizon = postingHorizon(weeklyHistory('2026-01-01', '2026-02-26'), TZ);
+    assert.equal(horizon.typical, 30);
+    assert.equal(horizon.extendedOn, '2026-02-26');
+  });
+
+  test('needs several extensions before trusting a horizon', () => {
+    assert.equal(postingHorizon(weeklyHistory('2026-01-01', '2026-01-15'), TZ).typical, null);
+  });
+});
+
+describe('weekdayPattern', () => {
+  test('finds the weekdays the show runs most weeks', () => {
+    assert.deepEqual(weekdayPattern(weeklyHistory('2026-01-01', '2026-02-26'), '2026-03-01'), [5, 6]);
+  });
+
+  test('is null with too few weeks of performances', () => {
+    assert.equal(weekdayPattern(weeklyHistory('2026-02-20', '2026-02-20', 7), '2026-02-22'), null);
+  });
+});
+
+describe('currentSeason', () => {
+  test('resolves a recurring window around today', () => {
+    assert.deepEqual(currentSeason(PARADE, '2026-02-10'), { start: '2026-01-15', end: '2026-04-30' });
+  });
+
+  test('resolves a window that wraps the new year', () => {
+    const show = { season_start: '11-15', season_end: '01-05' };
+    assert.deepEqual(currentSeason(show, '2026-01-02'), { start: '2025-11-15', end: '2026-01-05' });
+    assert.deepEqual(currentSeason(show, '2026-12-01'), { start: '2026-11-15', end: '2027-01-05' });
+  });
+
+  test('is null without a season', () => {
+    assert.equal(currentSeason(SHOW, '2026-02-10'), null);
+  });
+});
+
+describe('analyzeSchedule', () => {
+  const history = weeklyHistory('2026-01-01', '2026-02-26');
+
+  test('raises nothing for a calendar on its usual pattern', () => {
+    const forecast = analyzeSchedule(SHOW, history, schedulesThrough('2026-03-01', '2026-03-28'), { today: '2026-03-01', timeZone: TZ });
+    assert.deepEqual(forecast.forecast_flags, []);
+    assert.equal(forecast.typical_horizon_days, 30);
+    assert.equal(forecast.horizon_days, 27);
+    assert.deepEqual(forecast.usual_weekdays, ['Fri', 'Sat']);
+  });
+
+  test('flags a horizon that has stopped being extended', () => {
+    const forecast = analyzeSchedule(SHOW, history, schedulesThrough('2026-03-08', '2026-03-28'), { today: '2026-03-08', timeZone: TZ });
+    assert.deepEqual(forecast.forecast_flags, ['HORIZON_SHORT']);
+    assert.equal(forecast.horizon_days, 20);
+  });
+
+  test('flags usual weekdays missing from the posted window', () => {
+    const schedules = schedulesThrough('2026-03-01', '2026-03-28', ['2026-03-13', '2026-03-14']);
+    const forecast = analyzeSchedule(SHOW, history, schedules, { today: '2026-03-01', timeZone: TZ });
+    assert.deepEqual(forecast.forecast_flags, ['WEEKDAY_GAP']);
+    assert.deepEqual(forecast.missing_dates, ['2026-03-13', '2026-03-14']);
+  });
+
+  test('flags a seasonal show with no dates a week into its season', () => {
+    assert.deepEqual(analyzeSchedule(PARADE, [], [], { today: '2026-01-25', timeZone: TZ }).forecast_flags, ['SEASON_OVERDUE']);
+    assert.deepEqual(analyzeSchedule(PARADE, [], [], { today: '2026-01-18', timeZone: TZ }).forecast_flags, []);
+  });
+
+  test('expects the horizon to shrink near the end of a season', () => {
+    const show = { ...SHOW, season_start: '01-01', season_end: '03-20' };
+    const forecast = analyzeSchedule(show, history, schedulesThrough('2026-03-08', '2026-03-20'), { today: '2026-03-08', timeZone: TZ });
+    assert.deepEqual(forecast.forecast_flags, []);
+  });
+});
+
+describe('buildForecastChanges', () => {
+  const forecast = {
+    typical_horizon_days: 30,
+    horizon_days: 20,
+    usual_weekdays: ['Fri', 'Sat'],
+    forecast_flags: ['HORIZON_SHORT'],
+    horizon_extended_on: '2026-02-26',
+    missing_dates: [],
+    season_start: null
+  };
+
+  test('logs a flag when it is first raised', () => {
+    const [change] = buildForecastChanges(SHOW, [], forecast, '2026-03-08');
+    assert.equal(change.change_type, 'FORECAST');
+    assert.equal(change.change_kind, 'HORIZON_SHORT');
+    assert.equal(change.severity, 'MEDIUM');
+    assert.equal(change.change_description,
+      'CineSational: A Symphonic Spectacular calendar only runs 20 days out (usually 30); last extended 2026-02-26');
+  });
+
+  test('stays quiet while the flag is still raised', () => {
+    assert.deepEqual(buildForecastChanges(SHOW, ['HORIZON_SHORT'], forecast, '2026-03-09'), []);
+  });
+});
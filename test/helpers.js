@@ -0,0 +1,49 @@
+// ============================================================
+// Test Helpers
+//
+// json-backed stores for the suites that exercise storage. A
+// suite makes one scratch directory, creates its stores inside
+// it and removes it in an after() hook.
+// ============================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStorage } = require('../lib/storage');
+
+/**
+ * A new, empty directory under the OS temp dir
+ */
+function scratchDir(prefix = 'collector-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * An empty json store in a new directory under `root`
+ */
+function tempStore(root) {
+  const dir = fs.mkdtempSync(path.join(root, 'store-'));
+  return { dir, store: createStorage('json', { dir }) };
+}
+
+/**
+ * A json store under `root` seeded with rows:
+ * { statuses, schedules, parkHours, changes }, each optional
+ */
+async function seededStore(root, seed = {}) {
+  const { dir, store } = tempStore(root);
+  for (const status of seed.statuses || []) {
+    await store.upsertShowStatus(status);
+  }
+  if (seed.schedules) await store.upsertSchedules(seed.schedules);
+  if (seed.parkHours) await store.upsertParkHours(seed.parkHours);
+  if (seed.changes) await store.logChanges(seed.changes);
+  return { dir, store };
+}
+
+module.exports = {
+  scratchDir,
+  tempStore,
+  seededStore
+};
@@ -0,0 +1,85 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  versionHash,
+  planHistory,
+  withChangeTimes,
+  scheduleAsOf,
+  rescheduleCount,
+  tentativeOutcomes
+} = require('../lib/history');
+
+const SHOW_ID = 'universal-studios-cinesational';
+
+function record(schedule_date, show_time, status = 'SCHEDULED') {
+  return { show_id: SHOW_ID, schedule_date, show_time, status, is_available: status === 'SCHEDULED' };
+}
+
+function version(schedule_date, show_time, status, valid_from, valid_to = null) {
+  return { show_id: SHOW_ID, schedule_date, show_time, status, valid_from, valid_to };
+}
+
+describe('planHistory', () => {
+  test('appends a first version for every new performance', () => {
+    const plan = planHistory([record('2026-03-07', '8:30 PM')], [], '2026-03-01T12:00:00.000Z');
+    assert.deepEqual(plan.close, []);
+    assert.equal(plan.append.length, 1);
+    assert.equal(plan.append[0].valid_from, '2026-03-01T12:00:00.000Z');
+    assert.equal(plan.append[0].valid_to, null);
+    assert.equal(plan.append[0].version_hash, versionHash(record('2026-03-07', '8:30 PM')));
+  });
+
+  test('skips unchanged performances and supersedes changed ones', () => {
+    const open = [
+      { id: 1, schedule_date: '2026-03-07', show_time: '8:30 PM', version_hash: versionHash(record('2026-03-07', '8:30 PM')) },
+      { id: 2, schedule_date: '2026-03-08', show_time: '8:30 PM', version_hash: versionHash(record('2026-03-08', '8:30 PM', 'TENTATIVE')) }
+    ];
+    const plan = planHistory([record('2026-03-07', '8:30 PM'), record('2026-03-08', '8:30 PM')], open);
+    assert.deepEqual(plan.close, [2]);
+    assert.equal(plan.append.length, 1);
+    assert.equal(plan.append[0].status, 'SCHEDULED');
+  });
+});
+
+describe('withChangeTimes', () => {
+  test('stamps each row with when its open version began', () => {
+    const rows = withChangeTimes(
+      [record('2026-03-07', '8:30 PM'), record('2026-03-08', '8:30 PM')],
+      [version('2026-03-07', '8:30 PM', 'SCHEDULED', '2026-02-20T00:00:00.000Z')]
+    );
+    assert.deepEqual(rows.map(r => r.changed_at), ['2026-02-20T00:00:00.000Z', null]);
+  });
+});
+
+describe('history queries', () => {
+  // 03-07 posted at 8:30 PM, moved to 9:00 PM, then back to 8:30 PM
+  const history = [
+    version('2026-03-07', '8:30 PM', 'SCHEDULED', '2026-02-01T00:00:00.000Z', '2026-02-10T00:00:00.000Z'),
+    version('2026-03-07', '8:30 PM', 'CANCELLED', '2026-02-10T00:00:00.000Z', '2026-02-20T00:00:00.000Z'),
+    version('2026-03-07', '9:00 PM', 'SCHEDULED', '2026-02-10T00:00:00.000Z', '2026-02-20T00:00:00.000Z'),
+    version('2026-03-07', '9:00 PM', 'CANCELLED', '2026-02-20T00:00:00.000Z'),
+    version('2026-03-07', '8:30 PM', 'SCHEDULED', '2026-02-20T00:00:00.000Z'),
+    // 03-08 tentative, later confirmed; 03-09 tentative, later cancelled; 03-10 still tentative
+    version('2026-03-08', '8:30 PM', 'TENTATIVE', '2026-02-01T00:00:00.000Z', '2026-02-15T00:00:00.000Z'),
+    version('2026-03-08', '8:30 PM', 'SCHEDULED', '2026-02-15T00:00:00.000Z'),
+    version('2026-03-09', '8:30 PM', 'TENTATIVE', '2026-02-01T00:00:00.000Z', '2026-02-15T00:00:00.000Z'),
+    version('2026-03-09', '8:30 PM', 'CANCELLED', '2026-02-15T00:00:00.000Z'),
+    version('2026-03-10', '8:30 PM', 'TENTATIVE', '2026-02-01T00:00:00.000Z')
+  ];
+
+  test('counts showtime changes per date but not status flips', () => {
+    assert.equal(rescheduleCount(history, '2026-03-07'), 2);
+    assert.equal(rescheduleCount(history, '2026-03-08'), 0);
+  });
+
+  test('reconstructs the schedule as of an instant', () => {
+    const asOf = scheduleAsOf(history, '2026-02-12T00:00:00.000Z').filter(v => v.schedule_date === '2026-03-07');
+    assert.deepEqual(asOf.map(v => `${v.show_time} ${v.status}`), ['8:30 PM CANCELLED', '9:00 PM SCHEDULED']);
+    assert.equal(scheduleAsOf(history, '2026-01-01T00:00:00.000Z').length, 0);
+  });
+
+  test('summarizes what became of tentative performances', () => {
+    assert.deepEqual(tentativeOutcomes(history), { tentative: 3, confirmed: 1, cancelled: 1, pending: 1 });
+  });
+});
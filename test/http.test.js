@@ -0,0 +1,101 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { parseRetryAfter, mapWithConcurrency } = require('../lib/http');
+const { fetchCMSPage } = require('../lib/cms');
+
+const FAST = { retryBaseMs: 1, timeoutMs: 1000, retries: 3 };
+
+describe('fetchCMSPage against a stub CMS', () => {
+  let server;
+  let baseUrl;
+  const hits = {};
+  const routes = {
+    '/flaky': (req, res, n) => {
+      if (n === 1) return res.writeHead(503).end('busy');
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"Title":"ok"}');
+    },
+    '/throttled': (req, res, n) => {
+      if (n === 1) return res.writeHead(429, { 'Retry-After': '0' }).end();
+      res.writeHead(200).end('{"Title":"ok"}');
+    },
+    '/missing': (req, res) => res.writeHead(404).end(),
+    '/versioned': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end();
+      res.writeHead(200, { 'ETag': '"v1"', 'Last-Modified': 'Mon, 02 Mar 2026 10:00:00 GMT' }).end('{"Title":"v1"}');
+    },
+    '/hang': () => {}
+  };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits[req.url] = (hits[req.url] || 0) + 1;
+      routes[req.url](req, res, hits[req.url]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test('retries a 503 and returns the page', async () => {
+    const page = await fetchCMSPage(`${baseUrl}/flaky`, FAST);
+    assert.deepEqual(page.data, { Title: 'ok' });
+    assert.equal(page.attempts, 2);
+  });
+
+  test('retries a 429 honouring Retry-After', async () => {
+    const page = await fetchCMSPage(`${baseUrl}/throttled`, FAST);
+    assert.equal(page.status, 200);
+    assert.equal(hits['/throttled'], 2);
+  });
+
+  test('does not retry a 404', async () => {
+    await assert.rejects(fetchCMSPage(`${baseUrl}/missing`, FAST), error => error.status === 404);
+    assert.equal(hits['/missing'], 1);
+  });
+
+  test('sends validators and reports an unchanged page', async () => {
+    const first = await fetchCMSPage(`${baseUrl}/versioned`, FAST);
+    assert.deepEqual(first.validators, { etag: '"v1"', lastModified: 'Mon, 02 Mar 2026 10:00:00 GMT' });
+
+    const second = await fetchCMSPage(`${baseUrl}/versioned`, { ...FAST, validators: first.validators });
+    assert.equal(second.notModified, true);
+    assert.equal(second.data, null);
+  });
+
+  test('times out a hung request', async () => {
+    await assert.rejects(
+      fetchCMSPage(`${baseUrl}/hang`, { ...FAST, timeoutMs: 50, retries: 1 }),
+      error => /timed out after 50ms/.test(error.message) && error.attempts === 2
+    );
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('Mon, 02 Mar 2026 10:00:05 GMT', Date.parse('Mon, 02 Mar 2026 10:00:00 GMT')), 5000);
+    assert.equal(parseRetryAfter(null), null);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps at most `limit` calls in flight and preserves order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async ms => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return ms * 2;
+    });
+    assert.deepEqual(results, [60, 20, 40, 10]);
+    assert.equal(peak, 2);
+  });
+});
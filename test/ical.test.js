@@ -0,0 +1,112 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { eventUid, eventSequence, foldLine, escapeText, buildCalendar, buildFeeds } = require('../lib/ical');
+
+const NOW = '2026-03-01T12:00:00.000Z';
+
+function row(overrides = {}) {
+  return {
+    show_id: 'universal-studios-cinesational',
+    show_name: 'CineSational: A Symphonic Spectacular',
+    park_name: 'Universal Studios Florida',
+    schedule_date: '2026-03-01',
+    show_time: '8:30 PM',
+    show_time_local: '20:30',
+    show_starts_at: '2026-03-02T01:30:00.000Z',
+    status: 'SCHEDULED',
+    source_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/shows/cinesational-symphonic-spectacular/index.html',
+    ...overrides
+  };
+}
+
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+describe('buildCalendar', () => {
+  test('emits a timed event with a stable UID', () => {
+    const ics = unfold(buildCalendar('CineSational', [row()], { now: NOW }));
+    assert.match(ics, /^BEGIN:VCALENDAR\r\nVERSION:2.0\r\n/);
+    assert.match(ics, /UID:universal-studios-cinesational-2026-03-01-2030@universal-entertainment-collector\r\n/);
+    assert.match(ics, /DTSTART:20260302T013000Z\r\nDTEND:20260302T020000Z\r\n/);
+    assert.match(ics, /STATUS:CONFIRMED\r\nSEQUENCE:0\r\n/);
+    assert.match(ics, /END:VCALENDAR\r\n$/);
+  });
+
+  test('marks tentative and cancelled performances', () => {
+    const ics = buildCalendar('CineSational', [
+      row({ status: 'TENTATIVE' }),
+      row({ schedule_date: '2026-03-02', show_starts_at: '2026-03-03T01:30:00.000Z', status: 'CANCELLED' })
+    ], { now: NOW });
+    assert.match(ics, /STATUS:TENTATIVE/);
+    assert.match(ics, /SUMMARY:Cancelled: CineSational: A Symphonic Spectacular\r\n[\s\S]*STATUS:CANCELLED\r\nSEQUENCE:1/);
+  });
+
+  test('raises SEQUENCE with each revision, including a reinstated performance', () => {
+    const scheduled = row({ changed_at: '2026-02-20T10:00:00.000Z' });
+    const cancelled = row({ status: 'CANCELLED', changed_at: '2026-02-27T10:00:00.000Z' });
+    const reinstated = row({ changed_at: '2026-02-28T10:00:00.000Z' });
+    assert.ok(eventSequence(scheduled) < eventSequence(cancelled));
+    assert.ok(eventSequence(cancelled) < eventSequence(reinstated));
+
+    const ics = unfold(buildCalendar('CineSational', [reinstated], { now: NOW }));
+    assert.match(ics, new RegExp(`STATUS:CONFIRMED\r\nSEQUENCE:${Date.parse('2026-02-28T10:00:00.000Z') / 1000}\r\n`));
+  });
+
+  test('keeps SEQUENCE and DTSTAMP when a run changes nothing but last_modified', () => {
+    const earlier = buildCalendar('CineSational', [row({ changed_at: '2026-02-28T10:00:00.000Z', last_modified: '2026-03-01T12:00:00.000Z' })], { now: NOW });
+    const later = buildCalendar('CineSational', [row({ changed_at: '2026-02-28T10:00:00.000Z', last_modified: '2026-03-01T13:00:00.000Z' })], { now: '2026-03-01T13:00:00.000Z' });
+    assert.equal(later, earlier);
+    assert.match(earlier, /DTSTAMP:20260228T100000Z\r\n/);
+  });
+
+  test('falls back to an all-day event when the time is unknown', () => {
+    const ics = buildCalendar('CineSational', [row({ show_time: 'Unknown', show_time_local: null, show_starts_at: null })], { now: NOW });
+    assert.match(ics, /DTSTART;VALUE=DATE:20260301\r\nDTEND;VALUE=DATE:20260302/);
+    assert.match(ics, /UID:universal-studios-cinesational-2026-03-01-unknown@/);
+  });
+
+  test('folds lines longer than 75 octets', () => {
+    const ics = buildCalendar('CineSational', [row()], { now: NOW });
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+  });
+});
+
+describe('helpers', () => {
+  test('escapeText escapes RFC 5545 special characters', () => {
+    assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  });
+
+  test('foldLine never splits a multi-byte character', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    assert.ok(folded.split('\r\n ').every(part => Buffer.from(part).toString() === part));
+  });
+
+  test('eventUid is the same across runs for the same performance', () => {
+    assert.equal(eventUid(row()), eventUid(row({ status: 'CANCELLED' })));
+  });
+});
+
+describe('buildFeeds', () => {
+  test('produces per-show, per-park and all-shows feeds', () => {
+    const shows = [
+      { show_id: 'universal-studios-cinesational', show_name: 'CineSational', park_name: 'Universal Studios Florida', duration_minutes: 20 },
+      { show_id: 'islands-of-adventure-hogwarts-lights', show_name: 'Hogwarts Lights', park_name: "Universal's Islands of Adventure" }
+    ];
+    const rowsByShow = new Map([['universal-studios-cinesational', [row()]]]);
+    const feeds = buildFeeds(shows, rowsByShow, { now: NOW });
+
+    assert.deepEqual(feeds.map(f => f.path), [
+      'shows/universal-studios-cinesational.ics',
+      'shows/islands-of-adventure-hogwarts-lights.ics',
+      'parks/universal-studios-florida.ics',
+      'parks/universal-s-islands-of-adventure.ics',
+      'all-shows.ics'
+    ]);
+    assert.match(feeds[0].content, /DTEND:20260302T015000Z/);
+    assert.equal((feeds[4].content.match(/BEGIN:VEVENT/g) || []).length, 1);
+  });
+});
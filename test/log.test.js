@@ -0,0 +1,44 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setLogFormat, withLogContext, log } = require('../lib/log');
+
+function capture(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = line => lines.push(line);
+  try {
+    fn();
+  } finally {
+    console.log = original;
+  }
+  return lines;
+}
+
+describe('log', () => {
+  afterEach(() => setLogFormat('text'));
+
+  test('text mode prints the message unchanged', () => {
+    const lines = capture(() => log.info('cms.fetched', '  ✓ CMS data fetched (200)', { http_status: 200 }));
+    assert.deepEqual(lines, ['  ✓ CMS data fetched (200)']);
+  });
+
+  test('json mode prints one event with context fields', () => {
+    setLogFormat('json');
+    const lines = capture(() => withLogContext({ show_id: 'usf-mardi-gras-parade' }, () => {
+      log.info('cms.fetched', '  ✓ CMS data fetched (200)', { http_status: 200 });
+      log.text('===========');
+    }));
+    assert.equal(lines.length, 1);
+    const event = JSON.parse(lines[0]);
+    assert.equal(event.event, 'cms.fetched');
+    assert.equal(event.level, 'info');
+    assert.equal(event.show_id, 'usf-mardi-gras-parade');
+    assert.equal(event.http_status, 200);
+    assert.equal(event.msg, 'CMS data fetched (200)');
+  });
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => setLogFormat('xml'), /Unknown log format "xml"/);
+  });
+});
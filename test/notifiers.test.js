@@ -0,0 +1,225 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+const {
+  validateNotifierConfig,
+  createNotifiers,
+  dispatchNotifications,
+  deliveredChanges
+} = require('../lib/notifiers');
+const { signPayload } = require('../lib/notifiers/webhook');
+const { formatSlackMessage, formatDiscordMessage } = require('../lib/notifiers/chat');
+const { formatDigest } = require('../lib/notifiers/email');
+
+const CHANGES = [
+  {
+    change_type: 'ENTERTAINMENT',
+    entity_id: 'universal-studios-cinesational',
+    entity_name: 'CineSational: A Symphonic Spectacular',
+    change_date: '2026-03-01',
+    change_description: 'Show date removed: CineSational: A Symphonic Spectacular on 2026-03-01 (was 8:30 PM)',
+    severity: 'HIGH'
+  },
+  {
+    change_type: 'ENTERTAINMENT',
+    entity_id: 'universal-studios-cinesational',
+    entity_name: 'CineSational: A Symphonic Spectacular',
+    change_date: '2026-03-09',
+    change_description: 'New show date added: CineSational: A Symphonic Spectacular on 2026-03-09 at 8:30 PM',
+    severity: 'LOW'
+  },
+  {
+    change_type: 'ENTERTAINMENT',
+    entity_id: 'universal-studios-mega-movie-parade',
+    entity_name: 'Universal Mega Movie Parade',
+    change_date: '2026-03-07',
+    change_description: 'Show time changed for Universal Mega Movie Parade on 2026-03-07: 2:00 PM → 3:00 PM',
+    severity: 'MEDIUM'
+  }
+];
+
+const FAST = { retries: 0, timeoutMs: 2000 };
+
+/**
+ * Local stand-in for an SMTP relay that records the conversation
+ */
+function startSmtpStandIn() {
+  const received = { commands: [], data: '' };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 standin ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            received.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        received.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-standin\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return { server, received };
+}
+
+describe('validateNotifierConfig', () => {
+  test('reports unknown types, missing fields and bad thresholds together', () => {
+    assert.throws(
+      () => validateNotifierConfig([{ type: 'pager' }, { type: 'email', host: 'x' }, { type: 'slack', url: 'u', min_severity: 'URGENT' }]),
+      /unknown type "pager"[\s\S]*#1: missing from[\s\S]*#1: missing to[\s\S]*unknown min_severity "URGENT"/
+    );
+  });
+});
+
+describe('formatting', () => {
+  test('Slack message has a header and one section per show', () => {
+    const message = formatSlackMessage(CHANGES);
+    assert.equal(message.text, 'Universal entertainment: 3 schedule changes (1 HIGH, 1 MEDIUM, 1 LOW)');
+    assert.equal(message.blocks.length, 3);
+    assert.match(message.blocks[1].text.text, /^\*CineSational[\s\S]*🔴 Show date removed[\s\S]*🟢 New show date/);
+  });
+
+  test('Discord message colours each embed by its highest severity', () => {
+    const message = formatDiscordMessage(CHANGES);
+    assert.deepEqual(message.embeds.map(e => e.color), [0xd93025, 0xf9ab00]);
+  });
+
+  test('email digest groups by show and severity', () => {
+    const digest = formatDigest(CHANGES);
+    assert.equal(digest.subject, '[Universal Collector] 3 schedule changes (1 HIGH, 1 MEDIUM, 1 LOW)');
+    assert.match(digest.text, /CineSational: A Symphonic Spectacular\n=+\nHIGH \(1\)\n  - Show date removed[\s\S]*LOW \(1\)/);
+  });
+});
+
+describe('dispatchNotifications against stand-in servers', () => {
+  let httpServer;
+  let baseUrl;
+  const posts = [];
+  const smtp = startSmtpStandIn();
+  let smtpPort;
+
+  before(async () => {
+    httpServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        posts.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(req.url === '/broken' ? 500 : 200).end('ok');
+      });
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+    smtpPort = smtp.server.address().port;
+  });
+
+  after(() => {
+    httpServer.closeAllConnections();
+    httpServer.close();
+    smtp.server.close();
+  });
+
+  test('sends a signed webhook filtered by severity', async () => {
+    const notifiers = createNotifiers([{ type: 'webhook', url: `${baseUrl}/hook`, secret: 's3cret', min_severity: 'MEDIUM' }]);
+    const [result] = await dispatchNotifications(notifiers, CHANGES, FAST);
+    assert.deepEqual(result, { name: 'webhook#0', sent: 2, error: null });
+
+    const post = posts.find(p => p.url === '/hook');
+    assert.equal(post.headers['x-collector-signature'], signPayload('s3cret', post.headers['x-collector-timestamp'], post.body));
+    assert.deepEqual(JSON.parse(post.body).changes.map(c => c.severity), ['HIGH', 'MEDIUM']);
+  });
+
+  test('does not resend changes already delivered this run', async () => {
+    const notifiers = createNotifiers([{ type: 'slack', url: `${baseUrl}/slack` }]);
+    await dispatchNotifications(notifiers, CHANGES, FAST);
+    const [second] = await dispatchNotifications(notifiers, [...CHANGES, CHANGES[0]], FAST);
+    assert.equal(second.sent, 0);
+    assert.equal(posts.filter(p => p.url === '/slack').length, 1);
+  });
+
+  test('a failing sink does not stop the others', async () => {
+    const notifiers = createNotifiers([
+      { type: 'discord', url: `${baseUrl}/broken`, name: 'broken' },
+      { type: 'discord', url: `${baseUrl}/discord`, name: 'ok' }
+    ]);
+    const results = await dispatchNotifications(notifiers, CHANGES, FAST);
+    assert.match(results[0].error, /discord webhook failed: 500/);
+    assert.equal(results[1].sent, 3);
+  });
+
+  test('leaves changes a failing sink should have had undelivered', async () => {
+    const notifiers = createNotifiers([
+      { type: 'discord', url: `${baseUrl}/broken`, name: 'broken', min_severity: 'MEDIUM' },
+      { type: 'discord', url: `${baseUrl}/discord`, name: 'ok' }
+    ]);
+    const results = await dispatchNotifications(notifiers, CHANGES, FAST);
+    assert.deepEqual(deliveredChanges(notifiers, CHANGES, results).map(c => c.severity), ['LOW']);
+    assert.deepEqual(deliveredChanges(notifiers, CHANGES, [{ error: null }, { error: null }]), CHANGES);
+  });
+
+  test('sends an email digest over SMTP', async () => {
+    const notifiers = createNotifiers([{
+      type: 'email',
+      host: '127.0.0.1',
+      port: smtpPort,
+      username: 'collector',
+      password: 'pw',
+      from: 'collector@example.com',
+      to: ['team@example.com'],
+      min_severity: 'HIGH'
+    }]);
+    process.env.SMTP_ALLOW_INSECURE = 'true';
+    let result;
+    try {
+      [result] = await dispatchNotifications(notifiers, CHANGES);
+    } finally {
+      delete process.env.SMTP_ALLOW_INSECURE;
+    }
+    assert.equal(result.error, null);
+    assert.equal(result.sent, 1);
+
+    assert.deepEqual(smtp.received.commands.slice(2), [
+      'MAIL FROM:<collector@example.com>',
+      'RCPT TO:<team@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    const [headers, body] = smtp.received.data.split('\r\n\r\n');
+    assert.match(headers, /Subject: \[Universal Collector\] 1 schedule change \(1 HIGH\)/);
+    assert.match(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), /Show date removed/);
+  });
+
+  test('will not send SMTP credentials without TLS', async () => {
+    const notifiers = createNotifiers([{
+      type: 'email',
+      host: '127.0.0.1',
+      port: smtpPort,
+      username: 'collector',
+      password: 'pw',
+      from: 'collector@example.com',
+      to: ['team@example.com']
+    }]);
+    const seen = smtp.received.commands.length;
+    const [result] = await dispatchNotifications(notifiers, CHANGES);
+    assert.match(result.error, /offers no TLS; refusing to send credentials/);
+    assert.ok(!smtp.received.commands.slice(seen).some(c => c.startsWith('AUTH')));
+  });
+});
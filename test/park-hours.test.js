@@ -0,0 +1,84 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { findCalendarConfig } = require('../lib/cms');
+const {
+  parseHoursLabel,
+  parseParkHours,
+  hoursConflict,
+  collectParkHours
+} = require('../lib/park-hours');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+describe('parseHoursLabel', () => {
+  test('parses ranges and closed days', () => {
+    assert.deepEqual(parseHoursLabel('9:00 AM - 10:00 PM'), { is_closed: false, open_time: '09:00', close_time: '22:00' });
+    assert.deepEqual(parseHoursLabel('8 a.m. to 1 a.m.'), { is_closed: false, open_time: '08:00', close_time: '01:00' });
+    assert.deepEqual(parseHoursLabel('Park Closed'), { is_closed: true, open_time: null, close_time: null });
+    assert.equal(parseHoursLabel('Early Park Admission'), null);
+  });
+});
+
+describe('parseParkHours', () => {
+  const hours = parseParkHours(findCalendarConfig(loadFixture('park-hours.json')));
+
+  test('produces one row per date with UTC open and close', () => {
+    assert.equal(hours.length, 4);
+    assert.deepEqual(hours[0], {
+      schedule_date: '2026-03-07',
+      hours_label: '9:00 AM - 10:00 PM',
+      is_closed: false,
+      open_time: '09:00',
+      close_time: '22:00',
+      opens_at: '2026-03-07T14:00:00.000Z',
+      closes_at: '2026-03-08T03:00:00.000Z'
+    });
+  });
+
+  test('runs a close time before the open time past midnight', () => {
+    const lateNight = hours.find(h => h.schedule_date === '2026-03-09');
+    assert.equal(lateNight.closes_at, '2026-03-10T05:00:00.000Z');
+  });
+
+  test('keeps closed days', () => {
+    const closed = hours.find(h => h.schedule_date === '2026-03-10');
+    assert.equal(closed.is_closed, true);
+    assert.equal(closed.closes_at, null);
+  });
+});
+
+describe('hoursConflict', () => {
+  const open = { is_closed: false, closes_at: '2026-03-08T03:00:00.000Z' };
+
+  test('classifies performances against the day\'s hours', () => {
+    assert.equal(hoursConflict({ status: 'SCHEDULED', show_starts_at: '2026-03-08T01:30:00.000Z' }, open), null);
+    assert.equal(hoursConflict({ status: 'SCHEDULED', show_starts_at: '2026-03-08T03:30:00.000Z' }, open), 'AFTER_CLOSE');
+    assert.equal(hoursConflict({ status: 'SCHEDULED', show_starts_at: null }, { is_closed: true }), 'PARK_CLOSED');
+    assert.equal(hoursConflict({ status: 'CANCELLED' }, { is_closed: true }), null);
+    assert.equal(hoursConflict({ status: 'SCHEDULED' }, undefined), null);
+  });
+});
+
+describe('collectParkHours', () => {
+  test('keys rows by park_name and reports failed parks', async () => {
+    const pages = [
+      { park_name: 'Universal Studios Florida', cms_url: 'https://example.test/usf' },
+      { park_name: 'Universal Epic Universe', cms_url: 'https://example.test/epic' }
+    ];
+    const fetchPage = async url => {
+      if (url.endsWith('/epic')) throw new Error('HTTP 500: Internal Server Error');
+      return loadFixture('park-hours.json');
+    };
+
+    const { rows, hoursByPark, errors } = await collectParkHours(pages, { fetchPage, now: '2026-03-01T12:00:00.000Z' });
+    assert.equal(rows.length, 4);
+    assert.ok(rows.every(r => r.park_name === 'Universal Studios Florida' && r.source_url === 'https://example.test/usf'));
+    assert.equal(hoursByPark.get('Universal Studios Florida').get('2026-03-10').is_closed, true);
+    assert.deepEqual(errors, [{ park_name: 'Universal Epic Universe', error: 'HTTP 500: Internal Server Error' }]);
+  });
+});
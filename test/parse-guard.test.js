@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkParseSanity, buildParseFailureChange } = require('../lib/parse-guard');
+const { detectChanges } = require('../lib/changes');
+
+const SHOW = { show_id: 'universal-studios-cinesational', show_name: 'CineSational: A Symphonic Spectacular' };
+const TODAY = '2026-03-01';
+
+function perfs(count, status = 'SCHEDULED') {
+  return Array.from({ length: count }, (_, i) => ({
+    schedule_date: `2026-03-${String(i + 1).padStart(2, '0')}`,
+    show_time: '8:30 PM',
+    status
+  }));
+}
+
+describe('checkParseSanity', () => {
+  test('flags a vanished calendar on a page not marked closed', () => {
+    const result = checkParseSanity(
+      { calendarFound: false, isClosed: false, newSchedules: [], existingSchedules: perfs(20) },
+      { today: TODAY }
+    );
+    assert.equal(result.suspect, true);
+    assert.match(result.reason, /calendarConfig not found/);
+  });
+
+  test('accepts a vanished calendar when the show is temporarily closed', () => {
+    const result = checkParseSanity(
+      { calendarFound: false, isClosed: true, newSchedules: [], existingSchedules: perfs(20) },
+      { today: TODAY }
+    );
+    assert.equal(result.suspect, false);
+  });
+
+  test('flags a drop larger than the configured share', () => {
+    const result = checkParseSanity(
+      { calendarFound: true, isClosed: false, newSchedules: perfs(5), existingSchedules: perfs(20) },
+      { today: TODAY, maxDropRatio: 0.5 }
+    );
+    assert.equal(result.suspect, true);
+    assert.match(result.reason, /75% drop/);
+  });
+
+  test('accepts a drop within the configured share', () => {
+    const result = checkParseSanity(
+      { calendarFound: true, isClosed: false, newSchedules: perfs(15), existingSchedules: perfs(20) },
+      { today: TODAY, maxDropRatio: 0.5 }
+    );
+    assert.equal(result.suspect, false);
+  });
+
+  test('ignores cancelled rows and shows with no history', () => {
+    const result = checkParseSanity(
+      { calendarFound: false, isClosed: false, newSchedules: [], existingSchedules: perfs(5, 'CANCELLED') },
+      { today: TODAY }
+    );
+    assert.equal(result.suspect, false);
+  });
+});
+
+describe('suspect parse handling', () => {
+  test('skipRemovals suppresses removed-date changes', () => {
+    const changes = detectChanges(SHOW, [], perfs(20), { skipRemovals: true });
+    assert.deepEqual(changes, []);
+  });
+
+  test('buildParseFailureChange raises a single collector-health change', () => {
+    const change = buildParseFailureChange(SHOW, 'calendarConfig not found');
+    assert.equal(change.change_type, 'COLLECTOR_HEALTH');
+    assert.equal(change.severity, 'HIGH');
+    assert.equal(change.new_value.status, 'PARSE_FAILED');
+  });
+});
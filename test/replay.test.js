@@ -0,0 +1,102 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { scratchDir, tempStore } = require('./helpers');
+const { replaySnapshots, backfillHistory } = require('../lib/replay');
+
+const SHOW = {
+  show_id: 'universal-studios-cinesational',
+  show_name: 'CineSational: A Symphonic Spectacular',
+  park_name: 'Universal Studios Florida'
+};
+
+function fixtureText(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function snapshot(fetchedAt, text) {
+  return { path: `${SHOW.show_id}/${fetchedAt}.json.gz`, fetched_at: fetchedAt, data: JSON.parse(text) };
+}
+
+describe('replaySnapshots', () => {
+  const original = fixtureText('linked-component-values.json');
+
+  test('the first snapshot sets the baseline without raising changes', () => {
+    const [step] = replaySnapshots(SHOW, [snapshot('2026-03-01T12:00:00.000Z', original)]);
+    assert.equal(step.status, 'ACTIVE');
+    assert.equal(step.performances, 4);
+    assert.equal(step.dates, 2);
+    assert.deepEqual(step.changes, []);
+  });
+
+  test('diffs each snapshot against the one before it', () => {
+    const moved = original.replace('"5:00 PM"', '"5:30 PM"');
+    const steps = replaySnapshots(SHOW, [
+      snapshot('2026-03-01T12:00:00.000Z', original),
+      snapshot('2026-03-02T12:00:00.000Z', original),
+      snapshot('2026-03-03T12:00:00.000Z', moved)
+    ]);
+
+    assert.deepEqual(steps.map(s => s.changes.length), [0, 0, 2]);
+    assert.ok(steps[2].changes.every(c => c.change_description.includes('Show time changed')));
+  });
+
+  test('a vanished calendar is flagged and not used as the next baseline', () => {
+    const steps = replaySnapshots(SHOW, [
+      snapshot('2026-03-01T12:00:00.000Z', original),
+      snapshot('2026-03-02T12:00:00.000Z', '{"ComponentPresentations":[]}'),
+      snapshot('2026-03-03T12:00:00.000Z', original)
+    ]);
+
+    assert.equal(steps[1].status, 'PARSE_FAILED');
+    assert.deepEqual(steps[1].changes.map(c => c.change_kind ?? null), [null, 'SCHEMA_DRIFT']);
+    assert.ok(steps[1].changes.every(c => c.change_type === 'COLLECTOR_HEALTH' && c.change_date === '2026-03-02'));
+    assert.match(steps[1].changes[1].change_description, /calendarConfig missing/);
+    assert.deepEqual(steps[2].changes.map(c => c.change_kind), ['SCHEMA_DRIFT']);
+    assert.match(steps[2].changes[0].change_description, /calendarConfig found again/);
+  });
+
+  test('a baseline seeds the comparison for the first snapshot', () => {
+    const baseline = [
+      { show_id: SHOW.show_id, schedule_date: '2026-03-07', show_time: '2:00 PM', status: 'SCHEDULED' },
+      { show_id: SHOW.show_id, schedule_date: '2026-03-07', show_time: '5:00 PM', status: 'SCHEDULED' }
+    ];
+    const [step] = replaySnapshots(SHOW, [snapshot('2026-03-01T12:00:00.000Z', original)], { baseline });
+    assert.equal(step.changes.length, 1);
+    assert.equal(step.changes[0].change_date, '2026-03-08');
+  });
+});
+
+describe('backfillHistory', () => {
+  const root = scratchDir('collector-replay-');
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const original = fixtureText('linked-component-values.json');
+
+  test('writes each snapshot as a history version from its archive time', async () => {
+    const { store } = tempStore(root);
+    const moved = original.replace('"5:00 PM"', '"5:30 PM"');
+    const steps = replaySnapshots(SHOW, [
+      snapshot('2026-03-01T12:00:00.000Z', original),
+      snapshot('2026-03-03T12:00:00.000Z', moved)
+    ]);
+
+    const totals = await backfillHistory(store, SHOW, steps);
+    assert.deepEqual(totals, { snapshots: 2, closed: 2, appended: 8 });
+
+    const history = await store.fetchScheduleHistory(SHOW.show_id);
+    const at = instant => history
+      .filter(v => v.valid_from <= instant && (!v.valid_to || v.valid_to > instant))
+      .map(v => `${v.schedule_date} ${v.show_time} ${v.status}`)
+      .sort();
+    assert.ok(at('2026-03-02T00:00:00.000Z').every(v => !v.includes('5:30 PM')));
+    assert.ok(at('2026-03-02T00:00:00.000Z').some(v => v.endsWith('5:00 PM SCHEDULED')));
+    assert.ok(at('2026-03-04T00:00:00.000Z').some(v => v.endsWith('5:30 PM SCHEDULED')));
+    assert.ok(at('2026-03-04T00:00:00.000Z').filter(v => v.includes('5:00 PM')).every(v => v.endsWith('CANCELLED')));
+    assert.ok(history.filter(v => v.valid_to).every(v => v.valid_to === '2026-03-03T12:00:00.000Z'));
+
+    // Replaying again adds nothing
+    assert.deepEqual(await backfillHistory(store, SHOW, steps), { snapshots: 2, closed: 0, appended: 0 });
+  });
+});
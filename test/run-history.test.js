@@ -0,0 +1,56 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildRunRecord } = require('../lib/run-history');
+
+const TIMES = { startedAt: '2026-03-01T12:00:00.000Z', finishedAt: '2026-03-01T12:00:42.500Z' };
+
+describe('buildRunRecord', () => {
+  test('summarizes a clean run', () => {
+    const record = buildRunRecord({
+      runId: 'run-1',
+      mode: 'collect',
+      ...TIMES,
+      results: [
+        { show: 'universal-studios-cinesational', status: 'ACTIVE', http_status: 200, schedules: 40, changes: 2 },
+        { show: 'islands-of-adventure-hogwarts-lights', status: 'UNKNOWN', http_status: 200, schedules: 0, changes: 0 }
+      ]
+    });
+
+    assert.equal(record.status, 'SUCCESS');
+    assert.equal(record.duration_ms, 42500);
+    assert.equal(record.total_performances, 40);
+    assert.equal(record.total_changes, 2);
+    assert.equal(record.unknown_count, 1);
+    assert.equal(record.error_text, null);
+    assert.deepEqual(record.shows[0], {
+      show_id: 'universal-studios-cinesational',
+      status: 'ACTIVE',
+      http_status: 200,
+      performances: 40,
+      changes: 2,
+      unchanged: false,
+      error: null
+    });
+  });
+
+  test('marks a run with some failed shows as PARTIAL', () => {
+    const record = buildRunRecord({
+      mode: 'collect',
+      ...TIMES,
+      results: [
+        { show: 'a', status: 'ACTIVE', schedules: 1, changes: 0 },
+        { show: 'b', error: 'CMS fetch failed: 503 Service Unavailable', http_status: 503, schedules: 0, changes: 0 }
+      ]
+    });
+    assert.equal(record.status, 'PARTIAL');
+    assert.equal(record.error_count, 1);
+    assert.equal(record.error_text, 'b: CMS fetch failed: 503 Service Unavailable');
+    assert.match(record.run_id, /^[0-9a-f-]{36}$/);
+  });
+
+  test('marks a run where every show failed as FAILED', () => {
+    const record = buildRunRecord({ mode: 'collect', ...TIMES, results: [{ show: 'a', error: 'boom' }] });
+    assert.equal(record.status, 'FAILED');
+  });
+});
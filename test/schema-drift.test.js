@@ -0,0 +1,129 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { locateCalendarConfig, parseCalendarConfig } = require('../lib/cms');
+const {
+  pageFingerprint,
+  compareFingerprints,
+  parseWarnings,
+  buildDriftChanges,
+  buildFingerprintRecord,
+  MISSING_CALENDAR
+} = require('../lib/schema-drift');
+
+const SHOW = { show_id: 'universal-studios-cinesational', show_name: 'CineSational: A Symphonic Spectacular' };
+const TODAY = '2026-03-01';
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+function fingerprintOf(page) {
+  return pageFingerprint(locateCalendarConfig(page));
+}
+
+describe('pageFingerprint', () => {
+  test('records the calendar path, entries key, block shapes and styles', () => {
+    const fingerprint = fingerprintOf(loadFixture('disabled-style.json'));
+    assert.match(fingerprint.calendar_path, /^ComponentPresentations\[\]\./);
+    assert.equal(fingerprint.entries_key, 'EmbeddedValues');
+    assert.ok(fingerprint.block_shapes.length > 0);
+    assert.deepEqual(fingerprint.style_values, ['Active Style', 'Disabled Style']);
+    assert.match(fingerprint.fingerprint_hash, /^[0-9a-f]{64}$/);
+  });
+
+  test('records a missing calendarConfig', () => {
+    const fingerprint = pageFingerprint(null);
+    assert.equal(fingerprint.calendar_path, MISSING_CALENDAR);
+    assert.deepEqual(fingerprint.block_shapes, []);
+    assert.match(fingerprint.fingerprint_hash, /^[0-9a-f]{64}$/);
+  });
+
+  test('ignores the index of the component holding the calendar', () => {
+    const page = loadFixture('embedded-values.json');
+    const moved = { ...page, ComponentPresentations: [{ Component: { Fields: {} } }, ...page.ComponentPresentations] };
+    assert.equal(fingerprintOf(moved).fingerprint_hash, fingerprintOf(page).fingerprint_hash);
+  });
+
+  test('a new style value alone does not change the hash', () => {
+    const page = loadFixture('embedded-values.json');
+    const restyled = JSON.parse(JSON.stringify(page).replace(/Active Style/g, 'Disabled Style'));
+    assert.equal(fingerprintOf(restyled).fingerprint_hash, fingerprintOf(page).fingerprint_hash);
+  });
+});
+
+describe('compareFingerprints', () => {
+  test('reports the blockData shape moving under Fields', () => {
+    const before = fingerprintOf(loadFixture('embedded-values.json'));
+    const after = fingerprintOf(loadFixture('fields-wrapped-eyebrow.json'));
+    const differences = compareFingerprints(before, after);
+    assert.ok(differences.some(d => /^new blockData shape .*Fields\{/.test(d)), differences.join('\n'));
+  });
+
+  test('reports a calendarConfig going missing and coming back', () => {
+    const fingerprint = fingerprintOf(loadFixture('embedded-values.json'));
+    const missing = pageFingerprint(null);
+    assert.deepEqual(compareFingerprints(fingerprint, missing), [`calendarConfig missing (was at ${fingerprint.calendar_path})`]);
+    assert.deepEqual(compareFingerprints(missing, fingerprint), [`calendarConfig found again at ${fingerprint.calendar_path}`]);
+    assert.deepEqual(compareFingerprints(missing, pageFingerprint(null)), []);
+
+    const [change] = buildDriftChanges(SHOW, fingerprint, missing, [], TODAY);
+    assert.equal(change.change_kind, 'SCHEMA_DRIFT');
+    assert.match(change.change_description, /calendarConfig missing/);
+  });
+
+  test('is empty for the same structure or without a previous fingerprint', () => {
+    const fingerprint = fingerprintOf(loadFixture('embedded-values.json'));
+    assert.deepEqual(compareFingerprints(fingerprint, { ...fingerprint }), []);
+    assert.deepEqual(compareFingerprints(null, fingerprint), []);
+  });
+});
+
+describe('parseWarnings', () => {
+  test('flags unreadable times and unknown styles', () => {
+    const page = loadFixture('embedded-values.json');
+    const odd = JSON.parse(JSON.stringify(page).replace(/Active Style/g, 'Sold Out Style').replace(/8:30 PM/g, 'Tonight'));
+    const fingerprint = fingerprintOf(odd);
+    const schedules = parseCalendarConfig(locateCalendarConfig(odd).config);
+    assert.deepEqual(parseWarnings(schedules, fingerprint), [
+      'unreadable show time "Tonight"',
+      'unrecognized style "Sold Out Style"'
+    ]);
+  });
+
+  test('is empty for a page the parser fully understands', () => {
+    const page = loadFixture('disabled-style.json');
+    const schedules = parseCalendarConfig(locateCalendarConfig(page).config);
+    assert.deepEqual(parseWarnings(schedules, fingerprintOf(page)), []);
+  });
+});
+
+describe('buildDriftChanges', () => {
+  const before = fingerprintOf(loadFixture('embedded-values.json'));
+  const after = fingerprintOf(loadFixture('fields-wrapped-eyebrow.json'));
+
+  test('emits SCHEMA_DRIFT when the structure changes', () => {
+    const [change] = buildDriftChanges(SHOW, { ...before, warnings: [] }, after, [], TODAY);
+    assert.equal(change.change_type, 'COLLECTOR_HEALTH');
+    assert.equal(change.change_kind, 'SCHEMA_DRIFT');
+    assert.equal(change.change_date, TODAY);
+    assert.match(change.change_description, /^Page layout changed for CineSational/);
+  });
+
+  test('emits nothing on the first run or an unchanged page', () => {
+    assert.deepEqual(buildDriftChanges(SHOW, null, after, [], TODAY), []);
+    assert.deepEqual(buildDriftChanges(SHOW, { ...after, warnings: [] }, after, [], TODAY), []);
+  });
+
+  test('emits a PARSE_WARNING only when the warnings change', () => {
+    const warnings = ['unreadable show time "Tonight"'];
+    const [change] = buildDriftChanges(SHOW, { ...after, warnings: [] }, after, warnings, TODAY);
+    assert.equal(change.change_kind, 'PARSE_WARNING');
+    assert.deepEqual(change.new_value, { warnings });
+
+    const stored = buildFingerprintRecord(SHOW, after, warnings, '2026-03-01T12:00:00Z');
+    assert.deepEqual(buildDriftChanges(SHOW, stored, after, warnings, TODAY), []);
+  });
+});
@@ -0,0 +1,126 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { scratchDir, seededStore } = require('./helpers');
+const { handleApiRequest, createApiServer, resolvePark } = require('../lib/server');
+
+const NOW = () => new Date('2026-03-07T20:00:00Z');
+
+const root = scratchDir('collector-api-');
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const SEED = {
+  statuses: [{ show_id: 'parade', show_name: 'Parade', current_status: 'ACTIVE' }],
+  schedules: [
+    { show_id: 'parade', park_name: 'Universal Studios Florida', schedule_date: '2026-03-07', show_time: '5:00 PM', show_starts_at: '2026-03-07T22:00:00.000Z', status: 'SCHEDULED' },
+    { show_id: 'parade', park_name: 'Universal Studios Florida', schedule_date: '2026-03-07', show_time: '2:00 PM', show_starts_at: '2026-03-07T19:00:00.000Z', status: 'SCHEDULED' },
+    { show_id: 'parade', park_name: 'Universal Studios Florida', schedule_date: '2026-03-08', show_time: '2:00 PM', show_starts_at: '2026-03-08T18:00:00.000Z', status: 'TENTATIVE' },
+    { show_id: 'parade', park_name: 'Universal Studios Florida', schedule_date: '2026-03-01', show_time: '2:00 PM', show_starts_at: '2026-03-01T19:00:00.000Z', status: 'SCHEDULED' }
+  ],
+  parkHours: [{ park_name: 'Universal Studios Florida', schedule_date: '2026-03-07', hours_label: '9:00 AM - 9:00 PM' }],
+  changes: [
+    { entity_id: 'parade', severity: 'LOW', change_description: 'New date', idempotency_key: 'a', created_at: '2026-03-07T10:00:00.000Z' },
+    { entity_id: 'parade', severity: 'HIGH', change_description: 'Cancelled', idempotency_key: 'b', created_at: '2026-03-07T12:00:00.000Z' },
+    { entity_id: 'parade', severity: 'HIGH', change_description: 'Old', idempotency_key: 'c', created_at: '2026-03-01T12:00:00.000Z' }
+  ]
+};
+
+describe('handleApiRequest', () => {
+  let store;
+  before(async () => { ({ store } = await seededStore(root, SEED)); });
+
+  test('lists shows', async () => {
+    const { status, body } = await handleApiRequest(store, 'GET', '/shows', { now: NOW });
+    assert.equal(status, 200);
+    assert.deepEqual(body.shows.map(s => s.show_id), ['parade']);
+  });
+
+  test('returns a show schedule from today by default, in start order', async () => {
+    const { body } = await handleApiRequest(store, 'GET', '/shows/parade/schedule', { now: NOW });
+    assert.equal(body.from, '2026-03-07');
+    assert.deepEqual(body.schedule.map(s => `${s.schedule_date} ${s.show_time}`), ['2026-03-07 2:00 PM', '2026-03-07 5:00 PM', '2026-03-08 2:00 PM']);
+
+    const ranged = await handleApiRequest(store, 'GET', '/shows/parade/schedule?from=2026-03-01&to=2026-03-01', { now: NOW });
+    assert.equal(ranged.body.schedule.length, 1);
+  });
+
+  test('rejects bad dates and unknown shows', async () => {
+    assert.equal((await handleApiRequest(store, 'GET', '/shows/parade/schedule?from=March', { now: NOW })).status, 400);
+    assert.equal((await handleApiRequest(store, 'GET', '/shows/nope/schedule', { now: NOW })).status, 404);
+  });
+
+  test('answers 400 to a malformed percent escape', async () => {
+    const result = await handleApiRequest(store, 'GET', '/shows/%E0/schedule', { now: NOW });
+    assert.equal(result.status, 400);
+    assert.match(result.body.error, /^Malformed escape in/);
+  });
+
+  test("returns tonight's performances and hours at a park", async () => {
+    const { body } = await handleApiRequest(store, 'GET', '/parks/usf/tonight', { now: NOW });
+    assert.equal(body.park_name, 'Universal Studios Florida');
+    assert.equal(body.date, '2026-03-07');
+    assert.equal(body.park_hours.hours_label, '9:00 AM - 9:00 PM');
+    assert.deepEqual(body.performances.map(p => p.show_time), ['2:00 PM', '5:00 PM']);
+    assert.deepEqual(body.disruptions, []);
+  });
+
+  test('filters changes by time and minimum severity', async () => {
+    const recent = await handleApiRequest(store, 'GET', '/changes', { now: NOW });
+    assert.deepEqual(recent.body.changes.map(c => c.idempotency_key), ['b', 'a']);
+
+    const high = await handleApiRequest(store, 'GET', '/changes?since=2026-02-01&severity=high', { now: NOW });
+    assert.deepEqual(high.body.changes.map(c => c.idempotency_key), ['b', 'c']);
+
+    assert.equal((await handleApiRequest(store, 'GET', '/changes?severity=urgent', { now: NOW })).status, 400);
+  });
+
+  test('keeps the default changes window fixed within the hour', async () => {
+    const first = await handleApiRequest(store, 'GET', '/changes', { now: () => new Date('2026-03-07T20:14:05.123Z') });
+    const later = await handleApiRequest(store, 'GET', '/changes', { now: () => new Date('2026-03-07T20:14:35.456Z') });
+    assert.equal(first.body.since, '2026-03-06T20:00:00.000Z');
+    assert.deepEqual(later.body, first.body);
+  });
+
+  test('is read-only and 404s unknown routes', async () => {
+    assert.equal((await handleApiRequest(store, 'POST', '/shows')).status, 405);
+    assert.equal((await handleApiRequest(store, 'GET', '/nope')).status, 404);
+  });
+});
+
+describe('resolvePark', () => {
+  test('accepts a park code or full name', () => {
+    assert.equal(resolvePark('EPIC'), 'Universal Epic Universe');
+    assert.equal(resolvePark("universal's islands of adventure"), "Universal's Islands of Adventure");
+    assert.throws(() => resolvePark('magic-kingdom'), /Unknown park/);
+  });
+});
+
+describe('createApiServer', () => {
+  let server;
+  let base;
+  before(async () => {
+    server = createApiServer((await seededStore(root, SEED)).store, { maxAge: 120, now: NOW });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  test('sends caching headers and honours If-None-Match', async () => {
+    const first = await fetch(`${base}/shows`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('cache-control'), 'public, max-age=120');
+    const etag = first.headers.get('etag');
+    assert.match(etag, /^"[0-9a-f]{32}"$/);
+
+    const second = await fetch(`${base}/shows`, { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+  });
+
+  test('does not cache errors', async () => {
+    const res = await fetch(`${base}/parks/nowhere/tonight`);
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.match((await res.json()).error, /Unknown park/);
+  });
+});
@@ -0,0 +1,81 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  cleanText,
+  parseDurationMinutes,
+  extractShowDetails,
+  detailsHash,
+  buildShowDetailsRecord
+} = require('../lib/show-details');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+const BASE_URL = 'https://www.universalorlando.com/web/en/us/things-to-do/entertainment/mardi-gras-parade';
+
+describe('extractShowDetails', () => {
+  test('reads named fields and classifies featureList entries', () => {
+    const details = extractShowDetails(loadFixture('show-details.json'), { baseUrl: BASE_URL });
+    assert.deepEqual(details, {
+      duration_text: 'Approximately 25 minutes',
+      duration_minutes: 25,
+      location: 'Hollywood & New York',
+      description: 'Catch beads from dazzling floats as the parade rolls through the park.',
+      hero_image_url: 'https://www.universalorlando.com/sites/default/files/mardi-gras-parade-hero.jpg',
+      accessibility_notes: 'Wheelchair-accessible viewing areas available',
+      required_ticket: 'Included with park admission',
+      closed_reason: null
+    });
+  });
+
+  test('takes the closure reason from the Temporarily Closed entry', () => {
+    const details = extractShowDetails(loadFixture('temporarily-closed.json'));
+    assert.equal(details.closed_reason, null);
+
+    const withReason = loadFixture('temporarily-closed.json');
+    withReason.ComponentPresentations[0].Component.Fields.featureList.LinkedComponentValues[1].Fields.description.Values =
+      ['Temporarily Closed — projection system upgrades'];
+    assert.equal(extractShowDetails(withReason).closed_reason, 'projection system upgrades');
+
+    withReason.ComponentPresentations[0].Component.Fields.featureList.LinkedComponentValues[1].Fields.description.Values =
+      ['Cerrado temporalmente: mantenimiento del escenario'];
+    assert.equal(extractShowDetails(withReason).closed_reason, 'mantenimiento del escenario');
+  });
+
+  test('returns nulls for a page without details', () => {
+    const details = extractShowDetails(loadFixture('embedded-values.json'));
+    assert.ok(Object.values(details).every(v => v === null));
+  });
+});
+
+describe('parseDurationMinutes', () => {
+  test('handles minutes, hours and ranges', () => {
+    assert.equal(parseDurationMinutes('Approximately 20 minutes'), 20);
+    assert.equal(parseDurationMinutes('1 hour 15 min'), 75);
+    assert.equal(parseDurationMinutes('20-25 mins'), 20);
+    assert.equal(parseDurationMinutes('Varies'), null);
+  });
+});
+
+describe('cleanText', () => {
+  test('strips tags and entities', () => {
+    assert.equal(cleanText('<p>A&nbsp;&amp;<br/>B</p>'), 'A & B');
+    assert.equal(cleanText('<p> </p>'), null);
+  });
+});
+
+describe('buildShowDetailsRecord', () => {
+  const show = { show_id: 'mardi-gras-parade', show_name: 'Mardi Gras Parade', park_name: 'Universal Studios Florida', cms_url: BASE_URL };
+
+  test('hash changes only when a detail changes', () => {
+    const details = extractShowDetails(loadFixture('show-details.json'));
+    const record = buildShowDetailsRecord(show, details, '2026-02-01T12:00:00.000Z');
+    assert.equal(record.details_hash, detailsHash(details));
+    assert.equal(buildShowDetailsRecord(show, details, '2026-02-02T12:00:00.000Z').details_hash, record.details_hash);
+    assert.notEqual(detailsHash({ ...details, duration_minutes: 30 }), record.details_hash);
+  });
+});
@@ -0,0 +1,86 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { TRACKED_SHOWS, validateShows, isInSeason, loadTrackedShows } = require('../lib/shows');
+
+const VALID = {
+  show_id: 'usf-mardi-gras-parade',
+  show_name: 'Universal Mardi Gras Parade',
+  park_name: 'Universal Studios Florida',
+  show_type: 'PARADE',
+  cms_url: 'https://www.universalorlando.com/webdata/k2/en/us/things-to-do/events/mardi-gras/parade/index.html'
+};
+
+describe('validateShows', () => {
+  test('accepts the built-in show list', () => {
+    assert.equal(validateShows(TRACKED_SHOWS), TRACKED_SHOWS);
+  });
+
+  test('rejects duplicate ids, unknown types and malformed URLs in one error', () => {
+    assert.throws(
+      () => validateShows([VALID, { ...VALID }, { ...VALID, show_id: 'x', show_type: 'FIREWORKS', cms_url: 'not a url' }]),
+      error => {
+        assert.match(error.message, /"usf-mardi-gras-parade": duplicate show_id/);
+        assert.match(error.message, /"x": unknown show_type "FIREWORKS"/);
+        assert.match(error.message, /"x": malformed cms_url/);
+        return true;
+      }
+    );
+  });
+
+  test('rejects an unknown destination or locale', () => {
+    assert.throws(
+      () => validateShows([{ ...VALID, destination: 'paris', locale: 'fr/fr' }]),
+      /unknown destination "paris"[\s\S]*unknown locale "fr\/fr"/
+    );
+    assert.doesNotThrow(() => validateShows([{ ...VALID, destination: 'hollywood', locale: 'es/us' }]));
+  });
+
+  test('rejects missing fields and bad season formats', () => {
+    assert.throws(
+      () => validateShows([{ show_id: 'y', season_start: 'March' }]),
+      /missing show_name[\s\S]*season_start must be/
+    );
+  });
+});
+
+describe('isInSeason', () => {
+  test('shows without a window are always in season', () => {
+    assert.equal(isInSeason(VALID, '2026-07-04'), true);
+  });
+
+  test('inactive shows are skipped', () => {
+    assert.equal(isInSeason({ ...VALID, active: false }, '2026-07-04'), false);
+  });
+
+  test('recurring windows match every year', () => {
+    const show = { ...VALID, season_start: '01-15', season_end: '04-30' };
+    assert.equal(isInSeason(show, '2027-02-10'), true);
+    assert.equal(isInSeason(show, '2027-07-04'), false);
+  });
+
+  test('recurring windows can wrap the new year', () => {
+    const show = { ...VALID, season_start: '11-15', season_end: '01-05' };
+    assert.equal(isInSeason(show, '2026-12-25'), true);
+    assert.equal(isInSeason(show, '2027-01-03'), true);
+    assert.equal(isInSeason(show, '2027-02-01'), false);
+  });
+
+  test('one-off windows use full dates', () => {
+    const show = { ...VALID, season_start: '2026-01-31', season_end: '2026-04-11' };
+    assert.equal(isInSeason(show, '2026-03-01'), true);
+    assert.equal(isInSeason(show, '2027-03-01'), false);
+  });
+});
+
+describe('loadTrackedShows', () => {
+  test('loads and validates a JSON file', async () => {
+    const shows = await loadTrackedShows(path.join(__dirname, 'fixtures', 'tracked-shows.json'));
+    assert.deepEqual(shows.map(s => s.show_id), ['universal-studios-cinesational', 'usf-mardi-gras-parade']);
+  });
+
+  test('falls back to the built-in list', async () => {
+    assert.equal(await loadTrackedShows(''), TRACKED_SHOWS);
+  });
+});
@@ -0,0 +1,329 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const { createStorage } = require('../lib/storage');
+const { toFilter } = require('../lib/storage/postgrest');
+const { processShow } = require('../collect-universal-entertainment');
+const { setLogFormat } = require('../lib/log');
+const { todayInZone } = require('../lib/time');
+const { scratchDir, tempStore } = require('./helpers');
+
+const root = scratchDir('collector-data-');
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function readTable(dir, table) {
+  const file = path.join(dir, `${table}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+describe('json storage backend', () => {
+  test('upserts on the table key and leaves omitted columns alone', async () => {
+    const { dir, store } = tempStore(root);
+    await store.upsertShowStatus({ show_id: 'a', current_status: 'ACTIVE', last_updated_at: '2026-03-01T00:00:00Z' });
+    await store.upsertShowStatus({ show_id: 'a', current_status: 'UNKNOWN', last_updated_at: undefined });
+    await store.touchShowStatus('a', { last_checked_at: '2026-03-02T00:00:00Z' });
+
+    assert.deepEqual(readTable(dir, 'universal_show_status'), [{
+      show_id: 'a',
+      current_status: 'UNKNOWN',
+      last_updated_at: '2026-03-01T00:00:00Z',
+      last_checked_at: '2026-03-02T00:00:00Z'
+    }]);
+    assert.equal((await store.fetchShowStatus('a')).current_status, 'UNKNOWN');
+    assert.equal(await store.fetchShowStatus('b'), null);
+  });
+
+  test('filters existing schedules to a show from a date onwards', async () => {
+    const { store } = tempStore(root);
+    await store.upsertSchedules([
+      { show_id: 'a', schedule_date: '2026-03-01', show_time: '8:30 PM', status: 'SCHEDULED' },
+      { show_id: 'a', schedule_date: '2026-03-07', show_time: '8:30 PM', status: 'SCHEDULED' },
+      { show_id: 'b', schedule_date: '2026-03-07', show_time: '8:30 PM', status: 'SCHEDULED' }
+    ]);
+    await store.upsertSchedules([{ show_id: 'a', schedule_date: '2026-03-07', show_time: '8:30 PM', status: 'TENTATIVE' }]);
+
+    const rows = await store.fetchExistingSchedules('a', '2026-03-05');
+    assert.deepEqual(rows.map(r => `${r.schedule_date} ${r.status}`), ['2026-03-07 TENTATIVE']);
+  });
+
+  test('keeps each showtime on a date as its own row', async () => {
+    const { dir, store } = tempStore(root);
+    await store.upsertSchedules([
+      { show_id: 'a', schedule_date: '2026-03-07', show_time: '2:00 PM', status: 'SCHEDULED' },
+      { show_id: 'a', schedule_date: '2026-03-07', show_time: '5:00 PM', status: 'SCHEDULED' }
+    ]);
+    await store.upsertSchedules([{ show_id: 'a', schedule_date: '2026-03-07', show_time: '5:00 PM', status: 'TENTATIVE' }]);
+    assert.deepEqual(readTable(dir, 'universal_entertainment_schedules').map(r => `${r.show_time} ${r.status}`), ['2:00 PM SCHEDULED', '5:00 PM TENTATIVE']);
+  });
+
+  test('numbers history rows and closes them by id', async () => {
+    const { store } = tempStore(root);
+    await store.insertHistoryVersions([
+      { show_id: 'a', schedule_date: '2026-03-07', show_time: '8:30 PM', valid_from: '2026-03-01T00:00:00Z', valid_to: null },
+      { show_id: 'a', schedule_date: '2026-03-08', show_time: '8:30 PM', valid_from: '2026-03-01T00:00:00Z', valid_to: null }
+    ]);
+    const open = await store.fetchOpenHistory('a', '2026-03-01');
+    assert.deepEqual(open.map(v => v.id), [1, 2]);
+
+    await store.closeHistoryVersions([1], '2026-03-02T00:00:00Z');
+    assert.deepEqual((await store.fetchOpenHistory('a', '2026-03-01')).map(v => v.id), [2]);
+    assert.deepEqual((await store.fetchOpenHistory('a', '2026-03-08')).map(v => v.id), [2]);
+    assert.deepEqual(await store.fetchOpenHistory('a', '2026-03-09'), []);
+  });
+
+  test('reads history past the first page of results', async () => {
+    const { store } = tempStore(root);
+    const versions = [];
+    for (let i = 0; i < 1205; i++) {
+      const date = new Date(Date.UTC(2026, 0, 1) + (i % 300) * 86400000).toISOString().slice(0, 10);
+      versions.push({ show_id: 'a', schedule_date: date, show_time: `${1 + Math.floor(i / 300)}:00 PM`, valid_from: `2026-01-01T00:00:${String(i % 60).padStart(2, '0')}Z`, valid_to: null });
+    }
+    await store.insertHistoryVersions(versions);
+
+    const open = await store.fetchOpenHistory('a', '2026-01-01');
+    assert.equal(open.length, 1205);
+    assert.equal(new Set(open.map(v => v.id)).size, 1205);
+
+    const history = await store.fetchScheduleHistory('a', { from: '2026-10-01' });
+    assert.ok(history.length > 0 && history.every(v => v.schedule_date >= '2026-10-01'));
+    assert.deepEqual(history.map(v => v.valid_from), history.map(v => v.valid_from).sort());
+    assert.equal((await store.fetchScheduleHistory('a', { date: '2026-01-01' })).length, 5);
+  });
+
+  test('reads schedules and changes past the first page of results', async () => {
+    const { store } = tempStore(root);
+    const schedules = [];
+    const changes = [];
+    for (let i = 0; i < 1205; i++) {
+      const date = new Date(Date.UTC(2026, 0, 1) + (i % 300) * 86400000).toISOString().slice(0, 10);
+      schedules.push({ show_id: 'a', schedule_date: date, show_time: `${1 + Math.floor(i / 300)}:00 PM`, status: 'SCHEDULED' });
+      changes.push({ idempotency_key: `k${i}`, show_id: 'a', severity: 'INFO', created_at: '2026-03-01T00:00:00Z' });
+    }
+    await store.upsertSchedules(schedules);
+    await store.logChanges(changes);
+
+    const existing = await store.fetchExistingSchedules('a', '2026-01-01');
+    assert.equal(existing.length, 1205);
+    assert.equal(new Set(existing.map(r => `${r.schedule_date} ${r.show_time}`)).size, 1205);
+    assert.equal((await store.fetchSchedules('a', { to: '2026-01-10' })).length, 45);
+
+    assert.equal((await store.fetchChanges({ since: '2026-03-01T00:00:00Z' })).length, 1205);
+    const latest = await store.fetchChanges({ limit: 1100 });
+    assert.equal(latest.length, 1100);
+    assert.deepEqual(latest.slice(0, 2).map(c => c.id), [1205, 1204]);
+  });
+
+  test('keeps logged changes pending until they are marked notified', async () => {
+    const { store } = tempStore(root);
+    await store.logChanges([
+      { entity_id: 'a', change_description: 'New date', idempotency_key: 'k1' },
+      { entity_id: 'a', change_description: 'Time changed', idempotency_key: 'k2' }
+    ]);
+    assert.deepEqual((await store.fetchPendingChanges()).map(c => c.id), [1, 2]);
+
+    await store.markChangesNotified([1], '2026-03-02T00:00:00Z');
+    assert.deepEqual((await store.fetchPendingChanges()).map(c => c.id), [2]);
+    await store.logChanges([{ entity_id: 'a', change_description: 'New date', idempotency_key: 'k1' }]);
+    assert.deepEqual((await store.fetchPendingChanges()).map(c => c.id), [2]);
+  });
+
+  test('keeps existing candidates on re-discovery', async () => {
+    const { dir, store } = tempStore(root);
+    await store.insertShowCandidates([{ show_id: 'x', review_status: 'REJECTED' }]);
+    await store.insertShowCandidates([{ show_id: 'x', review_status: 'PENDING' }, { show_id: 'y', review_status: 'PENDING' }]);
+    assert.deepEqual(readTable(dir, 'universal_show_candidates').map(c => c.review_status), ['REJECTED', 'PENDING']);
+  });
+
+  test('skips a change already logged under its idempotency key', async () => {
+    const { dir, store } = tempStore(root);
+    const change = { entity_id: 'a', change_description: 'New date', idempotency_key: 'k1' };
+    await store.logChanges([change]);
+    await store.logChanges([change, { ...change, idempotency_key: 'k2' }]);
+    assert.deepEqual(readTable(dir, 'universal_schedule_changes').map(c => [c.id, c.idempotency_key]), [[1, 'k1'], [2, 'k2']]);
+  });
+
+  test('applies a show write to every table at once', async () => {
+    const { dir, store } = tempStore(root);
+    await store.insertHistoryVersions([{ show_id: 'a', schedule_date: '2026-03-07', show_time: '8:30 PM', valid_from: '2026-03-01T00:00:00Z', valid_to: null }]);
+    const result = await store.applyShowWrite({
+      schedules: [{ show_id: 'a', schedule_date: '2026-03-07', show_time: '9:00 PM', status: 'SCHEDULED' }],
+      changes: [{ entity_id: 'a', change_description: 'Time changed', idempotency_key: 'k1' }],
+      status: { show_id: 'a', current_status: 'ACTIVE' },
+      history_close: [1],
+      history_append: [{ show_id: 'a', schedule_date: '2026-03-07', show_time: '9:00 PM', valid_from: '2026-03-02T00:00:00Z', valid_to: null }],
+      history_closed_at: '2026-03-02T00:00:00Z',
+      details: null,
+      fingerprint: { show_id: 'a', fingerprint_hash: 'h1', warnings: [] }
+    });
+
+    assert.deepEqual(result, { schedules: 1, changes: 1, history_closed: 1, history_appended: 1 });
+    assert.equal((await store.fetchPageFingerprint('a')).fingerprint_hash, 'h1');
+    assert.equal(await store.fetchPageFingerprint('b'), null);
+    assert.equal(readTable(dir, 'universal_entertainment_schedules').length, 1);
+    assert.equal(readTable(dir, 'universal_schedule_changes').length, 1);
+    assert.equal(readTable(dir, 'universal_show_status')[0].current_status, 'ACTIVE');
+    assert.deepEqual(readTable(dir, 'universal_schedule_history').map(v => [v.id, v.valid_to]), [[1, '2026-03-02T00:00:00Z'], [2, null]]);
+    assert.deepEqual(readTable(dir, 'universal_show_details'), []);
+  });
+
+  test('writes nothing when a show write fails part-way', async () => {
+    const { dir, store } = tempStore(root);
+    await assert.rejects(store.applyShowWrite({
+      schedules: [{ show_id: 'a', schedule_date: '2026-03-07', show_time: '8:30 PM', status: 'SCHEDULED' }],
+      changes: [{ entity_id: 'a', change_description: 'New date', idempotency_key: 'k1' }],
+      status: null,
+      history_close: [],
+      history_append: [],
+      details: null
+    }));
+    assert.deepEqual(readTable(dir, 'universal_entertainment_schedules'), []);
+    assert.deepEqual(readTable(dir, 'universal_schedule_changes'), []);
+  });
+
+  test('rejects an unknown backend', () => {
+    assert.throws(() => createStorage('mongo'), /Unknown storage backend "mongo"/);
+  });
+});
+
+describe('PostgREST filters', () => {
+  test('encodes each operator', () => {
+    assert.equal(toFilter(['show_id', 'eq', 'a b']), 'show_id=eq.a%20b');
+    assert.equal(toFilter(['valid_to', 'is', null]), 'valid_to=is.null');
+    assert.equal(toFilter(['id', 'in', [1, 2]]), 'id=in.(1,2)');
+  });
+});
+
+describe('processShow end to end on the json backend', () => {
+  let server;
+  // Move the fixture's dates into next year so they count as upcoming
+  const nextYear = new Date().getUTCFullYear() + 1;
+  let page = fs.readFileSync(path.join(__dirname, 'fixtures', 'linked-component-values.json'), 'utf8')
+    .replace(/2026-/g, `${nextYear}-`);
+
+  before(async () => {
+    setLogFormat('json');
+    // Answers 304 to a request carrying the current page's ETag
+    server = http.createServer((req, res) => {
+      const etag = `"${crypto.createHash('sha256').update(page).digest('hex').slice(0, 16)}"`;
+      if (req.headers['if-none-match'] === etag) return res.writeHead(304).end();
+      res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag }).end(page);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    setLogFormat('text');
+    server.close();
+  });
+
+  test('stores schedules, status and history, then detects a moved performance', async () => {
+    const { dir, store } = tempStore(root);
+    const show = {
+      show_id: 'universal-studios-mega-movie-parade',
+      show_name: 'Universal Mega Movie Parade',
+      park_name: 'Universal Studios Florida',
+      show_type: 'PARADE',
+      cms_url: `http://127.0.0.1:${server.address().port}/parade`
+    };
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      const first = await processShow(show, { store });
+      assert.equal(first.error, undefined);
+      assert.equal(first.schedules, 4);
+
+      page = page.replace('"5:00 PM"', '"5:30 PM"');
+      const second = await processShow(show, { store });
+      assert.equal(second.error, undefined);
+      assert.ok(second.changeRows.every(c => c.change_kind === 'TIME_CHANGED'));
+      assert.equal(second.changeRows.length, 2);
+    } finally {
+      console.log = originalLog;
+    }
+
+    assert.equal(readTable(dir, 'universal_show_status')[0].current_status, 'ACTIVE');
+    const schedules = readTable(dir, 'universal_entertainment_schedules');
+    assert.equal(schedules.filter(s => s.status === 'CANCELLED').length, 2);
+    assert.equal(readTable(dir, 'universal_schedule_history').filter(v => !v.valid_to).length, 6);
+  });
+
+  test('checks the stored schedule against fresh park hours when the page is unchanged', async () => {
+    const { dir, store } = tempStore(root);
+    const show = {
+      show_id: 'universal-studios-mega-movie-parade',
+      show_name: 'Universal Mega Movie Parade',
+      park_name: 'Universal Studios Florida',
+      show_type: 'PARADE',
+      cms_url: `http://127.0.0.1:${server.address().port}/parade-hours`
+    };
+    const date = `${nextYear}-03-07`;
+    const closed = new Map([[show.park_name, new Map([[date, { schedule_date: date, is_closed: true, hours_label: 'Closed' }]])]]);
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      const validators = new Map();
+      await processShow(show, { store, validators });
+      const second = await processShow(show, { store, validators, parkHours: closed });
+      assert.equal(second.http_status, 304);
+      assert.equal(second.error, undefined);
+      assert.deepEqual(second.changeRows.map(c => c.change_kind), ['HOURS_CONFLICT', 'HOURS_CONFLICT']);
+
+      const third = await processShow(show, { store, validators, parkHours: closed });
+      assert.equal(third.changes, 0);
+    } finally {
+      console.log = originalLog;
+    }
+
+    const rows = readTable(dir, 'universal_entertainment_schedules').filter(r => r.schedule_date === date);
+    assert.deepEqual(rows.map(r => r.hours_conflict), ['PARK_CLOSED', 'PARK_CLOSED']);
+  });
+
+  test('forecasts a stalled calendar when the page is unchanged', async () => {
+    const { dir, store } = tempStore(root);
+    const show = {
+      show_id: 'universal-studios-cinesational',
+      show_name: 'CineSational: A Symphonic Spectacular',
+      park_name: 'Universal Studios Florida',
+      show_type: 'NIGHTTIME_SHOW',
+      cms_url: `http://127.0.0.1:${server.address().port}/cinesational`
+    };
+    const today = todayInZone('America/New_York');
+    const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+    // Nightly performances, posted 30 days out every week until four weeks ago
+    const history = [];
+    let through = addDays(today, -71);
+    for (let day = addDays(today, -70); day <= addDays(today, -28); day = addDays(day, 7)) {
+      for (let date = addDays(through, 1); date <= addDays(day, 30); date = addDays(date, 1)) {
+        history.push({ show_id: show.show_id, schedule_date: date, show_time: '8:30 PM', status: 'SCHEDULED', valid_from: `${day}T14:00:00.000Z`, valid_to: null });
+      }
+      through = addDays(day, 30);
+    }
+    await store.insertHistoryVersions(history);
+    await store.upsertSchedules(history.filter(v => v.schedule_date >= today).map(({ valid_from, valid_to, ...row }) => row));
+    await store.upsertShowStatus({ show_id: show.show_id, show_name: show.show_name, current_status: 'ACTIVE', forecast_flags: [] });
+
+    const etag = `"${crypto.createHash('sha256').update(page).digest('hex').slice(0, 16)}"`;
+    const originalLog = console.log;
+    console.log = () => {};
+    let result;
+    try {
+      result = await processShow(show, { store, validators: new Map([[show.cms_url, { etag, lastModified: null }]]) });
+    } finally {
+      console.log = originalLog;
+    }
+
+    assert.equal(result.http_status, 304);
+    assert.deepEqual(result.changeRows.map(c => c.change_kind), ['HORIZON_SHORT']);
+    const [status] = readTable(dir, 'universal_show_status');
+    assert.deepEqual(status.forecast_flags, ['HORIZON_SHORT']);
+    assert.equal(status.typical_horizon_days, 30);
+    assert.equal(status.horizon_days, 2);
+  });
+});
@@ -0,0 +1,66 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { todayInZone, parseShowTime, formatShowTime, zonedTimeToUtc, normalizeShowTime } = require('../lib/time');
+
+describe('todayInZone', () => {
+  test('uses the park date, not the UTC date, in the evening', () => {
+    // 9:30 PM Eastern on Mar 1 is already Mar 2 in UTC
+    const now = new Date('2026-03-02T02:30:00Z');
+    assert.equal(todayInZone('America/New_York', now), '2026-03-01');
+    assert.equal(todayInZone('UTC', now), '2026-03-02');
+  });
+});
+
+describe('parseShowTime', () => {
+  test('parses common eyebrow formats into 24-hour time', () => {
+    assert.equal(parseShowTime('8:30 PM'), '20:30');
+    assert.equal(parseShowTime('8 pm'), '20:00');
+    assert.equal(parseShowTime('12:15 AM'), '00:15');
+    assert.equal(parseShowTime('12:00 PM'), '12:00');
+    assert.equal(parseShowTime('Noon'), '12:00');
+  });
+
+  test('parses the Spanish site\'s eyebrows', () => {
+    assert.equal(parseShowTime('8:30 p. m.'), '20:30');
+    assert.equal(parseShowTime('8:30\u00a0p.\u00a0m.'), '20:30');
+    assert.equal(parseShowTime('11 a. m.'), '11:00');
+    assert.equal(parseShowTime('Mediodía'), '12:00');
+    assert.equal(parseShowTime('20:30 h'), '20:30');
+    assert.equal(parseShowTime('20:30'), null);
+  });
+
+  test('returns null for labels that are not times', () => {
+    assert.equal(parseShowTime('Unknown'), null);
+    assert.equal(parseShowTime('Park Close'), null);
+    assert.equal(parseShowTime('13:00 PM'), null);
+  });
+});
+
+describe('formatShowTime', () => {
+  test('formats 24-hour time as an English eyebrow', () => {
+    assert.equal(formatShowTime('20:30'), '8:30 PM');
+    assert.equal(formatShowTime('00:15'), '12:15 AM');
+    assert.equal(formatShowTime('12:00'), '12:00 PM');
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  test('applies standard and daylight offsets around the March DST switch', () => {
+    assert.equal(zonedTimeToUtc('2026-03-07', '20:30'), '2026-03-08T01:30:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-03-08', '20:30'), '2026-03-09T00:30:00.000Z');
+  });
+});
+
+describe('normalizeShowTime', () => {
+  test('keeps null fields for an Unknown eyebrow', () => {
+    assert.deepEqual(normalizeShowTime('2026-03-01', 'Unknown'), { show_time_local: null, show_starts_at: null });
+  });
+
+  test('derives local and UTC start times', () => {
+    assert.deepEqual(normalizeShowTime('2026-07-04', '9:00 PM'), {
+      show_time_local: '21:00',
+      show_starts_at: '2026-07-05T01:00:00.000Z'
+    });
+  });
+});